@@ -52,7 +52,13 @@ app.get('/api/internal/calls/:callSid/config', (req, res) => {
 
         system_prompt: `You are a friendly AI receptionist for NewroHelp. \nKeep responses short and natural — one or two sentences maximum. \nBe warm, helpful, and professional.`,
 
+        phone_number:      process.env.TWILIO_FROM_PHONE || '+15550000000',   // caller ID for warm transfers
         first_message:     'Hello! Thanks for calling NewroHelp. How can I help you today?',
+        disable_first_message_interruptions: false,
+        speculative_responses: false,
+        record_calls:          false,
+        recording_consent_message: null,
+        webhooks:              [],
         voicemail_message: null,
 
         language: 'en',
@@ -60,6 +66,9 @@ app.get('/api/internal/calls/:callSid/config', (req, res) => {
         language_voices: { en: 'af_heart' },
 
         silence_timeout_seconds: 10,
+        silence_hangup_seconds:  15,
+        silence_max_reprompts:   2,
+        silence_reprompts:       null,   // null = built-in phrases per language
         max_duration_seconds:    600,
 
         voicemail_detection:   false,
@@ -71,6 +80,7 @@ app.get('/api/internal/calls/:callSid/config', (req, res) => {
 
         transfer_to_number: [],
         transfer_to_agent:  [],
+        transfer_fallback:  null,   // { type: 'number' | 'voicemail' | 'end_call', ... }
         custom_tools:       [],
 
         // ── Filler phrases (pipeline.js: played during tool execution) ────────
@@ -85,6 +95,11 @@ app.get('/api/internal/calls/:callSid/config', (req, res) => {
         // exceeds ~1500 words. Opt-in because most calls never hit this limit.
         // Set to true to test with long calls.
         context_summarization: false,
+
+        // ── Speech providers (providers/index.js) ───────────────────────────────
+        // null = GPU server for VAD, STT, turn detection and TTS.
+        // e.g. { tts: { type: 'openai', voice: 'nova' } }
+        providers: null,
     });
 });
 
@@ -100,6 +115,41 @@ app.get('/api/internal/calls/:callSid/transfer-agent', (req, res) => {
     res.json({ twiml_url: '' });
 });
 
+// ── outbound.js calls these when POST /calls/outbound places a call ──────────
+app.post('/api/internal/calls/outbound/prepare', (req, res) => {
+    const { assistant_id, to_phone } = req.body;
+    console.log(`[outbound/prepare] assistant:${assistant_id} → ${to_phone}`);
+    res.json({
+        organization_id:    'mock-org-1',
+        from_phone:         process.env.TWILIO_FROM_PHONE || '+15550000000',
+        voicemail_detection: false,
+        twilio_account_sid: process.env.TWILIO_ACCOUNT_SID || 'ACxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx',
+        twilio_auth_token:  process.env.TWILIO_AUTH_TOKEN  || 'your_twilio_auth_token',
+    });
+});
+
+app.post('/api/internal/calls/outbound/created', (req, res) => {
+    console.log(`[outbound/created] ${req.body.call_sid}`, JSON.stringify(req.body.dynamic_variables));
+    res.json({ ok: true });
+});
+
+app.post('/api/internal/calls/outbound/status', (req, res) => {
+    console.log(`[outbound/status] ${req.body.call_sid}: ${req.body.outcome}`);
+    res.json({ ok: true });
+});
+
+// ── campaigns.js posts progress + per-contact outcomes ───────────────────────
+app.post('/api/internal/campaigns/:id/progress', (req, res) => {
+    const p = req.body;
+    console.log(`[campaign] ${req.params.id} ${p.status}: ${p.completed}/${p.total} completed, ${p.failed} failed`);
+    res.json({ ok: true });
+});
+
+app.post('/api/internal/campaigns/:id/contacts/:contactId', (req, res) => {
+    console.log(`[campaign] ${req.params.id} contact ${req.params.contactId}: ${req.body.status} (${req.body.last_outcome})`);
+    res.json({ ok: true });
+});
+
 app.listen(PORT, () => {
     console.log(`Mock Laravel running on port ${PORT}`);
     console.log(`X-Internal-Secret: ${SECRET}`);
@@ -0,0 +1,79 @@
+'use strict';
+
+const express = require('express');
+const logger  = require('../utils/logger');
+const { requireInternalSecret } = require('../utils/auth');
+const { campaignManager, serializeContact, CampaignValidationError } = require('../orchestrator/campaigns');
+const { isDraining } = require('../orchestrator/drain');
+
+const router = express.Router();
+
+router.use(requireInternalSecret);
+
+/**
+ * POST /campaigns
+ *
+ * Body:
+ *   assistant_id         (required)
+ *   organization_id      (required — used for the per-organization call cap)
+ *   contacts             (required) [{ id?, phone, timezone?, dynamic_variables? }], ids unique
+ *   max_concurrent       (optional positive integer, default 1) concurrent calls for this campaign
+ *   org_max_concurrent   (optional positive integer, default CAMPAIGN_ORG_MAX_CONCURRENT)
+ *   timezone             (optional, default UTC) fallback for contacts without one
+ *   calling_hours        (optional) { start: 'HH:MM', end: 'HH:MM', days: [0-6] }
+ *   retry                (optional) { max_attempts, backoff_seconds, backoff_multiplier (numbers ≥ 0),
+ *                        retry_on: ['busy' | 'no_answer' | 'failed' | 'canceled'] }
+ *   ring_timeout         (optional positive integer seconds)
+ */
+router.post('/', (req, res) => {
+    // Campaigns live in memory — one created now would die with this instance
+    if (isDraining()) return res.status(503).json({ error: 'Server is draining — create the campaign on another instance' });
+    const body = req.body || {};
+    try {
+        const campaign = campaignManager.create({
+            assistantId:      body.assistant_id,
+            organizationId:   body.organization_id,
+            contacts:         body.contacts,
+            maxConcurrent:    body.max_concurrent,
+            orgMaxConcurrent: body.org_max_concurrent,
+            timezone:         body.timezone,
+            callingHours:     body.calling_hours,
+            retry:            body.retry,
+            ringTimeout:      body.ring_timeout,
+        });
+        res.status(201).json(campaign.toJSON());
+    } catch (err) {
+        if (err instanceof CampaignValidationError) return res.status(400).json({ error: err.message });
+        logger.error(`Failed to create campaign: ${err.message}`);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/', (req, res) => {
+    res.json({ campaigns: campaignManager.list().map(c => c.progress()) });
+});
+
+router.get('/:id', (req, res) => {
+    const campaign = campaignManager.get(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    res.json(campaign.toJSON());
+});
+
+router.get('/:id/contacts', (req, res) => {
+    const campaign = campaignManager.get(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    const contacts = req.query.status
+        ? campaign.contacts.filter(c => c.status === req.query.status)
+        : campaign.contacts;
+    res.json({ campaign_id: campaign.id, contacts: contacts.map(serializeContact) });
+});
+
+for (const action of ['pause', 'resume', 'cancel']) {
+    router.post(`/:id/${action}`, (req, res) => {
+        const campaign = campaignManager[action](req.params.id);
+        if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+        res.json(campaign.progress());
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,66 @@
+'use strict';
+
+const express = require('express');
+const logger  = require('../utils/logger');
+const { requireInternalSecret } = require('../utils/auth');
+const { callManager }           = require('../orchestrator/callmanager');
+const { getOutboundContext }    = require('../twilio/outbound');
+
+const router = express.Router();
+
+router.use(requireInternalSecret);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Instance-to-instance API (see orchestrator/registry.js). An outbound call
+// is split between two instances when its MediaStream lands on one other
+// than the one that placed it: the placing instance keeps the outbound
+// context and its Twilio callbacks, the other holds the session. These routes
+// let them share what the other needs.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /cluster/outbound/:callSid
+ *
+ * What a session needs from the outbound context (mediastream.js).
+ */
+router.get('/outbound/:callSid', (req, res) => {
+    const context = getOutboundContext(req.params.callSid);
+    if (!context) return res.status(404).json({ error: 'Outbound call not found' });
+    res.json({
+        dynamicVariables: context.dynamicVariables,
+        metadata:         context.metadata,
+        answeredBy:       context.answeredBy,
+    });
+});
+
+/**
+ * POST /cluster/calls/:callSid/amd
+ * Body: answered_by
+ *
+ * Async AMD result received by the placing instance.
+ */
+router.post('/calls/:callSid/amd', (req, res) => {
+    const session = callManager.get(req.params.callSid);
+    if (!session) return res.status(404).json({ error: 'Call not found' });
+    session.emit('amd_result', req.body.answered_by);
+    res.json({ success: true });
+});
+
+/**
+ * POST /cluster/calls/:callSid/ended
+ *
+ * Twilio reported the call over on the placing instance — same cleanup as
+ * the /twilio/status route does for a local session.
+ */
+router.post('/calls/:callSid/ended', (req, res) => {
+    const { callSid } = req.params;
+    const session = callManager.get(callSid);
+    if (!session) return res.status(404).json({ error: 'Call not found' });
+    if (session.status !== 'ended') {
+        logger.info('Outbound call ended externally (reported by peer), cleaning up session', { callSid });
+        callManager.remove(callSid);
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+'use strict';
+
+const axios  = require('axios');
+const logger = require('../utils/logger');
+const { callManager }             = require('../orchestrator/callmanager');
+const { remoteOwner, FORWARDED_HEADER, instance } = require('../orchestrator/registry');
+const { getOutboundContextByRef } = require('../twilio/outbound');
+const { holdQueue }               = require('../orchestrator/queue');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Forwarding to the instance that owns a call (see orchestrator/registry.js).
+//
+// A request about a call this instance doesn't hold is replayed on the
+// owner: same method, path, query and body, with the headers its checks
+// depend on (X-Twilio-Signature, X-Internal-Secret, and the original host
+// and protocol so the signed URL rebuilds identically). The owner's answer
+// goes back as is. Forwarded requests are marked with FORWARDED_HEADER and
+// never forwarded again.
+//
+// If there's no other owner, or it can't be reached, the request is handled
+// here — the single-instance behaviour.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FORWARD_TIMEOUT_MS = 10000;
+
+const peerClient = axios.create({
+    timeout: FORWARD_TIMEOUT_MS,
+    headers: { 'X-Internal-Secret': process.env.LARAVEL_API_SECRET },
+});
+
+function forwardTo(keyOf) {
+    return async (req, res, next) => {
+        if (req.headers[FORWARDED_HEADER]) return next();
+        const key = keyOf(req);
+        if (!key) return next();
+        const owner = await remoteOwner(key);
+        if (!owner) return next();
+
+        const form = req.is('application/x-www-form-urlencoded');
+        const headers = {
+            [FORWARDED_HEADER]:  instance.id,
+            'x-forwarded-host':  req.headers['x-forwarded-host'] || req.headers.host,
+        };
+        for (const name of ['content-type', 'x-forwarded-proto', 'x-twilio-signature', 'x-internal-secret']) {
+            if (req.headers[name]) headers[name] = req.headers[name];
+        }
+
+        try {
+            const response = await axios({
+                method:            req.method,
+                url:               `${owner.url}${req.originalUrl}`,
+                data:              form ? new URLSearchParams(req.body).toString() : req.body,
+                headers,
+                timeout:           FORWARD_TIMEOUT_MS,
+                responseType:      'text',
+                transformResponse: [(data) => data],
+                validateStatus:    () => true,
+            });
+            logger.info(`Forwarded ${req.method} ${req.baseUrl}${req.path} to ${owner.id} (${response.status})`, { key });
+            if (response.headers['content-type']) res.type(response.headers['content-type']);
+            res.status(response.status).send(response.data);
+        } catch (err) {
+            logger.warn(`Forwarding to ${owner.id} failed — handling here: ${err.message}`, { key });
+            next();
+        }
+    };
+}
+
+/** Forward requests about a live call held by another instance. */
+function forwardCall(callSidOf) {
+    return forwardTo((req) => {
+        const callSid = callSidOf(req);
+        return callSid && !callManager.get(callSid) ? `call:${callSid}` : null;
+    });
+}
+
+/** Forward outbound-call callbacks (?ref=) to the instance that placed the call. */
+function forwardOutbound(refOf) {
+    return forwardTo((req) => {
+        const ref = refOf(req);
+        return ref && !getOutboundContextByRef(ref) ? `outbound:${ref}` : null;
+    });
+}
+
+/** Forward hold queue callbacks to the instance the caller is queued on. */
+function forwardQueued(callSidOf) {
+    return forwardTo((req) => {
+        const callSid = callSidOf(req);
+        return callSid && !holdQueue.get(callSid) ? `queue:${callSid}` : null;
+    });
+}
+
+/**
+ * Tell the instance holding callSid's session about something that happened
+ * here (api/cluster.js routes). Returns false if no other instance holds it.
+ */
+async function notifyOwner(callSid, path, body = {}) {
+    const owner = await remoteOwner(`call:${callSid}`);
+    if (!owner) return false;
+    try {
+        await peerClient.post(`${owner.url}/cluster/calls/${callSid}/${path}`, body, { headers: { [FORWARDED_HEADER]: instance.id } });
+        return true;
+    } catch (err) {
+        logger.warn(`Notifying ${owner.id} failed: ${err.message}`, { callSid, path });
+        return false;
+    }
+}
+
+/**
+ * An outbound call's context from the instance that placed it, for a
+ * MediaStream that landed here. Null if this instance has no peer for it.
+ */
+async function fetchOutboundContext(callSid) {
+    const owner = await remoteOwner(`outbound:${callSid}`);
+    if (!owner) return null;
+    try {
+        const { data } = await peerClient.get(`${owner.url}/cluster/outbound/${callSid}`, { headers: { [FORWARDED_HEADER]: instance.id } });
+        return data;
+    } catch (err) {
+        logger.warn(`Fetching outbound context from ${owner.id} failed: ${err.message}`, { callSid });
+        return null;
+    }
+}
+
+module.exports = { forwardCall, forwardOutbound, forwardQueued, notifyOwner, fetchOutboundContext };
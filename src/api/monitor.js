@@ -0,0 +1,175 @@
+'use strict';
+
+const WebSocket = require('ws');
+const logger    = require('../utils/logger');
+const { safeEqual }   = require('../utils/auth');
+const { callManager } = require('../orchestrator/callmanager');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Live call monitor — WebSocket at /monitor for the ops dashboard.
+//
+// Auth: X-Internal-Secret header (LARAVEL_API_SECRET), checked before the
+// upgrade completes. Browsers can't set that header, so dashboards connect
+// through their own backend.
+//
+// Client → server (JSON):
+//   { "type": "list" }                                   → sessions
+//   { "type": "subscribe", "callSid": "CA…", "audio": false }
+//   { "type": "unsubscribe" }
+//
+// Server → client (JSON, every message carries `type`):
+//   sessions          all active calls (also sent on connect)
+//   call_started      a new session          call_ended   a session went away
+//   subscribed        snapshot + transcript so far for the subscribed call
+//   transcript        { entry: { role, message, time_in_call_secs } }
+//   state             { field, value } — status, isAISpeaking, awaitingTurnConfirmation
+//   tool_call         { call_id, name, args }
+//   tool_result       { call_id, name, result }
+//   interrupt         { trigger } — drop any AI audio still buffered
+//   language_switched { language, voice }
+//   supervisor_action { entry } — see api/supervisor.js
+//   audio             { track: 'caller' | 'ai', payload } — base64 8kHz mulaw,
+//                     only with "audio": true. AI audio arrives faster than
+//                     real time (as Twilio receives it), so buffer and play.
+//   error             { error }
+//
+// One subscription per socket; subscribing again switches calls.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MONITOR_PATH = '/monitor';
+
+// Audio frames are skipped while the socket has this much unsent data —
+// a slow dashboard must not grow memory for the whole call.
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Session event → monitor message
+const FORWARDED_EVENTS = {
+    transcript:        (entry) => ({ type: 'transcript', entry }),
+    state_changed:     (change) => ({ type: 'state', ...change }),
+    tool_call:         (call) => ({ type: 'tool_call', ...call }),
+    tool_result:       (result) => ({ type: 'tool_result', ...result }),
+    interrupted:       ({ trigger }) => ({ type: 'interrupt', trigger }),
+    language_switched: ({ language, voice }) => ({ type: 'language_switched', language, voice }),
+    supervisor_action: (entry) => ({ type: 'supervisor_action', entry }),
+};
+
+function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+function listSessions() {
+    return [...callManager.sessions.values()].map(session => session.getMonitorState());
+}
+
+/**
+ * Attach the monitor WebSocket to an HTTP server. Upgrades for other paths
+ * are left to the other handlers.
+ *
+ * @param {http.Server} server
+ */
+function attachMonitorHandler(server) {
+    const wss = new WebSocket.Server({ noServer: true });
+
+    server.on('upgrade', (request, socket, head) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname !== MONITOR_PATH) return;
+        request.upgradeHandled = true;
+
+        const expected = process.env.LARAVEL_API_SECRET;
+        const provided = request.headers['x-internal-secret'];
+        if (!expected || !provided || !safeEqual(provided, expected)) {
+            logger.warn('Monitor connection with missing or invalid secret', { ip: socket.remoteAddress });
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        wss.handleUpgrade(request, socket, head, (ws) => wss.emit('connection', ws, request));
+    });
+
+    wss.on('connection', (ws) => {
+        logger.info('Monitor connected', { clients: wss.clients.size });
+        let subscribedSid = null;
+        let detach        = null;   // removes the current subscription's listeners
+
+        const unsubscribe = () => {
+            if (detach) detach();
+            detach        = null;
+            subscribedSid = null;
+        };
+
+        const subscribe = (callSid, withAudio) => {
+            unsubscribe();
+            const session = callManager.get(callSid);
+            if (!session) return send(ws, { type: 'error', error: `No active call ${callSid}` });
+
+            const listeners = Object.entries(FORWARDED_EVENTS).map(([event, toMessage]) => {
+                const listener = (payload) => send(ws, { ...toMessage(payload), callSid });
+                session.on(event, listener);
+                return [event, listener];
+            });
+            if (withAudio) {
+                const onAudio = (track, mulaw) => {
+                    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) return;
+                    send(ws, { type: 'audio', callSid, track, payload: mulaw.toString('base64') });
+                };
+                session.on('audio', onAudio);
+                listeners.push(['audio', onAudio]);
+            }
+            detach        = () => listeners.forEach(([event, listener]) => session.off(event, listener));
+            subscribedSid = callSid;
+
+            send(ws, {
+                type:       'subscribed',
+                callSid,
+                audio:      !!withAudio,
+                session:    session.getMonitorState(),
+                transcript: session.transcript || [],
+            });
+            logger.info('Monitor subscribed', { callSid, audio: !!withAudio });
+        };
+
+        const onCreated = (session) => send(ws, { type: 'call_started', session: session.getMonitorState() });
+        const onRemoved = (callSid) => {
+            if (callSid === subscribedSid) unsubscribe();
+            send(ws, { type: 'call_ended', callSid });
+        };
+        callManager.on('session_created', onCreated);
+        callManager.on('session_removed', onRemoved);
+
+        ws.on('message', (raw) => {
+            let msg;
+            try { msg = JSON.parse(raw); } catch { return send(ws, { type: 'error', error: 'Invalid JSON' }); }
+            // FIX: `null` or a bare number parsed fine and then threw on msg.type
+            if (!msg || typeof msg !== 'object') return send(ws, { type: 'error', error: 'Expected a JSON object' });
+
+            switch (msg.type) {
+                case 'list':
+                    send(ws, { type: 'sessions', sessions: listSessions() });
+                    break;
+                case 'subscribe':
+                    if (typeof msg.callSid !== 'string') return send(ws, { type: 'error', error: 'callSid is required' });
+                    subscribe(msg.callSid, msg.audio === true);
+                    break;
+                case 'unsubscribe':
+                    unsubscribe();
+                    break;
+                default:
+                    send(ws, { type: 'error', error: `Unknown message type: ${msg.type}` });
+            }
+        });
+
+        ws.on('close', () => {
+            unsubscribe();
+            callManager.off('session_created', onCreated);
+            callManager.off('session_removed', onRemoved);
+            logger.info('Monitor disconnected', { clients: wss.clients.size });
+        });
+        ws.on('error', (err) => logger.warn('Monitor WS error', { error: err.message }));
+
+        send(ws, { type: 'sessions', sessions: listSessions() });
+    });
+
+    logger.info('Monitor WebSocket handler attached');
+}
+
+module.exports = { attachMonitorHandler };
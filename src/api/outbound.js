@@ -0,0 +1,62 @@
+'use strict';
+
+const express = require('express');
+const logger  = require('../utils/logger');
+const { requireInternalSecret } = require('../utils/auth');
+const { placeOutboundCall }     = require('../twilio/outbound');
+const { isDraining }            = require('../orchestrator/drain');
+
+const router = express.Router();
+
+const E164_RE = /^\+[1-9]\d{6,14}$/;
+
+router.use(requireInternalSecret);
+
+/**
+ * POST /calls/outbound
+ *
+ * Body:
+ *   assistant_id       (required)
+ *   to_phone           (required, E.164)
+ *   from_phone         (optional caller ID override)
+ *   dynamic_variables  (optional object, seeded into the call session)
+ *   ring_timeout       (optional seconds, default 30)
+ */
+router.post('/outbound', async (req, res) => {
+    const { assistant_id, to_phone, from_phone, dynamic_variables, ring_timeout } = req.body || {};
+
+    if (isDraining()) return res.status(503).json({ error: 'Server is draining — place the call on another instance' });
+    if (!assistant_id) return res.status(400).json({ error: 'assistant_id is required' });
+    if (!to_phone || !E164_RE.test(to_phone)) {
+        return res.status(400).json({ error: 'to_phone must be an E.164 number' });
+    }
+    if (from_phone && !E164_RE.test(from_phone)) {
+        return res.status(400).json({ error: 'from_phone must be an E.164 number' });
+    }
+    if (dynamic_variables !== undefined &&
+        (typeof dynamic_variables !== 'object' || dynamic_variables === null || Array.isArray(dynamic_variables))) {
+        return res.status(400).json({ error: 'dynamic_variables must be an object' });
+    }
+
+    try {
+        const context = await placeOutboundCall({
+            assistantId:      assistant_id,
+            toPhone:          to_phone,
+            fromPhone:        from_phone,
+            dynamicVariables: dynamic_variables || {},
+            ringTimeout:      ring_timeout,
+        }, req);
+
+        res.status(201).json({
+            call_sid:   context.callSid,
+            status:     context.outcome,
+            to_phone:   context.toPhone,
+            from_phone: context.fromPhone,
+        });
+    } catch (err) {
+        logger.error(`Outbound call failed: ${err.message}`, { assistantId: assistant_id, to: to_phone });
+        res.status(502).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+'use strict';
+
+const express = require('express');
+const { requireInternalSecret } = require('../utils/auth');
+const { outbox }                = require('../orchestrator/outbox');
+
+const router = express.Router();
+
+router.use(requireInternalSecret);
+
+/**
+ * GET /outbox
+ * Pending and dead-lettered notifications (without bodies).
+ */
+router.get('/', (req, res) => {
+    res.json(outbox.list());
+});
+
+/**
+ * GET /outbox/:key
+ * One entry, body included.
+ */
+router.get('/:key', (req, res) => {
+    const entry = outbox.get(req.params.key);
+    if (!entry) return res.status(404).json({ error: 'Outbox entry not found' });
+    res.json(entry);
+});
+
+/**
+ * POST /outbox/replay
+ * Replay every dead-lettered entry. Responds with each key's result.
+ */
+router.post('/replay', async (req, res) => {
+    const keys    = outbox.list().dead.map(e => e.key);
+    const results = await Promise.all(keys.map(async key => ({ key, delivered: await outbox.replay(key) })));
+    res.json({ replayed: results.length, results });
+});
+
+/**
+ * POST /outbox/:key/replay
+ * Move a dead-lettered entry back to pending and try it now. It keeps
+ * retrying with backoff if this attempt fails.
+ */
+router.post('/:key/replay', async (req, res) => {
+    const delivery = outbox.replay(req.params.key);
+    if (!delivery) return res.status(404).json({ error: 'No dead-lettered entry with that key' });
+    const delivered = await delivery;
+    res.json({ key: req.params.key, delivered, entry: outbox.get(req.params.key) });
+});
+
+/**
+ * DELETE /outbox/:key
+ * Discard a dead-lettered entry.
+ */
+router.delete('/:key', (req, res) => {
+    if (!outbox.discard(req.params.key)) return res.status(404).json({ error: 'No dead-lettered entry with that key' });
+    res.json({ key: req.params.key, discarded: true });
+});
+
+module.exports = router;
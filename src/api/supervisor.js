@@ -0,0 +1,149 @@
+'use strict';
+
+const express = require('express');
+const { requireInternalSecret } = require('../utils/auth');
+const { callManager }           = require('../orchestrator/callmanager');
+const { forwardCall }           = require('./forward');
+
+const router = express.Router();
+
+const E164_RE = /^\+[1-9]\d{6,14}$/;
+
+router.use(requireInternalSecret);
+router.use('/:callSid/supervisor', forwardCall(req => req.params.callSid));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Supervisor controls on a live call. Every route takes `supervisor` (who is
+// acting — name or ID) in the body; the action is recorded on the session
+// (session.supervisorActions → supervisor_actions in the call-complete
+// payload) and broadcast to live monitors before the pipeline carries it out.
+//
+// The pipeline does the work; these routes only validate and emit session
+// events, like functions.js does for tool calls.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Load the session and the acting supervisor, or answer the error
+function liveSession(req, res, allowedStatuses = ['active']) {
+    const session = callManager.get(req.params.callSid);
+    if (!session) {
+        res.status(404).json({ error: 'Call not found' });
+        return null;
+    }
+    const supervisor = req.body?.supervisor;
+    if (!supervisor || !['string', 'number'].includes(typeof supervisor)) {
+        res.status(400).json({ error: 'supervisor is required' });
+        return null;
+    }
+    if (!allowedStatuses.includes(session.status)) {
+        res.status(409).json({ error: `Call is ${session.status}` });
+        return null;
+    }
+    return { session, supervisor: String(supervisor) };
+}
+
+function requireText(req, res, field) {
+    const value = req.body?.[field];
+    if (typeof value !== 'string' || !value.trim()) {
+        res.status(400).json({ error: `${field} is required` });
+        return null;
+    }
+    return value.trim();
+}
+
+/**
+ * POST /calls/:callSid/supervisor/instruct
+ * Body: supervisor, instruction
+ *
+ * Adds a system message to the OpenAI conversation. It steers the AI's
+ * next replies; nothing is spoken by itself.
+ */
+router.post('/:callSid/supervisor/instruct', (req, res) => {
+    const live = liveSession(req, res);
+    if (!live) return;
+    const instruction = requireText(req, res, 'instruction');
+    if (!instruction) return;
+
+    const entry = live.session.recordSupervisorAction('instruct', live.supervisor, { instruction });
+    live.session.emit('supervisor_instruct', instruction);
+    res.json({ success: true, action: entry });
+});
+
+/**
+ * POST /calls/:callSid/supervisor/say
+ * Body: supervisor, text, interruptible (default true)
+ *
+ * Queued behind any sentence already playing, in the assistant's voice.
+ * Spoken even while the AI is muted.
+ */
+router.post('/:callSid/supervisor/say', (req, res) => {
+    const live = liveSession(req, res);
+    if (!live) return;
+    const text = requireText(req, res, 'text');
+    if (!text) return;
+    const interruptible = req.body.interruptible !== false;
+
+    const entry = live.session.recordSupervisorAction('say', live.supervisor, { text, interruptible });
+    live.session.emit('supervisor_say', { text, interruptible });
+    res.json({ success: true, action: entry });
+});
+
+/**
+ * POST /calls/:callSid/supervisor/mute
+ * POST /calls/:callSid/supervisor/unmute
+ * Body: supervisor
+ *
+ * Muting cuts off current AI speech. While muted, the caller is still heard
+ * and transcribed, but the AI's replies and tool calls are dropped.
+ */
+router.post('/:callSid/supervisor/:action(mute|unmute)', (req, res) => {
+    const live = liveSession(req, res);
+    if (!live) return;
+    const muted = req.params.action === 'mute';
+    if (live.session.aiMuted === muted) return res.status(409).json({ error: `AI is already ${muted ? 'muted' : 'unmuted'}` });
+
+    const entry = live.session.recordSupervisorAction(req.params.action, live.supervisor);
+    live.session.emit('supervisor_mute', muted);
+    res.json({ success: true, action: entry });
+});
+
+/**
+ * POST /calls/:callSid/supervisor/end
+ * Body: supervisor
+ *
+ * Hangs up at once, with end_reason "supervisor_ended".
+ */
+router.post('/:callSid/supervisor/end', (req, res) => {
+    const live = liveSession(req, res, ['active', 'transferring']);
+    if (!live) return;
+
+    const entry = live.session.recordSupervisorAction('end_call', live.supervisor);
+    live.session.emit('end_call_requested', 'supervisor_ended');
+    res.json({ success: true, action: entry });
+});
+
+/**
+ * POST /calls/:callSid/supervisor/takeover
+ * Body: supervisor, phone_number (E.164), caller_id (optional), ring_timeout (optional seconds)
+ *
+ * Mutes the AI and dials the supervisor's phone. When they answer, the
+ * caller is bridged to them and the AI leaves the call (end_reason
+ * "supervisor_takeover"). If they don't, the caller stays with the AI and
+ * its mute state is restored. The outcome is added to the audit entry.
+ */
+router.post('/:callSid/supervisor/takeover', (req, res) => {
+    const live = liveSession(req, res);
+    if (!live) return;
+    const { phone_number, caller_id, ring_timeout } = req.body;
+    if (!phone_number || !E164_RE.test(phone_number)) {
+        return res.status(400).json({ error: 'phone_number must be an E.164 number' });
+    }
+    if (caller_id && !E164_RE.test(caller_id)) {
+        return res.status(400).json({ error: 'caller_id must be an E.164 number' });
+    }
+
+    const entry = live.session.recordSupervisorAction('takeover', live.supervisor, { phone_number });
+    live.session.emit('supervisor_takeover', { entry, phone_number, caller_id, ring_timeout });
+    res.status(202).json({ success: true, action: entry });
+});
+
+module.exports = router;
@@ -1,10 +1,9 @@
 'use strict';
 
-const axios  = require('axios');
-const logger = require('../utils/logger');
-
-const GPU_URL = process.env.GPU_SERVER_URL;
-const API_KEY = process.env.GPU_SERVER_API_KEY;
+const axios            = require('axios');
+const WebSocket        = require('ws');
+const { EventEmitter } = require('events');
+const logger           = require('../utils/logger');
 
 // ── FIX: per-endpoint timeouts ────────────────────────────────────────────────
 // Previous code used a single axios instance with timeout=30000 for ALL requests.
@@ -21,113 +20,450 @@ const API_KEY = process.env.GPU_SERVER_API_KEY;
 //               (stream timeout is handled by the 10s idle timer in pipeline.js)
 //   misc: 5s  — health, VAD reset — simple, should be instant
 
-const gpuHttp = axios.create({
-    baseURL: GPU_URL,
-    headers: { 'X-API-Key': API_KEY },
-});
-
-async function detectVAD(audioBase64, sessionId) {
-    try {
-        const { data } = await gpuHttp.post('/vad/detect', {
-            audio:       audioBase64,
-            sample_rate: 16000,
-            session_id:  sessionId,
-        }, { timeout: 2000 });
-        return data;
-    } catch (err) {
-        logger.error('GPU VAD error', { callSid: sessionId, error: err.message });
-        throw err;
-    }
+// ── GPU server pool ───────────────────────────────────────────────────────────
+// GPU_SERVER_URLS (comma-separated) lists the inference servers; GPU_SERVER_URL
+// still works for a single one. Every server is probed on /health every
+// GPU_HEALTH_INTERVAL_MS and requests are routed to the least-loaded healthy
+// one (lowest gpu_utilization, then fewest in-flight requests).
+//
+//   VAD      pinned per call: the server keeps speech state per session_id,
+//            so a call sticks to the server it started on. If that server
+//            goes down the pin is dropped and the next batch starts a fresh
+//            VAD session elsewhere (one batch lost, not the call).
+//   STT/TTS/turn
+//            stateless — on a network error, timeout or 5xx the request is
+//            retried on the next server. 4xx errors are not retried.
+//
+// A server that fails FAILURES_BEFORE_DOWN requests in a row is taken out of
+// rotation until its next successful probe. To drain a box for an upgrade,
+// stop it — calls move off it within one probe interval.
+const HEALTH_INTERVAL_MS   = parseInt(process.env.GPU_HEALTH_INTERVAL_MS || '10000', 10);
+const FAILURES_BEFORE_DOWN = 2;
+
+// ── Streaming endpoints ───────────────────────────────────────────────────────
+// Audio goes up as binary frames of raw 16kHz PCM16 (no WAV header, no
+// base64); the server answers with JSON text frames. Servers without an
+// endpoint answer the upgrade with 404 — they are remembered and calls on
+// them stay on HTTP.
+//
+//   WS /vad/stream?session_id&sample_rate   one socket per call. Every frame
+//        is answered, in order, with the same JSON as /vad/detect. Opening
+//        the stream resets the server's VAD state for the session.
+//   WS /stt/stream?session_id&language&sample_rate   one socket per user turn.
+//        Server sends {type:'partial', text} as it decodes. Client sends
+//        {type:'flush'}; server answers {type:'final', text, ...} covering
+//        all audio received so far, and keeps the stream open.
+const STREAM_CONNECT_TIMEOUT_MS = 3000;
+const STT_FLUSH_TIMEOUT_MS      = 3000;
+
+function parseUrls(value) {
+    return (value || '').split(',').map(u => u.trim().replace(/\/+$/, '')).filter(Boolean);
 }
 
-async function transcribe(audioBase64, language = 'en') {
-    try {
-        const { data } = await gpuHttp.post('/stt/transcribe', {
-            audio:       audioBase64,
-            language,
-            sample_rate: 16000,
-        }, { timeout: 20000 });
-        logger.info(`STT result: "${data.text}" (${data.processing_time_ms}ms)`);
-        return data;
-    } catch (err) {
-        logger.error('GPU STT error', { error: err.message });
-        throw err;
-    }
+// A request the caller aborted says nothing about the server
+function isServerFault(err) {
+    return !axios.isCancel(err) && (!err.response || err.response.status >= 500);
 }
 
-async function synthesize(text, language = 'en', voice = null) {
-    try {
-        const payload = { text, language, streaming: false };
-        if (voice) payload.voice = voice;
-        const { data } = await gpuHttp.post('/tts/synthesize', payload, { timeout: 15000 });
-        logger.info(`TTS complete: ${data.audio_duration_ms}ms audio in ${data.processing_time_ms}ms`);
-        return data;
-    } catch (err) {
-        logger.error('GPU TTS error', { error: err.message });
-        throw err;
+/**
+ * Create a client for a pool of GPU servers. The module itself is the client
+ * for GPU_SERVER_URLS / GPU_SERVER_URL (what most of the code uses);
+ * providers/ creates extra clients for assistants configured with their own
+ * servers.
+ *
+ * @param {object}   [options]
+ * @param {string[]} [options.urls]    GPU server base URLs
+ * @param {string}   [options.url]     Single GPU server (shorthand for urls: [url])
+ * @param {string}   [options.apiKey]  X-API-Key (default GPU_SERVER_API_KEY)
+ */
+function createGpuClient({ urls, url, apiKey = process.env.GPU_SERVER_API_KEY } = {}) {
+    const list = urls?.length ? urls.map(u => u.replace(/\/+$/, ''))
+        : url ? [url.replace(/\/+$/, '')]
+        : parseUrls(process.env.GPU_SERVER_URLS || process.env.GPU_SERVER_URL);
+
+    const servers = list.map(serverUrl => ({
+        url:         serverUrl,
+        http:        axios.create({ baseURL: serverUrl, headers: { 'X-API-Key': apiKey } }),
+        healthy:     true,    // optimistic until the first probe says otherwise
+        utilization: null,    // gpu_utilization (%) from the last /health
+        inFlight:    0,
+        failures:    0,       // consecutive request failures
+        lastHealth:  null,
+        lastError:   null,
+        checkedAt:   null,
+    }));
+
+    const vadPins = new Map();   // sessionId → server
+
+    // Healthy servers, least loaded first. If none are healthy, try them all
+    // anyway — the probe may just be stale.
+    function candidates() {
+        const byLoad = (a, b) => ((a.utilization ?? 0) - (b.utilization ?? 0)) || (a.inFlight - b.inFlight);
+        const healthy = servers.filter(s => s.healthy).sort(byLoad);
+        return healthy.length ? healthy : [...servers].sort(byLoad);
     }
-}
 
-async function synthesizeStream(text, language = 'en', voice = null) {
-    try {
-        const payload = { text, language, streaming: true };
-        if (voice) payload.voice = voice;
-        const response = await gpuHttp.post('/tts/synthesize', payload, {
-            responseType: 'stream',
-            timeout:      15000,
+    function recordFailure(server, err) {
+        server.failures++;
+        server.lastError = err.message;
+        if (server.healthy && server.failures >= FAILURES_BEFORE_DOWN) {
+            server.healthy = false;
+            logger.warn(`GPU server ${server.url} marked unhealthy after ${server.failures} failures`, { error: err.message });
+        }
+    }
+
+    async function send(server, fn) {
+        server.inFlight++;
+        try {
+            const result = await fn(server.http);
+            server.failures = 0;
+            return result;
+        } catch (err) {
+            if (isServerFault(err)) recordFailure(server, err);
+            throw err;
+        } finally {
+            server.inFlight--;
+        }
+    }
+
+    async function withFailover(label, fn) {
+        const pool = candidates();
+        if (pool.length === 0) throw new Error('No GPU servers configured');
+        let lastErr;
+        for (const server of pool) {
+            try {
+                return await send(server, fn);
+            } catch (err) {
+                lastErr = err;
+                if (!isServerFault(err)) break;
+                if (server !== pool[pool.length - 1]) {
+                    logger.warn(`GPU ${label} failed on ${server.url}, trying next server`, { error: err.message });
+                }
+            }
+        }
+        throw lastErr;
+    }
+
+    async function probe(server) {
+        try {
+            const { data } = await server.http.get('/health', { timeout: 5000 });
+            if (!server.healthy) logger.info(`GPU server ${server.url} is healthy again`);
+            server.healthy     = true;
+            server.failures    = 0;
+            server.utilization = typeof data?.gpu_utilization === 'number' ? data.gpu_utilization : null;
+            server.lastHealth  = data;
+            server.lastError   = null;
+        } catch (err) {
+            if (server.healthy) logger.warn(`GPU server ${server.url} failed health probe`, { error: err.message });
+            server.healthy   = false;
+            server.lastError = err.message;
+        }
+        server.checkedAt = Date.now();
+    }
+
+    if (servers.length > 0) {
+        const timer = setInterval(() => servers.forEach(probe), HEALTH_INTERVAL_MS);
+        timer.unref?.();
+    }
+
+    function vadServer(sessionId) {
+        let server = vadPins.get(sessionId);
+        if (server && !server.healthy && candidates()[0]?.healthy) {
+            logger.warn(`VAD server ${server.url} unhealthy — moving session`, { callSid: sessionId });
+            server = null;
+        }
+        if (!server) {
+            server = candidates()[0];
+            if (!server) throw new Error('No GPU servers configured');
+            vadPins.set(sessionId, server);
+        }
+        return server;
+    }
+
+    async function detectVAD(audioBase64, sessionId) {
+        const server = vadServer(sessionId);
+        try {
+            const { data } = await send(server, http => http.post('/vad/detect', {
+                audio:       audioBase64,
+                sample_rate: 16000,
+                session_id:  sessionId,
+            }, { timeout: 2000 }));
+            return data;
+        } catch (err) {
+            logger.error('GPU VAD error', { callSid: sessionId, server: server.url, error: err.message });
+            // Re-pin on the next batch if this server is gone
+            if (!server.healthy) vadPins.delete(sessionId);
+            throw err;
+        }
+    }
+
+    // Shared WebSocket plumbing for the streaming endpoints. Returns null when
+    // the server is known not to have `path`. The returned EventEmitter has
+    //   send(frame)  binary audio or a JSON control object; queued until open
+    //   close()      end the stream (no 'close' event is emitted)
+    //   isOpen       true once the socket is connected
+    // and emits 'open', each parsed server message via onMessage, and 'close'
+    // (err) at most once, whether the stream failed to open or dropped.
+    function openStream(server, path, query, label, onMessage) {
+        if (server.unsupportedStreams?.has(path)) return null;
+
+        const url = `${server.url.replace(/^http/, 'ws')}${path}?${new URLSearchParams(query)}`;
+        const ws  = new WebSocket(url, {
+            headers:          apiKey ? { 'X-API-Key': apiKey } : {},
+            handshakeTimeout: STREAM_CONNECT_TIMEOUT_MS,
+        });
+
+        const stream  = new EventEmitter();
+        stream.server = server.url;
+        stream.isOpen = false;
+        const queued  = [];
+        let closed    = false;
+
+        const finish = (err) => {
+            if (closed) return;
+            closed        = true;
+            stream.isOpen = false;
+            ws.terminate();
+            stream.emit('close', err);
+        };
+
+        ws.on('open', () => {
+            stream.isOpen   = true;
+            server.failures = 0;
+            for (const frame of queued.splice(0)) stream.send(frame);
+            stream.emit('open');
+        });
+
+        ws.on('message', (data) => {
+            let msg;
+            try {
+                msg = JSON.parse(data.toString());
+            } catch (err) {
+                logger.warn(`GPU ${label} stream parse error`, { callSid: query.session_id, error: err.message });
+                return;
+            }
+            if (!closed) onMessage(stream, msg);
         });
-        return response.data;
-    } catch (err) {
-        logger.error('GPU TTS stream error', { error: err.message });
-        throw err;
+
+        ws.on('unexpected-response', (req, res) => {
+            if (res.statusCode === 404) {
+                server.unsupportedStreams = (server.unsupportedStreams || new Set()).add(path);
+                logger.info(`GPU server ${server.url} has no ${path} — using HTTP ${label}`);
+            }
+            req.destroy();
+            finish(new Error(`${label} stream rejected with HTTP ${res.statusCode}`));
+        });
+
+        ws.on('error', (err) => {
+            recordFailure(server, err);
+            finish(err);
+        });
+
+        ws.on('close', (code) => finish(new Error(`${label} stream closed (code ${code})`)));
+
+        stream.send = (frame) => {
+            if (closed) return;
+            if (!stream.isOpen) return queued.push(frame);
+            if (Buffer.isBuffer(frame)) ws.send(frame, { binary: true });
+            else ws.send(JSON.stringify(frame));
+        };
+        stream.close = () => {
+            closed        = true;
+            stream.isOpen = false;
+            if (ws.readyState === WebSocket.OPEN) ws.close(1000);
+            else ws.terminate();
+        };
+
+        return stream;
     }
-}
 
-async function resetVAD(sessionId) {
-    try {
-        await gpuHttp.post(`/vad/reset?session_id=${sessionId}`, {}, { timeout: 5000 });
-    } catch (err) {
-        logger.warn('GPU VAD reset failed', { callSid: sessionId, error: err.message });
+    /**
+     * Open a streaming VAD session on the call's VAD server. Push each batch
+     * with send(pcm16Buf) once the stream is open; every batch is answered
+     * with a 'result' event (same shape as detectVAD). See openStream above.
+     */
+    function openVADStream(sessionId) {
+        return openStream(vadServer(sessionId), '/vad/stream',
+            { session_id: sessionId, sample_rate: 16000 }, 'VAD',
+            (stream, result) => stream.emit('result', result));
     }
-}
 
-/**
- * Smart Turn Detection — ask the GPU server whether the user has finished
- * their turn (pipecat: LocalSmartTurnAnalyzerV3 / predict_endpoint).
- *
- * Called immediately after VAD emits speech_end with the full speech buffer
- * for the current utterance (PCM base64, same format as STT input).
- *
- * Returns: { complete: bool, confidence: float, fallback: bool }
- * Always resolves — never throws. On network error returns complete=true
- * (safe fallback: proceed to transcribe as normal).
- *
- * Timeout: 1500ms — Smart Turn v3 CPU inference is ~12–65ms. The generous
- * timeout accounts for network RTT to RunPod. If we miss the window the
- * fallback is just the old silence-only behavior, not a broken call.
- */
-async function checkTurnComplete(audioBase64) {
-    try {
-        const { data } = await gpuHttp.post('/vad/turn_complete', {
-            audio:       audioBase64,
-            sample_rate: 16000,
-        }, { timeout: 1500 });
-        return data;
-    } catch (err) {
-        // Don't log at error level — occasional timeouts are expected
-        logger.warn('Smart Turn check failed (fallback: complete=true)', { error: err.message });
-        return { complete: true, confidence: 1.0, fallback: true };
+    /**
+     * Open a streaming transcription for one user turn. Audio pushed with
+     * send(pcm16Buf) is decoded as it arrives; interim hypotheses are emitted
+     * as 'partial' (text). flush() resolves with the final hypothesis for
+     * everything sent so far ({ text, ... }, same shape as transcribe) and
+     * leaves the stream open, so a turn that turns out unfinished can keep
+     * sending audio and flush again. See openStream above.
+     */
+    function openSTTStream(sessionId, language = 'en') {
+        const server = candidates()[0];
+        if (!server) throw new Error('No GPU servers configured');
+
+        const waiting = [];   // flush() callers, answered in order
+        const stream  = openStream(server, '/stt/stream',
+            { session_id: sessionId, language, sample_rate: 16000 }, 'STT',
+            (s, msg) => {
+                if (msg.type === 'partial') s.emit('partial', msg.text || '');
+                else if (msg.type === 'final') waiting.shift()?.resolve(msg);
+            });
+        if (!stream) return null;
+
+        stream.on('close', (err) => {
+            for (const w of waiting.splice(0)) w.reject(err || new Error('STT stream closed'));
+        });
+
+        stream.flush = (timeoutMs = STT_FLUSH_TIMEOUT_MS) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const i = waiting.indexOf(entry);
+                if (i !== -1) waiting.splice(i, 1);
+                reject(new Error(`STT stream flush timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+            const entry = {
+                resolve: (msg) => { clearTimeout(timer); resolve(msg); },
+                reject:  (err) => { clearTimeout(timer); reject(err); },
+            };
+            waiting.push(entry);
+            stream.send({ type: 'flush' });
+        });
+
+        return stream;
+    }
+
+    async function transcribe(audioBase64, language = 'en') {
+        try {
+            const { data } = await withFailover('STT', http => http.post('/stt/transcribe', {
+                audio:       audioBase64,
+                language,
+                sample_rate: 16000,
+            }, { timeout: 20000 }));
+            logger.info(`STT result: "${data.text}" (${data.processing_time_ms}ms)`);
+            return data;
+        } catch (err) {
+            logger.error('GPU STT error', { error: err.message });
+            throw err;
+        }
+    }
+
+    async function synthesize(text, language = 'en', voice = null) {
+        try {
+            const payload = { text, language, streaming: false };
+            if (voice) payload.voice = voice;
+            const { data } = await withFailover('TTS', http => http.post('/tts/synthesize', payload, { timeout: 15000 }));
+            logger.info(`TTS complete: ${data.audio_duration_ms}ms audio in ${data.processing_time_ms}ms`);
+            return data;
+        } catch (err) {
+            logger.error('GPU TTS error', { error: err.message });
+            throw err;
+        }
+    }
+
+    // Failover covers opening the stream; once audio is flowing a server
+    // failure ends that utterance (pipeline.js stream error/stall handling).
+    // options.signal aborts the request; destroying the stream ends the body.
+    async function synthesizeStream(text, language = 'en', voice = null, { signal } = {}) {
+        try {
+            const payload = { text, language, streaming: true };
+            if (voice) payload.voice = voice;
+            const response = await withFailover('TTS', http => http.post('/tts/synthesize', payload, {
+                responseType: 'stream',
+                timeout:      15000,
+                signal,
+            }));
+            return response.data;
+        } catch (err) {
+            logger.error('GPU TTS stream error', { error: err.message });
+            throw err;
+        }
     }
-}
 
-async function health() {
-    try {
-        const { data } = await gpuHttp.get('/health', { timeout: 5000 });
-        return data;
-    } catch (err) {
-        logger.error('GPU health check failed', { error: err.message });
-        throw err;
+    async function resetVAD(sessionId) {
+        const server = vadPins.get(sessionId);
+        vadPins.delete(sessionId);
+        if (!server) return;
+        try {
+            await server.http.post(`/vad/reset?session_id=${sessionId}`, {}, { timeout: 5000 });
+        } catch (err) {
+            logger.warn('GPU VAD reset failed', { callSid: sessionId, server: server.url, error: err.message });
+        }
     }
+
+    /**
+     * Smart Turn Detection — ask the GPU server whether the user has finished
+     * their turn (pipecat: LocalSmartTurnAnalyzerV3 / predict_endpoint).
+     *
+     * Called immediately after VAD emits speech_end with the full speech buffer
+     * for the current utterance (PCM base64, same format as STT input).
+     *
+     * Returns: { complete: bool, confidence: float, fallback: bool }
+     * Always resolves — never throws. On network error returns complete=true
+     * (safe fallback: proceed to transcribe as normal).
+     *
+     * Timeout: 1500ms — Smart Turn v3 CPU inference is ~12–65ms. The generous
+     * timeout accounts for network RTT to RunPod. If we miss the window the
+     * fallback is just the old silence-only behavior, not a broken call.
+     */
+    async function checkTurnComplete(audioBase64) {
+        try {
+            const { data } = await withFailover('Smart Turn', http => http.post('/vad/turn_complete', {
+                audio:       audioBase64,
+                sample_rate: 16000,
+            }, { timeout: 1500 }));
+            return data;
+        } catch (err) {
+            // Don't log at error level — occasional timeouts are expected
+            logger.warn('Smart Turn check failed (fallback: complete=true)', { error: err.message });
+            return { complete: true, confidence: 1.0, fallback: true };
+        }
+    }
+
+    /**
+     * Pool state as of the last probes, without probing (admission control):
+     * server counts and the lowest GPU utilization among healthy servers.
+     */
+    function capacity() {
+        const healthy = servers.filter(s => s.healthy);
+        const loads   = healthy.map(s => s.utilization).filter(u => u !== null);
+        return {
+            total:       servers.length,
+            healthy:     healthy.length,
+            utilization: loads.length ? Math.min(...loads) : null,
+        };
+    }
+
+    /**
+     * Probe every server now. Resolves with the pool status; rejects only when
+     * no server is healthy.
+     */
+    async function health() {
+        await Promise.all(servers.map(probe));
+        const healthyCount = servers.filter(s => s.healthy).length;
+
+        const status = {
+            status:          healthyCount === servers.length ? 'healthy' : 'degraded',
+            healthy_servers: healthyCount,
+            total_servers:   servers.length,
+            servers:         servers.map(s => ({
+                url:             s.url,
+                healthy:         s.healthy,
+                gpu_utilization: s.utilization,
+                active_requests: s.inFlight,
+                vad_sessions:    [...vadPins.values()].filter(p => p === s).length,
+                models_loaded:   s.lastHealth?.models_loaded,
+                error:           s.lastError || undefined,
+            })),
+        };
+
+        if (healthyCount === 0) {
+            const err = new Error(servers.length ? 'No healthy GPU servers' : 'No GPU servers configured');
+            err.status = status;
+            logger.error('GPU health check failed', { error: err.message });
+            throw err;
+        }
+        return status;
+    }
+
+    return { urls: list, detectVAD, openVADStream, transcribe, openSTTStream, synthesize, synthesizeStream, resetVAD, checkTurnComplete, health, capacity };
 }
 
-module.exports = { detectVAD, transcribe, synthesize, synthesizeStream, resetVAD, checkTurnComplete, health };
\ No newline at end of file
+module.exports = { ...createGpuClient(), createGpuClient };
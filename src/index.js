@@ -6,9 +6,22 @@ const express = require('express');
 const http = require('http');
 const logger = require('./utils/logger');
 const twimlRouter = require('./twilio/twiml');
+const outboundApiRouter = require('./api/outbound');
+const campaignsApiRouter = require('./api/campaigns');
+const supervisorApiRouter = require('./api/supervisor');
+const outboxApiRouter = require('./api/outbox');
+const clusterApiRouter = require('./api/cluster');
 const { attachMediaStreamHandler } = require('./twilio/mediastream');
+const { attachMonitorHandler } = require('./api/monitor');
 const { callManager } = require('./orchestrator/callmanager');
 const gpuClient = require('./gpu/client');
+const metrics = require('./utils/metrics');
+const { startRetentionSweeper } = require('./orchestrator/recorder');
+const { outbox } = require('./orchestrator/outbox');
+const { webhookOutbox } = require('./orchestrator/webhooks');
+const { drain, isDraining, drainStatus } = require('./orchestrator/drain');
+const { registry, instance, startRegistry } = require('./orchestrator/registry');
+const { holdQueue } = require('./orchestrator/queue');
 const fs = require('fs');
 
 // ----------------------------------------------------------------
@@ -28,26 +41,58 @@ app.use(express.json());
 
 // Health check (for monitoring)
 app.get('/health', async (req, res) => {
+    // 200 while at least one GPU server in the pool is healthy — calls can
+    // still be served; 'degraded' means some servers are out of rotation.
+    // 503 'draining' while shutting down, so no new calls are routed here.
+    if (isDraining()) {
+        return res.status(503).json({
+            status: 'draining',
+            active_calls: callManager.count(),
+            instance: { id: instance.id, registry: registry.type },
+            drain: drainStatus()
+        });
+    }
     try {
         const gpuHealth = await gpuClient.health();
         res.json({
-            status: 'healthy',
+            status: gpuHealth.status,
             active_calls: callManager.count(),
+            instance: { id: instance.id, registry: registry.type },
             gpu_server: gpuHealth
         });
     } catch (err) {
         res.status(503).json({
             status: 'degraded',
             active_calls: callManager.count(),
-            gpu_server: 'unreachable',
+            instance: { id: instance.id, registry: registry.type },
+            gpu_server: err.status || 'unreachable',
             error: err.message
         });
     }
 });
 
+// Prometheus scrape endpoint — per-stage turn latency, interrupts, VAD drops,
+// tool calls, errors (see utils/metrics.js)
+app.get('/metrics', (req, res) => {
+    metrics.activeCalls.set({}, callManager.count());
+    metrics.outboxEntries.set({ queue: 'pending' }, outbox.pending.size);
+    metrics.outboxEntries.set({ queue: 'dead' }, outbox.dead.size);
+    metrics.queuedCalls.set({}, holdQueue.size);
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Twilio webhooks
 app.use('/twilio', twimlRouter);
 
+// Internal API (called by Laravel, X-Internal-Secret auth)
+app.use('/calls', outboundApiRouter);
+app.use('/calls', supervisorApiRouter);
+app.use('/campaigns', campaignsApiRouter);
+app.use('/outbox', outboxApiRouter);
+
+// Other orchestrator instances (X-Internal-Secret auth) — see orchestrator/registry.js
+app.use('/cluster', clusterApiRouter);
+
 // ----------------------------------------------------------------
 // HTTP server (needed for WS upgrade)
 // ----------------------------------------------------------------
@@ -56,6 +101,14 @@ const server = http.createServer(app);
 // Attach Twilio MediaStream WebSocket handler
 attachMediaStreamHandler(server);
 
+// Live call monitor for supervisors (X-Internal-Secret auth)
+attachMonitorHandler(server);
+
+// Upgrades no handler above claimed
+server.on('upgrade', (request, socket) => {
+    if (!request.upgradeHandled) socket.destroy();
+});
+
 // ----------------------------------------------------------------
 // Start
 // ----------------------------------------------------------------
@@ -64,28 +117,47 @@ const PORT = process.env.PORT || 3000;
 server.listen(PORT, async () => {
     logger.info(`Main server listening on port ${PORT}`);
 
-    // Check GPU server on startup
+    // Delete call recordings past RECORDING_RETENTION_DAYS
+    startRetentionSweeper();
+
+    // Record which calls this instance owns, for the others to forward to
+    startRegistry();
+
+    // Resume Laravel notifications and customer webhooks left undelivered by the last run
+    outbox.start();
+    webhookOutbox.start();
+
+    // Check GPU servers on startup
     try {
         const gpuHealth = await gpuClient.health();
-        logger.info('GPU server reachable', {
-            status: gpuHealth.status,
-            gpu: gpuHealth.gpu_utilization ? `${gpuHealth.gpu_utilization}%` : 'N/A',
-            models: gpuHealth.models_loaded
-        });
+        for (const s of gpuHealth.servers) {
+            logger.info(`GPU server ${s.url}: ${s.healthy ? 'reachable' : 'unreachable'}`, {
+                gpu: s.gpu_utilization !== null ? `${s.gpu_utilization}%` : 'N/A',
+                models: s.models_loaded,
+                error: s.error
+            });
+        }
     } catch (err) {
-        logger.warn('GPU server not reachable on startup - will retry on first call', { error: err.message });
+        logger.warn('No GPU server reachable on startup - will keep probing', { error: err.message });
     }
 });
 
 // ----------------------------------------------------------------
-// Graceful shutdown
+// Graceful shutdown — drain live calls first (orchestrator/drain.js).
+// The server keeps listening meanwhile: live calls still need their
+// MediaStreams and Twilio callbacks.
 // ----------------------------------------------------------------
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-        logger.info('Server closed');
-        process.exit(0);
-    });
+process.on('SIGTERM', async () => {
+    if (isDraining()) {
+        logger.warn('SIGTERM received while already draining — ignored');
+        return;
+    }
+    logger.info('SIGTERM received, draining before shutdown');
+    await drain();
+    await registry.stop();
+    server.close();
+    logger.info('Server closed');
+    process.exit(0);
 });
 
 process.on('uncaughtException', (err) => {
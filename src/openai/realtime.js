@@ -4,7 +4,9 @@ const WebSocket      = require('ws');
 const { EventEmitter } = require('events');
 const logger           = require('../utils/logger');
 
-const OPENAI_WS_URL = 'wss://api.openai.com/v1/realtime';
+// OPENAI_REALTIME_URL: another Realtime-compatible endpoint, e.g. the call
+// simulator's fake (src/test/fakes/openai.js)
+const OPENAI_WS_URL = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime';
 
 // Send a WebSocket ping every 25 seconds to prevent idle connection closure.
 // OpenAI closes connections with no activity after ~60 seconds. On a quiet
@@ -142,7 +144,12 @@ class OpenAIRealtimeClient extends EventEmitter {
         }
     }
 
-    sendUserMessage(text) {
+    /**
+     * Add a user message and request a response. metadata, if given, is
+     * attached to that response and comes back on response_created — the
+     * only way to tell which response.create a response belongs to.
+     */
+    sendUserMessage(text, metadata = null) {
         if (!this.isConnected) {
             logger.warn('OpenAI not connected, dropping message', { callSid: this.callSid });
             return;
@@ -154,7 +161,7 @@ class OpenAIRealtimeClient extends EventEmitter {
                 content: [{ type: 'input_text', text }],
             },
         });
-        this._send({ type: 'response.create' });
+        this._send(metadata ? { type: 'response.create', response: { metadata } } : { type: 'response.create' });
         logger.info(`User → OpenAI: "${text}"`, { callSid: this.callSid });
     }
 
@@ -205,7 +212,7 @@ class OpenAIRealtimeClient extends EventEmitter {
         switch (event.type) {
 
             case 'response.text.delta':
-                this.emit('text_delta', event.delta);
+                this.emit('text_delta', event.delta, event.response_id);
                 break;
 
             // ── Conversation item tracking (for context summarization) ────────
@@ -220,11 +227,12 @@ class OpenAIRealtimeClient extends EventEmitter {
 
             case 'response.text.done':
                 logger.info(`OpenAI → text done: "${event.text?.slice(0, 100)}"`, { callSid: this.callSid });
-                this.emit('text_done', event.text);
+                this.emit('text_done', event.text, event.response_id);
                 break;
 
             case 'response.created':
                 this.currentResponseId = event.response?.id;
+                this.emit('response_created', this.currentResponseId, event.response);
                 break;
 
             case 'response.done':
@@ -250,7 +258,7 @@ class OpenAIRealtimeClient extends EventEmitter {
                     this.pendingFunctionCalls.delete(event.call_id);
                     try {
                         const args = JSON.parse(pending.args);
-                        this.emit('function_call', { call_id: event.call_id, name: pending.name, args });
+                        this.emit('function_call', { call_id: event.call_id, name: pending.name, args, response_id: event.response_id });
                     } catch (err) {
                         logger.error('Failed to parse function call args', { callSid: this.callSid, error: err.message });
                     }
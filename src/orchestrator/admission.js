@@ -0,0 +1,110 @@
+'use strict';
+
+const logger          = require('../utils/logger');
+const gpuClient       = require('../gpu/client');
+const { counters }    = require('../utils/metrics');
+const { callManager } = require('./callmanager');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Admission control for incoming calls (POST /twilio/incoming).
+//
+// Every call shares the GPU pool and the OpenAI key, so a call only gets a
+// MediaStream when there is room for it:
+//
+//   global_limit        MAX_CONCURRENT_CALLS live calls on this instance
+//   organization_limit  the organization's org_max_concurrent (from Laravel's
+//                       /calls/incoming response, else ORG_MAX_CONCURRENT_CALLS)
+//   gpu_unavailable     no server in the default GPU pool passes its probe
+//   gpu_busy            every healthy GPU server is at GPU_MAX_UTILIZATION %
+//
+// A limit of 0 means no limit. Calls count from the moment their TwiML is
+// sent: between that and the MediaStream connecting there's no session yet,
+// so admitted calls hold a reservation until it does (or RESERVATION_TTL_MS
+// passes — the caller hung up first).
+//
+// Refused calls get the assistant's overflow action (twilio/twiml.js).
+// Counts are per instance; with several instances set the limits per
+// instance.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MAX_CONCURRENT_CALLS     = parseInt(process.env.MAX_CONCURRENT_CALLS || '0', 10);
+const ORG_MAX_CONCURRENT_CALLS = parseInt(process.env.ORG_MAX_CONCURRENT_CALLS || '0', 10);
+const GPU_MAX_UTILIZATION      = parseFloat(process.env.GPU_MAX_UTILIZATION || '95');
+const RESERVATION_TTL_MS       = 30000;
+
+const reservations = new Map();   // callSid → { organizationId, timer }
+
+callManager.on('session_created', (session) => unreserve(session.callSid));
+
+function reserve(callSid, organizationId) {
+    unreserve(callSid);
+    const timer = setTimeout(() => reservations.delete(callSid), RESERVATION_TTL_MS);
+    timer.unref?.();
+    reservations.set(callSid, { organizationId, timer });
+}
+
+function unreserve(callSid) {
+    const reservation = reservations.get(callSid);
+    if (!reservation) return;
+    clearTimeout(reservation.timer);
+    reservations.delete(callSid);
+}
+
+function reservedFor(organizationId) {
+    let n = 0;
+    for (const reservation of reservations.values()) {
+        if (String(reservation.organizationId) === String(organizationId)) n++;
+    }
+    return n;
+}
+
+function gpuRefusal() {
+    const pool = gpuClient.capacity();
+    if (pool.total === 0) return null;
+    if (pool.healthy === 0) return 'gpu_unavailable';
+    if (pool.utilization !== null && pool.utilization >= GPU_MAX_UTILIZATION) return 'gpu_busy';
+    return null;
+}
+
+// Why a call of config's organization can't start now, or null
+function refusal(config) {
+    const orgLimit = parseInt(config.org_max_concurrent ?? ORG_MAX_CONCURRENT_CALLS, 10) || 0;
+    const orgCalls = config.organization_id != null
+        ? callManager.countByOrganization(config.organization_id) + reservedFor(config.organization_id)
+        : 0;
+
+    if (MAX_CONCURRENT_CALLS > 0 && callManager.count() + reservations.size >= MAX_CONCURRENT_CALLS) return 'global_limit';
+    if (orgLimit > 0 && orgCalls >= orgLimit) return 'organization_limit';
+    return gpuRefusal();
+}
+
+/**
+ * Decide whether an incoming call may start. config is Laravel's
+ * /calls/incoming response. Returns { admitted: true } — the call is then
+ * counted — or { admitted: false, reason }.
+ */
+function admit(callSid, config) {
+    const reason = refusal(config);
+    if (reason) {
+        logger.warn(`Admission refused: ${reason}`, {
+            callSid, organizationId: config.organization_id, active: callManager.count() + reservations.size,
+        });
+        counters.calls_refused.inc({ reason });
+        return { admitted: false, reason };
+    }
+
+    reserve(callSid, config.organization_id);
+    return { admitted: true };
+}
+
+/**
+ * Same check for a caller waiting in the hold queue (queue.js), which
+ * retries often: not logged or counted as a refusal again.
+ */
+function admitQueued(callSid, config) {
+    const reason = refusal(config);
+    if (!reason) reserve(callSid, config.organization_id);
+    return { admitted: !reason, reason };
+}
+
+module.exports = { admit, admitQueued };
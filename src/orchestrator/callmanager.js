@@ -3,22 +3,57 @@
 const { EventEmitter } = require('events');
 const { v4: uuidv4 }   = require('uuid');
 const logger            = require('../utils/logger');
+const { interpolateSpoken } = require('../utils/template');
+const { CallMetrics }       = require('../utils/metrics');
+
+// ─── Silence re-prompt ladder ────────────────────────────────────────────────
+// Instead of hanging up the moment silence_timeout_seconds elapses, ask if the
+// caller is still there (up to MAX_SILENCE_REPROMPTS times), then hang up after
+// a final SILENCE_HANGUP_SECONDS window. Callers who pause to look something
+// up get a nudge instead of a dial tone.
+//
+// Per assistant:
+//   silence_reprompts:      ['...', '...'] or { en: [...], es: [...] }  ([] disables)
+//   silence_max_reprompts:  number of re-prompts before hanging up
+//   silence_hangup_seconds: final window after the last re-prompt
+const MAX_SILENCE_REPROMPTS = 2;
+
+const DEFAULT_SILENCE_REPROMPTS = {
+    en: ['Are you still there?', "I haven't heard anything. Are you still on the line?"],
+    es: ['¿Sigue ahí?', 'No le escucho. ¿Sigue en la línea?'],
+    fr: ['Êtes-vous toujours là ?', "Je ne vous entends plus. Êtes-vous toujours en ligne ?"],
+    de: ['Sind Sie noch da?', 'Ich höre nichts. Sind Sie noch in der Leitung?'],
+    pt: ['Você ainda está aí?', 'Não estou ouvindo nada. Você ainda está na linha?'],
+    it: ['È ancora lì?', 'Non sento nulla. È ancora in linea?'],
+};
+
+// ─── Monitored state ─────────────────────────────────────────────────────────
+// The pipeline assigns these directly from dozens of places. Each is an
+// accessor on CallSession that emits 'state_changed' when the value actually
+// changes, so the live monitor (api/monitor.js) sees every transition without
+// the pipeline having to report them.
+const MONITORED_STATE = ['status', 'isAISpeaking', 'awaitingTurnConfirmation'];
 
 class CallSession extends EventEmitter {
-    constructor({ callSid, callerPhone, assistantId, organizationId, systemPrompt, language, voice, assistantConfig, twilioAccountSid, twilioAuthToken }) {
+    constructor({ callSid, callerPhone, assistantId, organizationId, systemPrompt, language, voice, assistantConfig, twilioAccountSid, twilioAuthToken, direction, dynamicVariables, metadata, publicBaseUrl }) {
         super();
+        this._state = {};   // backing store for MONITORED_STATE
+        this.setMaxListeners(0);   // any number of monitors may subscribe
 
         // Identity
         this.callSid        = callSid;
         this.callerPhone    = callerPhone;
         this.assistantId    = assistantId;
         this.organizationId = organizationId;
+        this.direction      = direction || 'inbound';   // inbound | outbound
+        this.metadata       = metadata  || {};          // outbound: campaign/contact IDs
         this.sessionId      = uuidv4();
 
         // Config
         this.assistantConfig  = assistantConfig || {};
         this.twilioAccountSid = twilioAccountSid;
         this.twilioAuthToken  = twilioAuthToken;
+        this.publicBaseUrl    = publicBaseUrl || null;   // for Twilio callback URLs (warm transfer)
 
         // Language / voice
         this.language = language || 'en';
@@ -28,14 +63,20 @@ class CallSession extends EventEmitter {
         this.systemPrompt = systemPrompt;
 
         // Lifecycle
-        this.status = 'connecting';   // connecting | active | ending | ended
+        this.status = 'connecting';   // connecting | active | transferring | ending | ended
+
+        // Transfer in progress (pipeline.js) — caller off the MediaStream
+        // while the target rings / on hold. transferVoicemail is the message
+        // recorded by a voicemail transfer_fallback.
+        this.transfer          = null;
+        this.transferVoicemail = null;
 
         // AI speaking / user speaking flags
         this.isSpeaking   = false;
         this.isAISpeaking = false;
 
-        // Dynamic variables from custom tool responses
-        this.dynamicVariables = {};
+        // Dynamic variables: seeded by outbound calls, extended by custom tool responses
+        this.dynamicVariables = { ...(dynamicVariables || {}) };
 
         // ── FIX: initialize all pipeline state in constructor ─────────────────
         // Previously these were initialized lazily with patterns like:
@@ -52,9 +93,27 @@ class CallSession extends EventEmitter {
 
         // VAD coordination
         this.vadInFlight          = false;  // true while one VAD HTTP call is pending
+        this.vadStream            = null;   // streaming VAD socket (VAD_TRANSPORT=stream)
+        this.vadPending           = [];     // batches sent on vadStream awaiting results
+        this.vadQueue             = Promise.resolve();  // serializes VAD result handling
+        this.vadStreamRetryAt     = 0;      // no stream reconnect before this time
+        this.vadStats             = { http_batches: 0, stream_batches: 0, dropped: 0, stream_disconnects: 0 };
         this.speechStartCount     = 0;      // consecutive speech_start events in current turn
         this.speechStartedAt      = null;   // Date.now() when current turn started
         this.transcribeInFlight   = false;  // guards against concurrent STT calls
+        this.sttStream            = null;   // streaming STT for the current turn (STT_TRANSPORT=stream)
+        this.sttPartial           = '';     // latest interim hypothesis from sttStream
+        this.speculation          = null;   // speculative response during a Smart Turn hold
+        this.speculationStats     = { started: 0, committed: 0, cancelled: 0 };
+
+        // Latency / counters for /metrics and the call-complete payload
+        this.metrics              = new CallMetrics();
+        this.turnTiming           = null;   // current turn: { speechEndAt, sentAt, firstTokenAt }
+        this.holdStartedAt        = null;   // Smart Turn INCOMPLETE hold began
+
+        // Call recording (assistantConfig.record_calls)
+        this.recorder             = null;   // CallRecorder while the call is live
+        this.recording            = null;   // { path, duration_seconds, ... } once finished
 
         // ── STT mute during AI speaking (pipecat: STTMuteFilter) ──────────────
         // Track whether user speech was first detected while the AI was playing.
@@ -95,6 +154,32 @@ class CallSession extends EventEmitter {
         // summarizing. Populated by realtime.js item_created events.
         this.conversationItemIds = [];
 
+        // ── Voicemail detection (outbound calls, assistantConfig.voicemail_detection) ──
+        this.voicemailDetector = null;    // VoicemailDetector, set by pipeline
+        this.voicemailMode     = false;   // true once a machine is detected
+        this.amdResult         = null;    // Twilio AnsweredBy if AMD beat the MediaStream
+
+        // ── Non-interruptible speech (custom tool disable_interruptions,
+        //    transfer_message, disable_first_message_interruptions) ──────────
+        // While any of these are set, interruptAI() is a no-op and completed
+        // user turns are held in deferredUserInput until playback finishes.
+        this.protectedSpeech     = 0;       // protected utterances queued or playing
+        this.protectNextResponse = false;   // next OpenAI response is protected
+        this.protectedResponseId = null;    // OpenAI response currently protected
+        this.protectAfterResponseId = null; // response in flight when protection was requested
+        this.protectionTimer     = null;    // releases a protected response that never finishes
+        this.deferredUserInput   = [];      // transcripts awaiting protected playback
+
+        // ── Supervisor controls (api/supervisor.js) ────────────────────────────
+        this.aiMuted           = false;   // AI replies dropped until unmuted
+        this.supervisorActions = [];      // audit trail → supervisor_actions in the payload
+
+        // Hold queue wait before the call connected (twilio/twiml.js) → queue in the payload
+        this.queue = null;
+
+        // Silence re-prompts spoken since the caller last spoke
+        this.silenceRepromptCount = 0;
+
         // Timers
         this.silenceTimer      = null;
         this.maxDurationTimer  = null;
@@ -102,6 +187,7 @@ class CallSession extends EventEmitter {
 
         // References set by pipeline
         this.openaiClient    = null;
+        this.toolNames       = new Set();   // tools offered to the LLM
         this.mediaStreamWs   = null;
         this.twilioStreamSid = null;
         this._twilioClient   = null;  // cached Twilio REST client
@@ -111,6 +197,53 @@ class CallSession extends EventEmitter {
         this.speechBuffer.push(chunk);
     }
 
+    /**
+     * Append a transcript entry and emit it as 'transcript' for live monitors.
+     * role: 'user' | 'agent'
+     */
+    addTranscript(role, message) {
+        const entry = { role, message, time_in_call_secs: this.getDurationSeconds() };
+        this.transcript.push(entry);
+        this.emit('transcript', entry);
+        return entry;
+    }
+
+    /**
+     * Audit a supervisor action: logged, kept for the call-complete payload
+     * and emitted as 'supervisor_action' for live monitors. Returns the entry
+     * so the pipeline can add the outcome of slow actions (takeover).
+     */
+    recordSupervisorAction(action, supervisor, details = {}) {
+        const entry = {
+            action,
+            supervisor,
+            at:                new Date().toISOString(),
+            time_in_call_secs: this.getDurationSeconds(),
+            ...details,
+        };
+        this.supervisorActions.push(entry);
+        logger.info(`Supervisor action: ${action}`, { callSid: this.callSid, supervisor, ...details });
+        this.emit('supervisor_action', entry);
+        return entry;
+    }
+
+    /** Snapshot of the live state, for the monitor's session list. */
+    getMonitorState() {
+        return {
+            callSid:                  this.callSid,
+            direction:                this.direction,
+            caller_phone:             this.callerPhone,
+            assistant_id:             this.assistantId,
+            organization_id:          this.organizationId,
+            language:                 this.language,
+            status:                   this.status,
+            isAISpeaking:             this.isAISpeaking,
+            awaitingTurnConfirmation: this.awaitingTurnConfirmation,
+            aiMuted:                  this.aiMuted,
+            duration_secs:            this.getDurationSeconds(),
+        };
+    }
+
     flushSpeechBuffer() {
         if (this.speechBuffer.length === 0) return Buffer.alloc(0);
         const combined    = Buffer.concat(this.speechBuffer);
@@ -118,16 +251,72 @@ class CallSession extends EventEmitter {
         return combined;
     }
 
+    /**
+     * Arm the silence timer. Each time it fires without the caller speaking,
+     * the next re-prompt is emitted as 'silence_reprompt' (the pipeline speaks
+     * it and re-arms the timer once playback ends). When the ladder is
+     * exhausted — or no pipeline is listening — onHangup() runs.
+     */
     startSilenceTimer(onHangup) {
         this.clearSilenceTimer();
         const configuredTimeout = this.assistantConfig.silence_timeout_seconds;
         const timeoutMs = (configuredTimeout && configuredTimeout > 0)
             ? configuredTimeout * 1000
             : parseInt(process.env.SILENCE_TIMEOUT_SECONDS || '10') * 1000;
+
+        const reprompts = this.getSilenceReprompts();
+        const canReprompt = this.silenceRepromptCount < reprompts.length &&
+            this.listenerCount('silence_reprompt') > 0;
+
+        if (canReprompt) {
+            this.silenceTimer = setTimeout(() => {
+                // Fired: the pipeline re-arms it once the re-prompt is spoken (or fails)
+                this.silenceTimer = null;
+                const phrase = interpolateSpoken(reprompts[this.silenceRepromptCount], this.getTemplateVars());
+                this.silenceRepromptCount++;
+                logger.info(`Silence timeout — re-prompt ${this.silenceRepromptCount}/${reprompts.length}`, { callSid: this.callSid });
+                this.emit('silence_reprompt', phrase);
+            }, timeoutMs);
+            return;
+        }
+
+        // After at least one re-prompt, the final window is silence_hangup_seconds
+        const configuredHangup = this.assistantConfig.silence_hangup_seconds;
+        const hangupMs = this.silenceRepromptCount === 0
+            ? timeoutMs
+            : (configuredHangup && configuredHangup > 0)
+                ? configuredHangup * 1000
+                : parseInt(process.env.SILENCE_HANGUP_SECONDS || '15') * 1000;
+
         this.silenceTimer = setTimeout(() => {
+            this.silenceTimer = null;
             logger.info('Silence timeout — ending call', { callSid: this.callSid });
             onHangup();
-        }, timeoutMs);
+        }, hangupMs);
+    }
+
+    /**
+     * Re-prompt phrases for the current language, capped at
+     * silence_max_reprompts. Empty array = hang up on first timeout.
+     */
+    getSilenceReprompts() {
+        const configured = this.assistantConfig.silence_reprompts;
+        let phrases;
+        if (Array.isArray(configured)) {
+            phrases = configured;
+        } else if (configured && typeof configured === 'object') {
+            phrases = configured[this.language] || DEFAULT_SILENCE_REPROMPTS[this.language] || [];
+        } else {
+            phrases = DEFAULT_SILENCE_REPROMPTS[this.language] || [];
+        }
+
+        const configuredMax = this.assistantConfig.silence_max_reprompts;
+        const max = Number.isInteger(configuredMax) && configuredMax >= 0 ? configuredMax : MAX_SILENCE_REPROMPTS;
+        return phrases.filter(p => typeof p === 'string' && p.trim()).slice(0, max);
+    }
+
+    resetSilenceReprompts() {
+        this.silenceRepromptCount = 0;
     }
 
     clearSilenceTimer() {
@@ -154,10 +343,44 @@ class CallSession extends EventEmitter {
             clearTimeout(this.maxDurationTimer);
             this.maxDurationTimer = null;
         }
+        clearTimeout(this.protectionTimer);
+        this.protectionTimer = null;
         // No turnConfirmationTimer — Smart Turn fallback is silence-counter-based,
         // not timer-based. Nothing to cancel here.
     }
 
+    /**
+     * Variables available to {{placeholder}} templates in tool requests and
+     * spoken messages. Dynamic variables (outbound seed + tool assignments)
+     * win over the built-ins, except the system__* aliases which are always
+     * the real call values.
+     */
+    getTemplateVars() {
+        const config = this.assistantConfig;
+        const system = {
+            call_sid:        this.callSid,
+            caller_phone:    this.callerPhone,
+            assistant_id:    this.assistantId,
+            organization_id: this.organizationId,
+            language:        this.language,
+            direction:       this.direction,
+        };
+        return {
+            ...system,
+            assistant: {
+                id:       this.assistantId,
+                name:     config.name,
+                language: config.language,
+                voice:    config.voice,
+            },
+            ...this.dynamicVariables,
+            system__call_sid:     this.callSid,
+            system__caller_id:    this.callerPhone,
+            system__assistant_id: this.assistantId,
+            system__call_duration_secs: this.getDurationSeconds(),
+        };
+    }
+
     getDurationSeconds() {
         return Math.round((Date.now() - this.startTime) / 1000);
     }
@@ -169,8 +392,25 @@ class CallSession extends EventEmitter {
     }
 }
 
-class CallManager {
+for (const field of MONITORED_STATE) {
+    Object.defineProperty(CallSession.prototype, field, {
+        get() { return this._state[field]; },
+        set(value) {
+            if (this._state[field] === value) return;
+            this._state[field] = value;
+            this.emit('state_changed', { field, value });
+        },
+    });
+}
+
+/**
+ * Emits 'session_created' (session) and 'session_removed' (callSid) so the
+ * live monitor can keep its call list current.
+ */
+class CallManager extends EventEmitter {
     constructor() {
+        super();
+        this.setMaxListeners(0);   // two listeners per connected monitor
         this.sessions = new Map();
     }
 
@@ -178,6 +418,7 @@ class CallManager {
         const session = new CallSession(params);
         this.sessions.set(params.callSid, session);
         logger.info('Call session created', { callSid: params.callSid });
+        this.emit('session_created', session);
         return session;
     }
 
@@ -191,12 +432,21 @@ class CallManager {
             session.end();
             this.sessions.delete(callSid);
             logger.info('Call session removed', { callSid });
+            this.emit('session_removed', callSid);
         }
     }
 
     count() {
         return this.sessions.size;
     }
+
+    countByOrganization(organizationId) {
+        let n = 0;
+        for (const session of this.sessions.values()) {
+            if (String(session.organizationId) === String(organizationId)) n++;
+        }
+        return n;
+    }
 }
 
 const callManager = new CallManager();
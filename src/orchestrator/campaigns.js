@@ -0,0 +1,462 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const logger         = require('../utils/logger');
+const { callManager } = require('./callmanager');
+const { buildCallCompletePayload } = require('./pipeline');
+const { outbox }      = require('./outbox');
+const { isDraining }  = require('./drain');
+const { placeOutboundCall, outboundEvents } = require('../twilio/outbound');
+
+// ─── Scheduler defaults ──────────────────────────────────────────────────────
+// One tick every 2s is plenty: Twilio's own call setup takes longer than that,
+// and a campaign dialing a few hundred contacts doesn't need sub-second pacing.
+const TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS || '2000');
+
+// Per-organization cap on concurrent calls (inbound + outbound + still ringing).
+// Checked against callManager.countByOrganization() so a campaign can never
+// starve the organization's inbound lines. Overridable per campaign.
+const DEFAULT_ORG_MAX_CONCURRENT = parseInt(process.env.CAMPAIGN_ORG_MAX_CONCURRENT || '5');
+
+const DEFAULT_CALLING_HOURS = { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5, 6] };
+
+// Outcomes of an attempt that didn't connect — what retry.retry_on can list
+const UNANSWERED_OUTCOMES = ['busy', 'no_answer', 'failed', 'canceled'];
+
+const DEFAULT_RETRY = {
+    max_attempts:       3,
+    backoff_seconds:    300,
+    backoff_multiplier: 2,
+    retry_on:           ['busy', 'no_answer', 'failed'],
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Contact lifecycle:
+//   pending → dialing → completed            (answered)
+//                     → retry_wait → dialing  (busy / no_answer / failed, attempts left)
+//                     → failed                (attempts exhausted or non-retryable)
+//   any non-final     → canceled              (campaign canceled)
+const FINAL_CONTACT_STATES = new Set(['completed', 'failed', 'canceled']);
+
+class Campaign {
+    constructor({ assistantId, organizationId, contacts, maxConcurrent, orgMaxConcurrent, callingHours, timezone, retry, ringTimeout }) {
+        this.id               = uuidv4();
+        this.assistantId      = assistantId;
+        this.organizationId   = organizationId;
+        this.maxConcurrent    = maxConcurrent || 1;
+        this.orgMaxConcurrent = orgMaxConcurrent || DEFAULT_ORG_MAX_CONCURRENT;
+        this.callingHours     = { ...DEFAULT_CALLING_HOURS, ...(callingHours || {}) };
+        this.timezone         = timezone || 'UTC';
+        this.retry            = { ...DEFAULT_RETRY, ...(retry || {}) };
+        this.ringTimeout      = ringTimeout || null;
+        this.status           = 'running';   // running | paused | completed | canceled
+        this.createdAt        = new Date().toISOString();
+        this.completedAt      = null;
+        this.progressPosts    = 0;   // numbers the progress outbox keys
+
+        this.contacts = contacts.map((c, i) => ({
+            id:               String(c.id ?? i + 1),
+            phone:            c.phone,
+            timezone:         c.timezone || this.timezone,
+            dynamicVariables: c.dynamic_variables || {},
+            status:           'pending',
+            attempts:         0,
+            nextAttemptAt:    0,
+            callSid:          null,
+            lastOutcome:      null,
+            history:          [],   // [{ call_sid, outcome, at }]
+        }));
+    }
+
+    inFlight() {
+        return this.contacts.filter(c => c.status === 'dialing');
+    }
+
+    progress() {
+        const counts = { pending: 0, dialing: 0, retry_wait: 0, completed: 0, failed: 0, canceled: 0 };
+        for (const c of this.contacts) counts[c.status]++;
+        return {
+            campaign_id:     this.id,
+            assistant_id:    this.assistantId,
+            organization_id: this.organizationId,
+            status:          this.status,
+            total:           this.contacts.length,
+            ...counts,
+            created_at:      this.createdAt,
+            completed_at:    this.completedAt,
+        };
+    }
+
+    toJSON() {
+        return {
+            ...this.progress(),
+            max_concurrent:     this.maxConcurrent,
+            org_max_concurrent: this.orgMaxConcurrent,
+            calling_hours:      this.callingHours,
+            timezone:           this.timezone,
+            retry:              this.retry,
+        };
+    }
+}
+
+class CampaignManager {
+    constructor() {
+        this.campaigns = new Map();
+        this._timer    = null;
+        this._ticking  = false;
+
+        outboundEvents.on('status', (event) => this._onOutboundStatus(event).catch((err) => {
+            logger.error('Campaign status update failed', { callSid: event.context.callSid, error: err.message });
+        }));
+    }
+
+    create(params) {
+        validateCampaignParams(params);
+        const campaign = new Campaign(params);
+        this.campaigns.set(campaign.id, campaign);
+        logger.info(`Campaign created: ${campaign.contacts.length} contacts`, {
+            campaignId: campaign.id, assistantId: campaign.assistantId,
+        });
+        this._ensureTimer();
+        this._postProgress(campaign);
+        return campaign;
+    }
+
+    get(id) {
+        return this.campaigns.get(id) || null;
+    }
+
+    list() {
+        return [...this.campaigns.values()];
+    }
+
+    pause(id) {
+        const campaign = this.get(id);
+        if (!campaign || campaign.status !== 'running') return campaign;
+        campaign.status = 'paused';
+        logger.info('Campaign paused', { campaignId: id });
+        this._postProgress(campaign);
+        return campaign;
+    }
+
+    resume(id) {
+        const campaign = this.get(id);
+        if (!campaign || campaign.status !== 'paused') return campaign;
+        campaign.status = 'running';
+        logger.info('Campaign resumed', { campaignId: id });
+        this._ensureTimer();
+        this._postProgress(campaign);
+        return campaign;
+    }
+
+    /**
+     * Cancel a campaign. Contacts not yet dialed are marked canceled; calls
+     * already ringing or connected are left to finish normally.
+     */
+    cancel(id) {
+        const campaign = this.get(id);
+        if (!campaign || campaign.status === 'completed' || campaign.status === 'canceled') return campaign;
+        campaign.status = 'canceled';
+        for (const contact of campaign.contacts) {
+            if (contact.status === 'pending' || contact.status === 'retry_wait') contact.status = 'canceled';
+        }
+        campaign.completedAt = new Date().toISOString();
+        logger.info('Campaign canceled', { campaignId: id });
+        this._postProgress(campaign);
+        return campaign;
+    }
+
+    _ensureTimer() {
+        if (this._timer) return;
+        this._timer = setInterval(() => this._tick(), TICK_MS);
+        this._timer.unref?.();
+    }
+
+    async _tick() {
+        if (this._ticking) return;
+        this._ticking = true;
+        try {
+            let anyActive = false;
+            for (const campaign of this.campaigns.values()) {
+                if (campaign.status !== 'running') {
+                    if (campaign.status === 'paused') anyActive = true;
+                    continue;
+                }
+                anyActive = true;
+                await this._dialEligible(campaign);
+                this._checkCompletion(campaign);
+            }
+            if (!anyActive) {
+                clearInterval(this._timer);
+                this._timer = null;
+            }
+        } catch (err) {
+            logger.error('Campaign tick failed', { error: err.message });
+        } finally {
+            this._ticking = false;
+        }
+    }
+
+    async _dialEligible(campaign) {
+        // Shutting down: calls already placed finish, nothing new is dialed
+        if (isDraining()) return;
+        const now = Date.now();
+
+        const campaignSlots = campaign.maxConcurrent - campaign.inFlight().length;
+        const orgSlots      = campaign.orgMaxConcurrent - this._activeForOrganization(campaign.organizationId);
+        let slots = Math.min(campaignSlots, orgSlots);
+        if (slots <= 0) return;
+
+        for (const contact of campaign.contacts) {
+            if (slots <= 0 || campaign.status !== 'running') break;
+            if (contact.status !== 'pending' && contact.status !== 'retry_wait') continue;
+            if (contact.nextAttemptAt > now) continue;
+            if (!isWithinCallingHours(campaign.callingHours, contact.timezone, new Date(now))) continue;
+
+            slots--;
+            await this._dial(campaign, contact);
+        }
+    }
+
+    /**
+     * Active calls for an organization: live sessions from callManager plus
+     * campaign calls still ringing (not yet answered, so no session exists).
+     */
+    _activeForOrganization(organizationId) {
+        let ringing = 0;
+        for (const campaign of this.campaigns.values()) {
+            if (String(campaign.organizationId) !== String(organizationId)) continue;
+            for (const contact of campaign.inFlight()) {
+                if (!contact.callSid || !callManager.get(contact.callSid)) ringing++;
+            }
+        }
+        return callManager.countByOrganization(organizationId) + ringing;
+    }
+
+    async _dial(campaign, contact) {
+        contact.status = 'dialing';
+        contact.attempts++;
+        contact.callSid = null;
+
+        try {
+            const context = await placeOutboundCall({
+                assistantId:      campaign.assistantId,
+                toPhone:          contact.phone,
+                dynamicVariables: contact.dynamicVariables,
+                ringTimeout:      campaign.ringTimeout,
+                metadata:         { campaignId: campaign.id, contactId: contact.id },
+            });
+            contact.callSid = context.callSid;
+            logger.info(`Campaign dialing contact ${contact.id} (attempt ${contact.attempts})`, {
+                callSid: context.callSid, campaignId: campaign.id,
+            });
+        } catch (err) {
+            logger.error(`Campaign dial failed for contact ${contact.id}: ${err.message}`, { campaignId: campaign.id });
+            await this._recordOutcome(campaign, contact, 'failed', null);
+        }
+    }
+
+    async _onOutboundStatus({ outcome, context }) {
+        const { campaignId, contactId } = context.metadata || {};
+        if (!campaignId) return;
+
+        const campaign = this.get(campaignId);
+        const contact  = campaign?.contacts.find(c => c.id === contactId);
+        if (!contact || contact.status !== 'dialing') return;
+        // Status can race ahead of placeOutboundCall() returning the CallSid
+        if (contact.callSid && contact.callSid !== context.callSid) return;
+        contact.callSid = context.callSid;
+
+        if (outcome === 'completed') {
+            // Connected calls report 'completed' on hangup. The pipeline already
+            // posted the full /complete payload for those.
+            await this._recordOutcome(campaign, contact, context.answeredAt ? 'answered' : 'failed', context.callSid);
+        } else if (UNANSWERED_OUTCOMES.includes(outcome)) {
+            await this._recordOutcome(campaign, contact, outcome, context.callSid);
+        }
+    }
+
+    async _recordOutcome(campaign, contact, outcome, callSid) {
+        contact.lastOutcome = outcome;
+        contact.history.push({ call_sid: callSid, outcome, at: new Date().toISOString() });
+
+        if (outcome === 'answered') {
+            contact.status = 'completed';
+        } else {
+            if (callSid) await this._postUnansweredCall(campaign, contact, outcome, callSid);
+
+            const retryable = campaign.retry.retry_on.includes(outcome);
+            if (retryable && contact.attempts < campaign.retry.max_attempts && campaign.status !== 'canceled') {
+                const delaySecs = campaign.retry.backoff_seconds *
+                    Math.pow(campaign.retry.backoff_multiplier, contact.attempts - 1);
+                contact.status        = 'retry_wait';
+                contact.nextAttemptAt = Date.now() + delaySecs * 1000;
+                logger.info(`Campaign contact ${contact.id} ${outcome} — retry in ${delaySecs}s`, { campaignId: campaign.id });
+            } else {
+                contact.status = 'failed';
+            }
+        }
+
+        await this._postContactOutcome(campaign, contact);
+        this._checkCompletion(campaign);
+    }
+
+    _checkCompletion(campaign) {
+        if (campaign.status !== 'running') return;
+        if (!campaign.contacts.every(c => FINAL_CONTACT_STATES.has(c.status))) return;
+        campaign.status      = 'completed';
+        campaign.completedAt = new Date().toISOString();
+        logger.info('Campaign completed', { campaignId: campaign.id });
+        this._postProgress(campaign);
+    }
+
+    // Unanswered attempts never get a CallSession, so post the same /complete
+    // payload the pipeline sends for connected calls.
+    async _postUnansweredCall(campaign, contact, outcome, callSid) {
+        await outbox.enqueue(`${callSid}.complete`, `/calls/${callSid}/complete`, buildCallCompletePayload({
+            callSid,
+            assistantId:      campaign.assistantId,
+            organizationId:   campaign.organizationId,
+            direction:        'outbound',
+            status:           'failed',
+            endReason:        outcome,
+            dynamicVariables: contact.dynamicVariables,
+            metadata:         { campaignId: campaign.id, contactId: contact.id },
+        }));
+    }
+
+    // Through the outbox too, one key per attempt / update so none is
+    // mistaken for a retry of the previous one
+    async _postContactOutcome(campaign, contact) {
+        await outbox.enqueue(
+            `campaign.${campaign.id}.contact.${contact.id}.${contact.attempts}`,
+            `/campaigns/${campaign.id}/contacts/${contact.id}`,
+            { campaign_id: campaign.id, ...serializeContact(contact), progress: campaign.progress() },
+        );
+    }
+
+    async _postProgress(campaign) {
+        campaign.progressPosts++;
+        await outbox.enqueue(`campaign.${campaign.id}.progress.${campaign.progressPosts}`, `/campaigns/${campaign.id}/progress`, campaign.progress());
+    }
+}
+
+function serializeContact(contact) {
+    return {
+        contact_id:      contact.id,
+        phone:           contact.phone,
+        timezone:        contact.timezone,
+        status:          contact.status,
+        attempts:        contact.attempts,
+        last_outcome:    contact.lastOutcome,
+        next_attempt_at: contact.status === 'retry_wait' ? new Date(contact.nextAttemptAt).toISOString() : null,
+        call_sid:        contact.callSid,
+        history:         contact.history,
+    };
+}
+
+/**
+ * True if `date` falls inside the calling-hours window in `timezone`.
+ * Window: { start: 'HH:MM', end: 'HH:MM', days: [0-6] } (0 = Sunday).
+ */
+function isWithinCallingHours(window, timezone, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23', weekday: 'short', hour: '2-digit', minute: '2-digit',
+    }).formatToParts(date);
+    const get     = (type) => parts.find(p => p.type === type)?.value;
+    const day     = WEEKDAYS[get('weekday')];
+    const minutes = parseInt(get('hour')) * 60 + parseInt(get('minute'));
+
+    if (Array.isArray(window.days) && !window.days.includes(day)) return false;
+    const start = toMinutes(window.start);
+    const end   = toMinutes(window.end);
+    // Windows may wrap midnight (e.g. 18:00 → 02:00)
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = String(hhmm).split(':').map(n => parseInt(n));
+    return h * 60 + (m || 0);
+}
+
+function isValidTimezone(tz) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function validateCampaignParams({ assistantId, organizationId, contacts, maxConcurrent, orgMaxConcurrent, timezone, callingHours, retry, ringTimeout }) {
+    if (!assistantId)    throw new CampaignValidationError('assistant_id is required');
+    if (!organizationId) throw new CampaignValidationError('organization_id is required');
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+        throw new CampaignValidationError('contacts must be a non-empty array');
+    }
+    // FIX: a cap of 0, a negative one or a string would leave the scheduler
+    // with no free slots (or NaN ones) — the campaign would never dial
+    for (const [name, value] of [['max_concurrent', maxConcurrent], ['org_max_concurrent', orgMaxConcurrent], ['ring_timeout', ringTimeout]]) {
+        if (isSet(value) && !isPositiveInteger(value)) {
+            throw new CampaignValidationError(`${name} must be a positive integer`);
+        }
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+        throw new CampaignValidationError(`Invalid timezone: ${timezone}`);
+    }
+    if (callingHours) {
+        for (const key of ['start', 'end']) {
+            if (callingHours[key] !== undefined && !/^\d{1,2}:\d{2}$/.test(callingHours[key])) {
+                throw new CampaignValidationError(`calling_hours.${key} must be HH:MM`);
+            }
+        }
+        if (isSet(callingHours.days) &&
+            !(Array.isArray(callingHours.days) && callingHours.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+            throw new CampaignValidationError('calling_hours.days must be an array of weekdays 0-6');
+        }
+    }
+    // FIX: retry settings are merged over DEFAULT_RETRY as given, and read
+    // from the outbound status listener — a null retry_on threw there and
+    // left the contact dialing, a string one matched substrings
+    if (isSet(retry)) {
+        if (typeof retry !== 'object' || Array.isArray(retry)) throw new CampaignValidationError('retry must be an object');
+        for (const key of ['max_attempts', 'backoff_seconds', 'backoff_multiplier']) {
+            if (retry[key] !== undefined && !(Number.isFinite(retry[key]) && retry[key] >= 0)) {
+                throw new CampaignValidationError(`retry.${key} must be a non-negative number`);
+            }
+        }
+        if (retry.retry_on !== undefined &&
+            !(Array.isArray(retry.retry_on) && retry.retry_on.every(o => UNANSWERED_OUTCOMES.includes(o)))) {
+            throw new CampaignValidationError(`retry.retry_on must be an array of: ${UNANSWERED_OUTCOMES.join(', ')}`);
+        }
+    }
+    // Outcomes are matched to contacts by id — two with one id would share it
+    const ids = new Set();
+    contacts.forEach((c, i) => {
+        if (!c || !/^\+[1-9]\d{6,14}$/.test(c.phone || '')) {
+            throw new CampaignValidationError(`contacts[${i}].phone must be an E.164 number`);
+        }
+        if (c.timezone && !isValidTimezone(c.timezone)) {
+            throw new CampaignValidationError(`contacts[${i}].timezone is invalid: ${c.timezone}`);
+        }
+        const id = String(c.id ?? i + 1);
+        if (ids.has(id)) throw new CampaignValidationError(`contacts[${i}].id is a duplicate: ${id}`);
+        ids.add(id);
+    });
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+class CampaignValidationError extends Error {}
+
+const campaignManager = new CampaignManager();
+module.exports = { campaignManager, serializeContact, isWithinCallingHours, CampaignValidationError };
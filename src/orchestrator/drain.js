@@ -0,0 +1,120 @@
+'use strict';
+
+const logger            = require('../utils/logger');
+const { interpolateSpoken } = require('../utils/template');
+const { callManager }   = require('./callmanager');
+const { outbox }        = require('./outbox');
+const { webhookOutbox } = require('./webhooks');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Drain mode — zero-downtime deploys.
+//
+// SIGTERM used to close the server and exit, killing every live call
+// mid-sentence and losing their /complete. Now index.js calls drain():
+//
+//   1. New calls are refused: /twilio/incoming answers 503 (Twilio moves on
+//      to the number's Fallback URL), POST /calls/outbound answers 503 and
+//      campaigns stop dialing. /health reports "draining" with a 503 so load
+//      balancers take this instance out of rotation.
+//   2. Calls already up carry on normally for up to DRAIN_TIMEOUT_SECONDS.
+//      Everything they need (MediaStreams, transfer callbacks) is still served.
+//   3. Calls still up at the deadline get 'drain_deadline': the pipeline says
+//      the drain message and hangs up (end_reason "server_shutdown").
+//   4. Both outboxes get one last delivery attempt. Whatever Laravel or a
+//      customer endpoint didn't take stays on disk for the next start.
+//
+// Drain message, first match wins:
+//   assistantConfig.drain_message  ({{variable}} templates allowed)
+//   DRAIN_MESSAGE
+//   DEFAULT_DRAIN_MESSAGES[call language], then English
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DRAIN_TIMEOUT_SECONDS = parseInt(process.env.DRAIN_TIMEOUT_SECONDS || '300');
+// Drain message playback + hangup + /complete, for every call at the deadline
+const DRAIN_HANGUP_MAX_MS   = 30000;
+const DRAIN_FLUSH_MAX_MS    = 15000;
+
+const DEFAULT_DRAIN_MESSAGES = {
+    en: "I'm sorry, I have to end our call now. Please call back in a moment. Goodbye.",
+    es: 'Lo siento, tengo que terminar la llamada ahora. Por favor, vuelva a llamar en un momento. Adiós.',
+    fr: 'Je suis désolé, je dois mettre fin à notre appel. Merci de rappeler dans un instant. Au revoir.',
+    de: 'Es tut mir leid, ich muss unser Gespräch jetzt beenden. Bitte rufen Sie gleich noch einmal an. Auf Wiederhören.',
+    pt: 'Desculpe, preciso encerrar a chamada agora. Por favor, ligue novamente em instantes. Até logo.',
+    it: 'Mi dispiace, devo terminare la chiamata. La preghiamo di richiamare tra un momento. Arrivederci.',
+};
+
+let drainingSince = null;
+
+function isDraining() {
+    return drainingSince !== null;
+}
+
+/** For /health: null unless draining. */
+function drainStatus() {
+    if (!isDraining()) return null;
+    return {
+        since:    new Date(drainingSince).toISOString(),
+        deadline: new Date(drainingSince + DRAIN_TIMEOUT_SECONDS * 1000).toISOString(),
+    };
+}
+
+function drainMessage(session) {
+    const message = session.assistantConfig.drain_message
+        || process.env.DRAIN_MESSAGE
+        || DEFAULT_DRAIN_MESSAGES[session.language]
+        || DEFAULT_DRAIN_MESSAGES.en;
+    return interpolateSpoken(message, session.getTemplateVars());
+}
+
+// Resolves once every session is gone, or at the deadline
+function waitForCalls(deadline) {
+    return new Promise((resolve) => {
+        const done = () => {
+            clearTimeout(timer);
+            callManager.off('session_removed', check);
+            resolve();
+        };
+        const check = () => { if (callManager.count() === 0) done(); };
+        const timer = setTimeout(done, Math.max(0, deadline - Date.now()));
+        callManager.on('session_removed', check);
+        check();
+    });
+}
+
+/**
+ * Stop taking calls, let the live ones finish (or end them at the deadline)
+ * and flush post-call data. Resolves when the process can exit.
+ */
+async function drain() {
+    if (isDraining()) return;
+    drainingSince = Date.now();
+    logger.info(`Draining: ${callManager.count()} active call(s), deadline in ${DRAIN_TIMEOUT_SECONDS}s`);
+
+    await waitForCalls(drainingSince + DRAIN_TIMEOUT_SECONDS * 1000);
+
+    if (callManager.count() > 0) {
+        logger.warn(`Drain deadline reached — ending ${callManager.count()} call(s)`);
+        for (const session of callManager.sessions.values()) {
+            session.emit('drain_deadline', drainMessage(session));
+        }
+        await waitForCalls(Date.now() + DRAIN_HANGUP_MAX_MS);
+        if (callManager.count() > 0) {
+            logger.error(`${callManager.count()} call(s) did not end in time — exiting anyway`, {
+                callSids: [...callManager.sessions.keys()],
+            });
+        }
+    } else {
+        logger.info('All calls finished');
+    }
+
+    const [laravelLeft, webhooksLeft] = await Promise.all([
+        outbox.flush(DRAIN_FLUSH_MAX_MS),
+        webhookOutbox.flush(DRAIN_FLUSH_MAX_MS),
+    ]);
+    if (laravelLeft || webhooksLeft) {
+        logger.warn(`Outbox not empty on exit: ${laravelLeft} Laravel notification(s), ${webhooksLeft} webhook(s) — delivered on next start`);
+    }
+    logger.info(`Drain complete in ${Math.round((Date.now() - drainingSince) / 1000)}s`);
+}
+
+module.exports = { drain, isDraining, drainStatus };
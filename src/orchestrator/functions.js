@@ -2,6 +2,10 @@
 
 const axios  = require('axios');
 const logger = require('../utils/logger');
+const { interpolate, interpolateDeep } = require('../utils/template');
+
+// Methods that never carry a request body
+const BODYLESS_METHODS = ['GET', 'HEAD'];
 
 const laravelClient = axios.create({
     baseURL: process.env.LARAVEL_API_URL,
@@ -97,18 +101,25 @@ function buildCustomToolDefinition(tool) {
 
     if (tool.is_path_params && tool.path_params?.length) {
         for (const param of tool.path_params) {
-            properties[param.name] = { type: param.type, description: param.description || param.name };
+            properties[param.name] = buildScalarSchema(param);
             required.push(param.name);
         }
     }
 
     if (tool.is_query_params && tool.query_params?.length) {
         for (const param of tool.query_params) {
-            properties[param.name] = { type: param.type, description: param.description || param.name };
+            if (param.constant_value !== undefined) continue;   // filled server-side, not by the LLM
+            properties[param.name] = buildScalarSchema(param);
             if (param.required) required.push(param.name);
         }
     }
 
+    if (tool.is_body_params && tool.body_params?.length) {
+        const body = buildObjectSchema(tool.body_params);
+        Object.assign(properties, body.properties);
+        required.push(...body.required);
+    }
+
     return {
         type: 'function', name: tool.name,
         description: tool.description || tool.name,
@@ -116,7 +127,62 @@ function buildCustomToolDefinition(tool) {
     };
 }
 
-async function execute(name, args, callSession) {
+function buildScalarSchema(param) {
+    const schema = { type: param.type || 'string', description: param.description || param.name };
+    if (Array.isArray(param.enum) && param.enum.length) schema.enum = param.enum;
+    return schema;
+}
+
+/**
+ * JSON schema for a list of body fields. Fields with a constant_value are
+ * filled server-side and hidden from the LLM; an object whose fields are all
+ * constant disappears entirely.
+ *
+ * Field shape:
+ *   { name, type, description, required, enum, constant_value,
+ *     properties: [field, ...]            // type: 'object'
+ *     items: { type, enum, properties } } // type: 'array'
+ */
+function buildObjectSchema(fields) {
+    const properties = {};
+    const required   = [];
+    for (const field of fields) {
+        if (field.constant_value !== undefined) continue;
+        const schema = buildFieldSchema(field);
+        if (!schema) continue;
+        properties[field.name] = schema;
+        if (field.required) required.push(field.name);
+    }
+    return { properties, required };
+}
+
+function buildFieldSchema(field) {
+    const description = field.description || field.name;
+
+    if (field.type === 'object') {
+        const nested = buildObjectSchema(field.properties || []);
+        if (field.properties?.length && !Object.keys(nested.properties).length) return null;
+        return { type: 'object', description, properties: nested.properties, required: nested.required };
+    }
+
+    if (field.type === 'array') {
+        const items = field.items || { type: 'string' };
+        let itemSchema;
+        if (items.type === 'object') {
+            const nested = buildObjectSchema(items.properties || []);
+            itemSchema = { type: 'object', properties: nested.properties, required: nested.required };
+        } else {
+            itemSchema = { type: items.type || 'string' };
+            if (Array.isArray(items.enum) && items.enum.length) itemSchema.enum = items.enum;
+        }
+        if (items.description) itemSchema.description = items.description;
+        return { type: 'array', description, items: itemSchema };
+    }
+
+    return buildScalarSchema(field);
+}
+
+async function execute(name, args, callSession, callId) {
     const { callSid, assistantConfig } = callSession;
     logger.info(`Executing function: ${name}`, { callSid, args });
 
@@ -126,10 +192,10 @@ async function execute(name, args, callSession) {
             return { acknowledged: true };
 
         case 'transfer_to_number':
-            return await executeTransferToNumber(args, callSession);
+            return await executeTransferToNumber(args, callSession, callId);
 
         case 'transfer_to_agent':
-            return await executeTransferToAgent(args, callSession);
+            return await executeTransferToAgent(args, callSession, callId);
 
         case 'switch_language': {
             const newLanguage = args.language;
@@ -150,7 +216,7 @@ async function execute(name, args, callSession) {
     return { error: `Unknown function: ${name}` };
 }
 
-async function executeTransferToNumber(args, callSession) {
+async function executeTransferToNumber(args, callSession, callId) {
     const { callSid, assistantConfig } = callSession;
     const transferConfig = assistantConfig.transfer_to_number?.find(t => t.phone_number === args.phone_number);
 
@@ -161,22 +227,31 @@ async function executeTransferToNumber(args, callSession) {
 
     logger.info(`Transferring call to number: ${args.phone_number}`, { callSid });
 
-    callSession.emit('transfer_to_number', {
-        phone_number:          args.phone_number,
-        transfer_type:         transferConfig.transfer_type || 'conference',
-        enable_client_message: transferConfig.enable_client_message,
-        // FIX: transfer_message was missing from the emitted event.
-        // pipeline.js does `if (transferData.enable_client_message && transferData.transfer_message)`
-        // but this object never had transfer_message, so the pre-transfer speech
-        // was silently skipped even when configured. Now included.
-        transfer_message:      transferConfig.transfer_message,
-        condition:             args.condition,
+    // The pipeline resolves the tool result once the transfer is confirmed
+    // (target answered / redirect accepted). A failed transfer reaches the
+    // LLM as a structured error so it can keep the conversation going.
+    return await new Promise((resolve) => {
+        callSession.emit('transfer_to_number', {
+            phone_number:          args.phone_number,
+            transfer_type:         transferConfig.transfer_type || 'conference',
+            enable_client_message: transferConfig.enable_client_message,
+            // FIX: transfer_message was missing from the emitted event.
+            // pipeline.js does `if (transferData.enable_client_message && transferData.transfer_message)`
+            // but this object never had transfer_message, so the pre-transfer speech
+            // was silently skipped even when configured. Now included.
+            transfer_message:      transferConfig.transfer_message,
+            condition:             args.condition,
+            caller_id:             transferConfig.caller_id,
+            hold_music_url:        transferConfig.hold_music_url,
+            ring_timeout:          transferConfig.ring_timeout,
+            fallback:              transferConfig.transfer_fallback || assistantConfig.transfer_fallback || null,
+            call_id:               callId,
+            resolve,
+        });
     });
-
-    return { success: true, phone_number: args.phone_number };
 }
 
-async function executeTransferToAgent(args, callSession) {
+async function executeTransferToAgent(args, callSession, callId) {
     const { callSid, assistantConfig } = callSession;
     const transferConfig = assistantConfig.transfer_to_agent?.find(t => t.agent_id === args.agent_id);
 
@@ -187,23 +262,32 @@ async function executeTransferToAgent(args, callSession) {
 
     logger.info(`Transferring call to agent: ${args.agent_id}`, { callSid });
 
-    callSession.emit('transfer_to_agent', {
-        agent_id:                               args.agent_id,
-        delay_ms:                               transferConfig.delay_ms || 0,
-        transfer_message:                       transferConfig.transfer_message,
-        enable_client_message:                  transferConfig.enable_client_message,
-        enable_transferred_agent_first_message: transferConfig.enable_transferred_agent_first_message,
-        condition:                              args.condition,
+    return await new Promise((resolve) => {
+        callSession.emit('transfer_to_agent', {
+            agent_id:                               args.agent_id,
+            delay_ms:                               transferConfig.delay_ms || 0,
+            transfer_message:                       transferConfig.transfer_message,
+            enable_client_message:                  transferConfig.enable_client_message,
+            enable_transferred_agent_first_message: transferConfig.enable_transferred_agent_first_message,
+            condition:                              args.condition,
+            fallback:                               transferConfig.transfer_fallback || assistantConfig.transfer_fallback || null,
+            call_id:                                callId,
+            resolve,
+        });
     });
-
-    return { success: true, agent_id: args.agent_id };
 }
 
 async function executeCustomTool(tool, args, callSession) {
     const { callSid } = callSession;
 
+    // {{variable}} templates resolve against dynamic variables (e.g. set by
+    // an earlier tool's assignments), caller phone, call SID and assistant.
+    // Resolved fresh per call so values assigned mid-call are picked up.
+    const vars = callSession.getTemplateVars();
+
     try {
-        let url = tool.url;
+        // Templates first (values URL-encoded), then LLM-supplied {path} params
+        let url = interpolate(tool.url, vars, { encode: encodeURIComponent });
         if (tool.is_path_params && tool.path_params?.length) {
             for (const param of tool.path_params) {
                 if (args[param.name] !== undefined) {
@@ -215,7 +299,9 @@ async function executeCustomTool(tool, args, callSession) {
         const queryParams = {};
         if (tool.is_query_params && tool.query_params?.length) {
             for (const param of tool.query_params) {
-                const value = param.constant_value !== undefined ? param.constant_value : args[param.name];
+                const value = param.constant_value !== undefined
+                    ? interpolateDeep(param.constant_value, vars)
+                    : args[param.name];
                 if (value !== undefined) queryParams[param.name] = value;
             }
         }
@@ -223,17 +309,34 @@ async function executeCustomTool(tool, args, callSession) {
         const headers = {};
         if (tool.is_request_headers && tool.request_headers?.length) {
             for (const header of tool.request_headers) {
-                headers[header.key] = header.value;
+                headers[header.key] = interpolate(header.value, vars);
             }
         }
 
-        const response = await axios({
-            method:  tool.method.toLowerCase(),
+        const method  = (tool.method || 'GET').toUpperCase();
+        const request = {
+            method:  method.toLowerCase(),
             url,
             params:  queryParams,
             headers,
             timeout: (tool.response_timeout_secs || 20) * 1000,
-        });
+        };
+
+        if (tool.is_body_params && tool.body_params?.length && !BODYLESS_METHODS.includes(method)) {
+            const body = buildBody(tool.body_params, args, vars);
+            // FIX: header names are case-insensitive — a tool configured with
+            // "content-type" got a second, conflicting Content-Type
+            const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+            if (tool.body_type === 'form') {
+                request.data = toFormEncoded(body).toString();
+                if (!hasContentType) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            } else {
+                request.data = body;
+                if (!hasContentType) headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        const response = await axios(request);
 
         logger.info(`Custom tool ${tool.name} responded: ${response.status}`, { callSid });
 
@@ -263,6 +366,56 @@ async function executeCustomTool(tool, args, callSession) {
     }
 }
 
+/**
+ * Build the request body from the tool's body_params and the LLM's args.
+ * Constant values are interpolated against the template vars; LLM-supplied
+ * values are passed through. Missing optional fields are omitted.
+ */
+function buildBody(fields, args, vars) {
+    const body = {};
+    for (const field of fields) {
+        const value = buildBodyValue(field, args?.[field.name], vars);
+        if (value !== undefined) body[field.name] = value;
+    }
+    return body;
+}
+
+function buildBodyValue(field, arg, vars) {
+    if (field.constant_value !== undefined) return interpolateDeep(field.constant_value, vars);
+
+    if (field.type === 'object' && field.properties?.length) {
+        const obj = buildBody(field.properties, arg && typeof arg === 'object' ? arg : {}, vars);
+        return Object.keys(obj).length ? obj : undefined;
+    }
+
+    if (field.type === 'array' && field.items?.type === 'object' && field.items.properties?.length) {
+        if (!Array.isArray(arg)) return undefined;
+        return arg.map(item => buildBody(field.items.properties, item, vars));
+    }
+
+    return arg;
+}
+
+/**
+ * Flatten a nested body into form fields using bracket notation
+ * (customer[name]=Jane, items[0][sku]=A1) — what PHP/Rails/Express parse.
+ */
+function toFormEncoded(body) {
+    const params = new URLSearchParams();
+    const walk = (value, key) => {
+        if (value === undefined || value === null) return;
+        if (Array.isArray(value)) {
+            value.forEach((v, i) => walk(v, `${key}[${i}]`));
+        } else if (typeof value === 'object') {
+            for (const [k, v] of Object.entries(value)) walk(v, key ? `${key}[${k}]` : k);
+        } else {
+            params.append(key, String(value));
+        }
+    };
+    walk(body, '');
+    return params;
+}
+
 function getNestedValue(obj, path) {
     if (!path || !obj) return undefined;
     return path.split('.').reduce((cur, key) => {
@@ -0,0 +1,259 @@
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const axios  = require('axios');
+const logger = require('../utils/logger');
+
+const laravelClient = axios.create({
+    baseURL:  process.env.LARAVEL_API_URL,
+    headers:  { 'X-Internal-Secret': process.env.LARAVEL_API_SECRET },
+    timeout:  10000,
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Outbox — durable delivery of notifications to Laravel.
+//
+// Call records used to be one POST attempt: a Laravel deploy or network blip
+// lost them for good. Now every notification is written to disk first
+// (OUTBOX_DIR/pending/{key}.json), then POSTed. Failures are retried with
+// exponential backoff (OUTBOX_RETRY_BASE_MS doubling, capped at
+// OUTBOX_RETRY_MAX_MS) until OUTBOX_MAX_ATTEMPTS, then the entry moves to
+// OUTBOX_DIR/dead/ for inspection and replay (api/outbox.js). Pending entries
+// survive a restart and are picked up by start().
+//
+// The key is the call SID plus the event type (e.g. "CA123.complete",
+// "CA123.status.completed", "CA123.outbound.created"), or for campaign
+// updates the campaign and a sequence ("campaign.{id}.progress.3"). It is sent as the Idempotency-Key header so
+// Laravel can drop a retry of a request it already processed (e.g. one that
+// timed out on our side after Laravel committed). Enqueuing a key that is
+// already waiting replaces its body.
+//
+// webhooks.js runs a second instance for customer endpoints, with its own
+// directory and per-attempt signing headers.
+//
+// Responses:
+//   2xx, 409           delivered (409: Laravel already has it)
+//   other 4xx          the request itself is bad; retrying can't help → dead
+//   408, 429, 5xx,
+//   no response        retried
+// ─────────────────────────────────────────────────────────────────────────────
+
+const OUTBOX_DIR           = path.resolve(process.env.OUTBOX_DIR || 'outbox');
+const OUTBOX_MAX_ATTEMPTS  = parseInt(process.env.OUTBOX_MAX_ATTEMPTS  || '10');
+const OUTBOX_RETRY_BASE_MS = parseInt(process.env.OUTBOX_RETRY_BASE_MS || '5000');
+const OUTBOX_RETRY_MAX_MS  = parseInt(process.env.OUTBOX_RETRY_MAX_MS  || '600000');
+const TICK_MS              = 1000;
+
+function isRetryable(err) {
+    const status = err.response?.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// Keys end up as file names
+function safeKey(key) {
+    return String(key).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+class Outbox {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.dir]          Base directory (default OUTBOX_DIR)
+     * @param {object} [options.client]       axios instance (default Laravel internal API)
+     * @param {number} [options.maxAttempts]
+     * @param {function} [options.headers]    entry → extra headers (or a promise of them), computed on every attempt
+     */
+    constructor({ dir = OUTBOX_DIR, client = laravelClient, maxAttempts = OUTBOX_MAX_ATTEMPTS, headers = null } = {}) {
+        this.dirs        = { pending: path.join(dir, 'pending'), dead: path.join(dir, 'dead') };
+        this.client      = client;
+        this.maxAttempts = maxAttempts;
+        this.headers     = headers;
+        this.pending     = new Map();   // key → entry
+        this.dead        = new Map();
+        this.inFlight    = new Set();   // keys being POSTed right now
+        this.timer       = null;
+    }
+
+    /** Load entries left by a previous run and start the retry loop. */
+    start() {
+        for (const [queue, dir] of Object.entries(this.dirs)) {
+            fs.mkdirSync(dir, { recursive: true });
+            for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+                try {
+                    const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                    this[queue].set(entry.key, entry);
+                } catch (err) {
+                    logger.error(`Unreadable outbox entry ${file}`, { queue, error: err.message });
+                }
+            }
+        }
+        if (this.pending.size || this.dead.size) {
+            logger.info(`Outbox: ${this.pending.size} pending, ${this.dead.size} dead-lettered`);
+        }
+        this.timer = setInterval(() => this._retryDue(), TICK_MS);
+        this.timer.unref?.();
+    }
+
+    /**
+     * Persist a notification and make the first delivery attempt. Resolves
+     * once that attempt is done, whatever its outcome — never throws.
+     *
+     * @param {string} key   Idempotency key: call SID + event type
+     * @param {string} url   Path on the Laravel internal API
+     * @param {object} body
+     * @param {object} [meta] Kept with the entry for the headers option
+     * @returns {Promise<boolean>} delivered on the first attempt
+     */
+    async enqueue(key, url, body, meta = null) {
+        key = safeKey(key);
+        const existing = this.pending.get(key);
+        if (this.dead.delete(key)) this._unlink('dead', key);
+
+        const entry = {
+            key,
+            url,
+            body,
+            meta,
+            attempts:        existing?.attempts || 0,
+            created_at:      existing?.created_at || new Date().toISOString(),
+            next_attempt_at: Date.now(),
+            last_error:      existing?.last_error || null,
+        };
+        this.pending.set(key, entry);
+        this._write('pending', entry);
+
+        if (this.inFlight.has(key)) return false;   // the retry in flight will send the old body; the loop sends this one next
+        return this._deliver(entry);
+    }
+
+    async _deliver(entry) {
+        const { key } = entry;
+        this.inFlight.add(key);
+        entry.attempts++;
+        try {
+            const headers = { 'Idempotency-Key': key, ...(this.headers ? await this.headers(entry) : {}) };
+            await this.client.post(entry.url, entry.body, { headers });
+            this._delivered(entry);
+            return true;
+        } catch (err) {
+            if (err.response?.status === 409) {
+                this._delivered(entry);
+                return true;
+            }
+            this._failed(entry, err);
+            return false;
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    _delivered(entry) {
+        // Replaced while in flight — the new body still has to go out
+        if (this.pending.get(entry.key) !== entry) return;
+        this.pending.delete(entry.key);
+        this._unlink('pending', entry.key);
+        if (entry.attempts > 1) logger.info(`Outbox: ${entry.url} delivered after ${entry.attempts} attempts`, { key: entry.key });
+    }
+
+    _failed(entry, err) {
+        entry.last_error = err.response ? `HTTP ${err.response.status}` : err.message;
+        if (this.pending.get(entry.key) !== entry) return;
+
+        if (!isRetryable(err) || entry.attempts >= this.maxAttempts) {
+            logger.error(`Outbox: ${entry.url} dead-lettered after ${entry.attempts} attempt(s): ${entry.last_error}`, { key: entry.key });
+            this.pending.delete(entry.key);
+            this._unlink('pending', entry.key);
+            entry.dead_at = new Date().toISOString();
+            this.dead.set(entry.key, entry);
+            this._write('dead', entry);
+            return;
+        }
+
+        const delay = Math.min(OUTBOX_RETRY_BASE_MS * 2 ** (entry.attempts - 1), OUTBOX_RETRY_MAX_MS);
+        entry.next_attempt_at = Date.now() + delay;
+        this._write('pending', entry);
+        logger.warn(`Outbox: ${entry.url} failed (${entry.last_error}), retry ${entry.attempts}/${this.maxAttempts} in ${Math.round(delay / 1000)}s`, { key: entry.key });
+    }
+
+    _retryDue() {
+        const now = Date.now();
+        for (const entry of this.pending.values()) {
+            if (entry.next_attempt_at <= now && !this.inFlight.has(entry.key)) this._deliver(entry);
+        }
+    }
+
+    /**
+     * Move a dead-lettered entry back to pending with a fresh attempt budget
+     * and deliver it now. Returns the delivery promise, or null if unknown.
+     */
+    replay(key) {
+        const entry = this.dead.get(key);
+        if (!entry) return null;
+        this.dead.delete(key);
+        this._unlink('dead', key);
+        delete entry.dead_at;
+        Object.assign(entry, { attempts: 0, next_attempt_at: Date.now() });
+        this.pending.set(key, entry);
+        this._write('pending', entry);
+        logger.info(`Outbox: replaying ${entry.url}`, { key });
+        return this._deliver(entry);
+    }
+
+    /**
+     * Attempt every pending entry now, backoff or not, and wait up to
+     * timeoutMs for those attempts. Used on shutdown (drain.js): entries still
+     * pending stay on disk for the next start(). Resolves with their count.
+     */
+    async flush(timeoutMs) {
+        const attempts = [...this.pending.values()]
+            .filter(entry => !this.inFlight.has(entry.key))
+            .map(entry => this._deliver(entry));
+        let timer;
+        await Promise.race([
+            Promise.all(attempts),
+            new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); }),
+        ]);
+        clearTimeout(timer);
+        return this.pending.size;
+    }
+
+    /** Drop a dead-lettered entry for good. */
+    discard(key) {
+        if (!this.dead.delete(key)) return false;
+        this._unlink('dead', key);
+        logger.info('Outbox: dead-lettered entry discarded', { key });
+        return true;
+    }
+
+    get(key) {
+        const entry = this.pending.get(key) || this.dead.get(key);
+        return entry ? { queue: this.pending.has(key) ? 'pending' : 'dead', ...entry } : null;
+    }
+
+    /** Entry summaries (no bodies) for the admin route. */
+    list() {
+        const summary = ({ body, meta, ...rest }) => rest;
+        return {
+            pending: [...this.pending.values()].map(summary),
+            dead:    [...this.dead.values()].map(summary),
+        };
+    }
+
+    _write(queue, entry) {
+        const file = path.join(this.dirs[queue], `${entry.key}.json`);
+        try {
+            fs.mkdirSync(this.dirs[queue], { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+            fs.renameSync(`${file}.tmp`, file);   // never leave a half-written entry
+        } catch (err) {
+            logger.error('Outbox write failed — entry is memory-only until delivered', { key: entry.key, error: err.message });
+        }
+    }
+
+    _unlink(queue, key) {
+        try { fs.unlinkSync(path.join(this.dirs[queue], `${key}.json`)); } catch {}
+    }
+}
+
+const outbox = new Outbox();
+module.exports = { outbox, Outbox };
@@ -2,11 +2,16 @@
 
 const axios                          = require('axios');
 const OpenAIRealtimeClient           = require('../openai/realtime');
-const gpuClient                      = require('../gpu/client');
-const { checkTurnComplete }          = gpuClient;
+const { resolveProviders }           = require('../providers');
 const { buildTools, execute: executeFn } = require('./functions');
-const { twilioMulawToPcm16, pcm16ToBase64Wav, pcm16ToTwilioMulaw, isSilence } = require('../utils/audio');
+const { VoicemailDetector }          = require('./voicemail');
+const { CallRecorder }               = require('./recorder');
+const { outbox }                     = require('./outbox');
+const { attachWebhooks }             = require('./webhooks');
+const { createTwilioClient }         = require('../twilio/client');
+const { twilioMulawToPcm16, mulawToPcm16, pcm16ToBase64Wav, pcm16ToTwilioMulaw, isSilence } = require('../utils/audio');
 const logger                         = require('../utils/logger');
+const { interpolateSpoken }          = require('../utils/template');
 
 // ─── Fast interrupt threshold ─────────────────────────────────────────────────
 // When AI is speaking, we bypass the VAD state machine confirmation window and
@@ -59,6 +64,13 @@ const MIN_SPEECH_MS = 200;
 // "Hello?" reset the timer, creating an infinite loop until MAX_SPEECH_MS.
 const SMART_TURN_STOP_MS = 3000;
 
+// A speculative response (startSpeculation) not done by then is dropped
+const SPECULATION_TIMEOUT_MS = 10000;
+
+// A protected response (custom tool disable_interruptions) not done by then
+// stops deferring the caller's turns
+const PROTECTED_RESPONSE_TIMEOUT_MS = 15000;
+
 // ─── Context summarization ────────────────────────────────────────────────────
 // When the transcript exceeds this word count, summarize and trim the OpenAI
 // context window. Per-assistant opt-in via assistantConfig.context_summarization.
@@ -76,6 +88,40 @@ const DEFAULT_FILLER_PHRASES = [
     "One second.",
 ];
 
+// ─── Voicemail ────────────────────────────────────────────────────────────────
+// Once a machine is detected we wait for the beep (or end-of-greeting silence)
+// before speaking voicemail_message. Cap the wait so a greeting that never
+// ends — or a beep we fail to hear — doesn't hold the line open.
+const VOICEMAIL_MAX_WAIT_MS     = 30000;
+// endCall() right after speakToTwilio() would cut the message off: the TTS
+// stream has been *sent*, not *played*. Wait for Twilio's playback mark.
+const VOICEMAIL_PLAYBACK_MAX_MS = 60000;
+
+// Same for the drain message before a shutdown hangup (see drain.js)
+const DRAIN_PLAYBACK_MAX_MS     = 20000;
+
+// Twilio async AMD (AnsweredBy) values that mean the greeting has finished.
+const AMD_MESSAGE_END = ['machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+
+// ─── Transfers ────────────────────────────────────────────────────────────────
+// Warm transfers: the caller waits in a Twilio conference (hold music) while
+// the target is dialed. The target hears a whisper summary, then joins and the
+// caller is bridged. Any transfer that doesn't connect sends the caller back
+// to a new MediaStream and the AI carries on (or transfer_fallback runs).
+const DEFAULT_HOLD_MUSIC_URL       = 'https://twimlets.com/holdmusic?Bucket=com.twilio.music.classical';
+const DEFAULT_TRANSFER_RING_SECS   = 30;
+// Safety net on top of the ring timeout, in case Twilio's status callback is lost
+const TRANSFER_CALLBACK_GRACE_MS   = 30000;
+// Caller redirected back to the AI but the MediaStream never reconnected
+const TRANSFER_RESUME_MAX_WAIT_MS  = 15000;
+// Connected transfer: how long teardown waits for the tool result to go out
+const TRANSFER_RESULT_MAX_WAIT_MS  = 2000;
+const TRANSFER_PLAYBACK_MAX_MS     = 15000;
+const WHISPER_SUMMARY_TIMEOUT_MS   = 5000;
+const TRANSFER_VOICEMAIL_MAX_SECS  = 120;
+const DEFAULT_TRANSFER_VOICEMAIL_PROMPT = "I'm sorry, nobody is available right now. Please leave a message after the tone and we'll get back to you.";
+const DEFAULT_TRANSFER_END_MESSAGE      = "I'm sorry, nobody is available to take your call right now. Please try again later. Goodbye.";
+
 const laravelClient = axios.create({
     baseURL: process.env.LARAVEL_API_URL,
     headers: { 'X-Internal-Secret': process.env.LARAVEL_API_SECRET },
@@ -84,8 +130,7 @@ const laravelClient = axios.create({
 
 function getTwilioClient(session) {
     if (!session._twilioClient) {
-        const twilio = require('twilio');
-        session._twilioClient = twilio(session.twilioAccountSid, session.twilioAuthToken);
+        session._twilioClient = createTwilioClient(session.twilioAccountSid, session.twilioAuthToken);
     }
     return session._twilioClient;
 }
@@ -94,54 +139,36 @@ async function initPipeline(session, mediaStreamWs, pipelineConfig) {
     const { callSid } = session;
     logger.info('Initializing pipeline', { callSid });
 
-    session.mediaStreamWs = mediaStreamWs;
     session.status        = 'active';
     session.transcript    = [];
 
+    // VAD / STT / turn detection / TTS backends for this call (providers/)
+    const { providers, names } = resolveProviders(session.assistantConfig, callSid);
+    session.providers     = providers;
+    session.providerNames = names;
+    logger.info('Speech providers', { callSid, ...names });
+    openVadStream(session);
+
+    // Stereo WAV of the call (caller left, AI right) — see recorder.js
+    if (session.assistantConfig.record_calls) {
+        try {
+            session.recorder = new CallRecorder(callSid);
+        } catch (err) {
+            logger.error('Could not start recording — continuing without', { callSid, error: err.message });
+        }
+    }
+
+    // Customer webhooks (assistantConfig.webhooks) follow the session's events
+    attachWebhooks(session);
+
     const tools = buildTools(session.assistantConfig);
+    session.toolNames = new Set(tools.map(t => t.name));
     logger.info(`Loaded ${tools.length} tools`, { callSid, tools: tools.map(t => t.name) });
 
     // Attach message listener BEFORE connecting to OpenAI — the Twilio 'start'
     // event fires immediately on WS connect, before any await completes.
-    const mediaQueue  = [];
-    let pipelineReady = false;
-
-    mediaStreamWs.on('message', async (rawMsg) => {
-        let msg;
-        try { msg = JSON.parse(rawMsg); } catch { return; }
-
-        switch (msg.event) {
-            case 'start':
-                session.twilioStreamSid = msg.start.streamSid;
-                logger.info('Stream started', { callSid, streamSid: session.twilioStreamSid });
-                break;
-            case 'media':
-                if (!pipelineReady) mediaQueue.push(msg.media.payload);
-                else await handleIncomingAudio(session, msg.media.payload);
-                break;
-            case 'stop':
-                logger.info('Stream stopped', { callSid });
-                await cleanup(session, 'stream_stopped');
-                break;
-            case 'mark':
-                if (msg.mark?.name === 'ai_speech_end') {
-                    session.isAISpeaking = false;
-                    session.startSilenceTimer(() => endCall(session, 'no_response'));
-                }
-                break;
-        }
-    });
-
-    // FIX: 'error' event must be handled — Node.js throws if no listener exists.
-    mediaStreamWs.on('error', (err) => {
-        logger.error('Twilio WS error', { callSid, error: err.message });
-        cleanup(session, 'ws_error');
-    });
-
-    mediaStreamWs.on('close', () => {
-        logger.info('Twilio WS closed', { callSid });
-        cleanup(session, 'ws_closed');
-    });
+    // Messages that came in earlier are held by mediastream.js and replayed.
+    const stream = attachMediaStream(session, mediaStreamWs, pipelineConfig.buffered);
 
     const openaiClient = new OpenAIRealtimeClient(callSid, {
         systemPrompt: pipelineConfig.systemPrompt,
@@ -155,66 +182,62 @@ async function initPipeline(session, mediaStreamWs, pipelineConfig) {
 
     await openaiClient.connect();
 
-    openaiClient.on('text_delta', (token) => {
-        if (!token || session.status === 'ending' || session.status === 'ended') return;
-        session.ttsBuffer += token;
-        if (SENTENCE_RE.test(session.ttsBuffer)) {
-            const sentence = session.ttsBuffer.trim();
-            session.ttsBuffer = '';
-            session.ttsSentenceQueue = session.ttsSentenceQueue.then(async () => {
-                if (session.status === 'ending' || session.status === 'ended') return;
-                session.transcript.push({ role: 'agent', message: sentence, time_in_call_secs: session.getDurationSeconds() });
-                logger.info(`AI (sentence): "${sentence.slice(0, 80)}"`, { callSid });
-                await speakToTwilio(session, sentence);
-            });
+    // While a speculative response is pending (Smart Turn hold) its text and
+    // tool calls are held back rather than spoken/executed — see
+    // startSpeculation().
+    openaiClient.on('text_delta', (token, responseId) => {
+        const turn = session.turnTiming;
+        if (turn?.sentAt && !turn.firstTokenAt) {
+            turn.firstTokenAt = Date.now();
+            session.metrics.observe('llm_first_token', turn.firstTokenAt - turn.sentAt);
         }
+        if (holdForSpeculation(session, responseId, { type: 'delta', token })) return;
+        queueTextDelta(session, token);
     });
 
-    openaiClient.on('text_done', (fullText) => {
-        if (!session.ttsBuffer.trim()) return;
-        if (session.status === 'ending' || session.status === 'ended') return;
-        const remainder = session.ttsBuffer.trim();
-        session.ttsBuffer = '';
-        session.ttsSentenceQueue = session.ttsSentenceQueue.then(async () => {
-            if (session.status === 'ending' || session.status === 'ended') return;
-            session.transcript.push({ role: 'agent', message: remainder, time_in_call_secs: session.getDurationSeconds() });
-            logger.info(`AI (tail): "${remainder.slice(0, 80)}"`, { callSid });
-            await speakToTwilio(session, remainder);
-        });
+    openaiClient.on('text_done', (text, responseId) => {
+        if (holdForSpeculation(session, responseId, { type: 'done' })) return;
+        queueTextDone(session);
     });
 
-    openaiClient.on('function_call', async ({ call_id, name, args }) => {
-        logger.info(`Function call: ${name}`, { callSid, args });
-
-        // ── Filler phrase (pipecat: pre-tool-call filler audio) ───────────────
-        // Play a brief phrase immediately while the tool HTTP call is in flight.
-        // The tool result and AI response queue naturally after the filler via
-        // ttsSentenceQueue, so ordering is preserved.
-        //
-        // Enabled if assistantConfig.enable_filler_phrases = true (default: true)
-        // or assistantConfig.filler_phrases = ['custom phrase', ...] (custom list).
-        // Disabled explicitly with enable_filler_phrases: false.
-        const fillerEnabled = session.assistantConfig.enable_filler_phrases !== false;
-        if (fillerEnabled && !session.isAISpeaking && session.status === 'active') {
-            const phrases = Array.isArray(session.assistantConfig.filler_phrases) && session.assistantConfig.filler_phrases.length > 0
-                ? session.assistantConfig.filler_phrases
-                : DEFAULT_FILLER_PHRASES;
-            const filler = phrases[Math.floor(Math.random() * phrases.length)];
-            // Queue filler TTS exactly like a normal AI sentence — non-blocking
-            session.ttsSentenceQueue = session.ttsSentenceQueue.then(async () => {
-                if (session.status === 'ending' || session.status === 'ended') return;
-                logger.info(`Filler phrase: "${filler}"`, { callSid });
-                await speakToTwilio(session, filler);
-            });
+    // ── Non-interruptible responses (custom tool disable_interruptions) ───────
+    // The response generated from a protected tool's result is bound to its
+    // response ID here. Once that response is done and every sentence it
+    // queued has played, deferred caller speech is released.
+    openaiClient.on('response_created', (responseId, response) => {
+        const spec = session.speculation;
+        if (spec && !spec.responseId && response?.metadata?.speculation === spec.tag) {
+            spec.responseId = responseId;
+            if (spec.state === 'cancelled') openaiClient.cancelResponse();
         }
+        if (session.protectNextResponse) {
+            session.protectNextResponse = false;
+            session.protectedResponseId = responseId;
+            logger.info('Response marked non-interruptible', { callSid, responseId });
+        }
+    });
 
-        try {
-            const result = await executeFn(name, args, session);
-            openaiClient.sendFunctionResult(call_id, result);
-        } catch (err) {
-            logger.error(`Function ${name} failed`, { callSid, error: err.message });
-            openaiClient.sendFunctionResult(call_id, { error: err.message });
+    openaiClient.on('response_done', (response) => {
+        const spec = session.speculation;
+        if (spec && response?.id && response.id === spec.responseId) {
+            spec.responseDone = true;
+            spec.itemIds.push(...(response.output || []).map(item => item.id).filter(Boolean));
+            if (spec.state === 'cancelled') rollbackSpeculation(session);
         }
+        if (response?.id && response.id === session.protectedResponseId) {
+            clearTimeout(session.protectionTimer);
+            session.protectedResponseId = null;
+            flushDeferredUserInput(session);
+        } else if (session.protectNextResponse && response?.id !== session.protectAfterResponseId) {
+            // A response created after protection was requested finished
+            // without being bound to it — nothing is left to protect
+            releaseResponseProtection(session, 'never started');
+        }
+    });
+
+    openaiClient.on('function_call', async (call) => {
+        if (holdForSpeculation(session, call.response_id, { type: 'function_call', call })) return;
+        await handleFunctionCall(session, call);
     });
 
     // ── Conversation item tracking (for context summarization) ────────────────
@@ -223,6 +246,9 @@ async function initPipeline(session, mediaStreamWs, pipelineConfig) {
     // summarization can delete old items after injecting a summary.
     openaiClient.on('item_created', (itemId, role) => {
         session.conversationItemIds.push(itemId);
+        // Only while pending: once cancelled, new items are the caller's real
+        // turn, which the rollback must not delete
+        if (session.speculation?.state === 'pending') session.speculation.itemIds.push(itemId);
 
         // Trigger summarization when transcript word count exceeds threshold.
         // assistantConfig.context_summarization must be true (opt-in, default off).
@@ -237,40 +263,300 @@ async function initPipeline(session, mediaStreamWs, pipelineConfig) {
         }
     });
 
-    openaiClient.on('error', (err) => logger.error('OpenAI error', { callSid, error: err }));
+    openaiClient.on('error', (err) => {
+        logger.error('OpenAI error', { callSid, error: err });
+        session.metrics.count('errors', { stage: 'openai' });
+        // A speculative response that hasn't finished may never arrive
+        if (session.speculation && !session.speculation.responseDone) dropSpeculation(session, 'failed');
+        // The protected response may have failed to start or to finish
+        if (session.protectNextResponse || session.protectedResponseId) releaseResponseProtection(session, 'failed');
+    });
+
+    // Nothing can be cancelled or deleted on a closed socket — just forget it
+    openaiClient.on('closed', () => {
+        if (!session.speculation) return;
+        clearTimeout(session.speculation.timer);
+        session.speculation = null;
+    });
 
     session.on('end_call_requested',  async (reason)       => endCall(session, reason));
-    session.on('voicemail_requested', async ()             => handleVoicemail(session));
+    session.on('voicemail_requested', async (info)         => handleVoicemail(session, info));
     session.on('transfer_to_number',  async (transferData) => executeTransferToNumber(session, transferData));
     session.on('transfer_to_agent',   async (transferData) => executeTransferToAgent(session, transferData));
+    session.on('transfer_bridged',            ()           => completeTransfer(session));
+    session.on('transfer_target_status',      (callStatus) => onTransferTargetStatus(session, callStatus));
+    session.on('transfer_voicemail_recorded', (recording)  => onTransferVoicemail(session, recording));
+    session.on('transfer_caller_hangup',      ()           => abandonTransfer(session));
+    session.on('silence_reprompt', (phrase) => {
+        session.ttsSentenceQueue = session.ttsSentenceQueue.then(async () => {
+            if (session.status !== 'active' || session.isSpeaking) return;
+            session.addTranscript('agent', phrase);
+            logger.info(`Silence re-prompt: "${phrase}"`, { callSid });
+            await speakToTwilio(session, phrase);
+            // TTS failure means no playback mark will re-arm the timer
+            if (!session.isAISpeaking && !session.silenceTimer && session.status === 'active') {
+                session.startSilenceTimer(() => endCall(session, 'no_response'));
+            }
+        });
+    });
     session.on('language_switched', ({ language, voice }) => {
         session.language = language;
         session.voice    = voice;
         logger.info(`Language switched to ${language}, voice ${voice}`, { callSid });
     });
 
+    // Supervisor controls (api/supervisor.js) — audited before they get here
+    session.on('supervisor_instruct', (instruction) => session.openaiClient.injectContext(instruction));
+    session.on('supervisor_say', ({ text, interruptible }) => {
+        session.ttsSentenceQueue = session.ttsSentenceQueue.then(async () => {
+            if (session.status !== 'active') return;
+            session.addTranscript('agent', text);
+            await speakToTwilio(session, text, { interruptible, supervisor: true });
+        });
+        // The AI should know what was said in its voice
+        session.openaiClient.injectContext(`A supervisor had you say to the caller: "${text}"`);
+    });
+    session.on('supervisor_mute',     (muted)   => setAIMuted(session, muted));
+    session.on('supervisor_takeover', (request) => supervisorTakeover(session, request));
+
+    // Server draining for a deploy and this call outlived the deadline (drain.js)
+    session.on('drain_deadline', (message) => endCallForDrain(session, message));
+
     session.startMaxDurationTimer(() => endCall(session, 'max_duration'));
     session.startSilenceTimer(() => endCall(session, 'no_response'));
 
-    pipelineReady = true;
+    if (session.assistantConfig.voicemail_detection && session.direction === 'outbound') {
+        setupVoicemailDetection(session);
+    }
 
-    if (session.assistantConfig.first_message) {
-        await speakToTwilio(session, session.assistantConfig.first_message);
+    session.emit('call_started');
+    stream.ready();
+
+    // Consent announcement plays before anything else and can't be talked over
+    if (session.recorder && session.assistantConfig.recording_consent_message) {
+        await speakToTwilio(session, interpolateSpoken(session.assistantConfig.recording_consent_message, session.getTemplateVars()), {
+            interruptible: false,
+        });
     }
 
-    if (mediaQueue.length > 0) {
-        logger.info(`Draining ${mediaQueue.length} buffered audio chunks`, { callSid });
-        for (const payload of mediaQueue) await handleIncomingAudio(session, payload);
-        mediaQueue.length = 0;
+    if (session.assistantConfig.first_message) {
+        await speakToTwilio(session, interpolateSpoken(session.assistantConfig.first_message, session.getTemplateVars()), {
+            interruptible: !session.assistantConfig.disable_first_message_interruptions,
+        });
     }
 
+    await stream.drain();
+
     logger.info('Pipeline ready', { callSid });
 }
 
+function queueTextDelta(session, token) {
+    const { callSid } = session;
+    if (!token || session.aiMuted || session.status === 'ending' || session.status === 'ended') return;
+    session.ttsBuffer += token;
+    if (SENTENCE_RE.test(session.ttsBuffer)) {
+        const sentence = session.ttsBuffer.trim();
+        session.ttsBuffer = '';
+        const interruptible = reserveSpeech(session);
+        session.ttsSentenceQueue = session.ttsSentenceQueue.then(async () => {
+            if (session.status === 'ending' || session.status === 'ended') return releaseSpeech(session, interruptible);
+            session.addTranscript('agent', sentence);
+            logger.info(`AI (sentence): "${sentence.slice(0, 80)}"`, { callSid });
+            await speakToTwilio(session, sentence, { interruptible, reserved: true });
+        });
+    }
+}
+
+function queueTextDone(session) {
+    const { callSid } = session;
+    if (!session.ttsBuffer.trim()) return;
+    if (session.status === 'ending' || session.status === 'ended') return;
+    const remainder = session.ttsBuffer.trim();
+    session.ttsBuffer = '';
+    const interruptible = reserveSpeech(session);
+    session.ttsSentenceQueue = session.ttsSentenceQueue.then(async () => {
+        if (session.status === 'ending' || session.status === 'ended') return releaseSpeech(session, interruptible);
+        session.addTranscript('agent', remainder);
+        logger.info(`AI (tail): "${remainder.slice(0, 80)}"`, { callSid });
+        await speakToTwilio(session, remainder, { interruptible, reserved: true });
+    });
+}
+
+async function handleFunctionCall(session, { call_id, name, args }) {
+    const { callSid, openaiClient } = session;
+    logger.info(`Function call: ${name}`, { callSid, args });
+
+    if (session.aiMuted) {
+        logger.info(`AI muted by supervisor — not running ${name}`, { callSid });
+        return openaiClient.sendFunctionResult(call_id, { error: 'A supervisor has paused you. Do not retry.' });
+    }
+
+    // ── Filler phrase (pipecat: pre-tool-call filler audio) ───────────────
+    // Play a brief phrase immediately while the tool HTTP call is in flight.
+    // The tool result and AI response queue naturally after the filler via
+    // ttsSentenceQueue, so ordering is preserved.
+    //
+    // Enabled if assistantConfig.enable_filler_phrases = true (default: true)
+    // or assistantConfig.filler_phrases = ['custom phrase', ...] (custom list).
+    // Disabled explicitly with enable_filler_phrases: false.
+    const fillerEnabled = session.assistantConfig.enable_filler_phrases !== false;
+    if (fillerEnabled && !session.isAISpeaking && session.status === 'active') {
+        const phrases = Array.isArray(session.assistantConfig.filler_phrases) && session.assistantConfig.filler_phrases.length > 0
+            ? session.assistantConfig.filler_phrases
+            : DEFAULT_FILLER_PHRASES;
+        const filler = phrases[Math.floor(Math.random() * phrases.length)];
+        // Queue filler TTS exactly like a normal AI sentence — non-blocking
+        session.ttsSentenceQueue = session.ttsSentenceQueue.then(async () => {
+            if (session.status === 'ending' || session.status === 'ended') return;
+            logger.info(`Filler phrase: "${filler}"`, { callSid });
+            await speakToTwilio(session, filler);
+        });
+    }
+
+    // disable_interruptions: the spoken answer to this tool's result
+    // (e.g. an order confirmation) plays to completion
+    const customTool = session.assistantConfig.custom_tools?.find(t => t.name === name);
+
+    // The name comes from the LLM: one it wasn't offered is counted as
+    // 'other', so tool_calls_total can't grow a series per made-up name.
+    // Custom tools are named per assistant and all count as 'custom'.
+    const tool = !session.toolNames.has(name) ? 'other' : customTool ? 'custom' : name;
+
+    session.emit('tool_call', { call_id, name, args });
+    try {
+        const result = await executeFn(name, args, session, call_id);
+        session.metrics.count('tool_calls', { tool, outcome: result?.success === false || result?.error ? 'failed' : 'ok' });
+        if (customTool?.disable_interruptions) protectNextResponse(session);
+        session.emit('tool_result', { call_id, name, args, result });
+        openaiClient.sendFunctionResult(call_id, result);
+    } catch (err) {
+        logger.error(`Function ${name} failed`, { callSid, error: err.message });
+        session.metrics.count('tool_calls', { tool, outcome: 'error' });
+        session.emit('tool_result', { call_id, name, args, result: { error: err.message } });
+        openaiClient.sendFunctionResult(call_id, { error: err.message });
+    }
+}
+
+/**
+ * Wire a Twilio MediaStream WebSocket to the session. Audio that arrives
+ * before ready() is buffered and replayed by drain().
+ *
+ * A session can outlive its first stream: a warm transfer moves the caller
+ * into a conference (Twilio stops the stream) and, if the target doesn't
+ * answer, redirects them back to a new one — see resumePipeline().
+ */
+function attachMediaStream(session, mediaStreamWs, buffered = null) {
+    const { callSid } = session;
+    const mediaQueue  = [];
+    let pipelineReady = false;
+
+    session.mediaStreamWs = mediaStreamWs;
+
+    // Teardown from this socket only counts while it is the session's live
+    // stream and no transfer is moving the caller elsewhere.
+    const ownsSession = () => session.mediaStreamWs === mediaStreamWs && session.status !== 'transferring';
+
+    const onMessage = async (rawMsg) => {
+        let msg;
+        try { msg = JSON.parse(rawMsg); } catch { return; }
+
+        switch (msg.event) {
+            case 'start': {
+                session.twilioStreamSid = msg.start.streamSid;
+                logger.info('Stream started', { callSid, streamSid: session.twilioStreamSid });
+                // <Stream> parameters set for callers let in from the hold queue
+                const params = msg.start.customParameters || {};
+                if (params.queue_wait_seconds !== undefined) {
+                    session.queue = {
+                        wait_seconds: parseInt(params.queue_wait_seconds, 10),
+                        priority:     Number(params.queue_priority || 0),
+                        reason:       params.queue_reason || null,
+                    };
+                }
+                break;
+            }
+            case 'media':
+                if (!pipelineReady) mediaQueue.push(msg.media.payload);
+                else await handleIncomingAudio(session, msg.media.payload);
+                break;
+            case 'stop':
+                logger.info('Stream stopped', { callSid });
+                if (ownsSession()) await cleanup(session, 'stream_stopped');
+                break;
+            case 'mark':
+                if (msg.mark?.name === 'ai_speech_end') {
+                    session.isAISpeaking = false;
+                    session.emit('ai_playback_done');
+                    if (!session.voicemailMode) session.startSilenceTimer(() => endCall(session, 'no_response'));
+                } else if (msg.mark?.name === 'protected_speech_end') {
+                    releaseSpeech(session, false);
+                }
+                break;
+        }
+    };
+    mediaStreamWs.on('message', onMessage);
+    for (const rawMsg of buffered?.release() || []) onMessage(rawMsg);
+
+    // FIX: 'error' event must be handled — Node.js throws if no listener exists.
+    mediaStreamWs.on('error', (err) => {
+        logger.error('Twilio WS error', { callSid, error: err.message });
+        if (ownsSession()) cleanup(session, 'ws_error');
+    });
+
+    mediaStreamWs.on('close', () => {
+        logger.info('Twilio WS closed', { callSid });
+        if (ownsSession()) cleanup(session, 'ws_closed');
+    });
+
+    return {
+        ready() { pipelineReady = true; },
+        async drain() {
+            if (mediaQueue.length === 0) return;
+            logger.info(`Draining ${mediaQueue.length} buffered audio chunks`, { callSid });
+            for (const payload of mediaQueue) await handleIncomingAudio(session, payload);
+            mediaQueue.length = 0;
+        },
+    };
+}
+
+/**
+ * Reattach a session to a new MediaStream after a transfer failed and the
+ * caller was sent back to the AI. The OpenAI session stayed open meanwhile,
+ * so the conversation picks up where it left off: the pending transfer tool
+ * call is answered with the failure (or the fallback runs).
+ */
+async function resumePipeline(session, mediaStreamWs, buffered = null) {
+    const { callSid } = session;
+    const transfer    = session.transfer;
+    logger.info('Caller returned from transfer — resuming pipeline', { callSid });
+
+    clearTimeout(transfer?.timer);
+    session.transfer        = null;
+    session.status          = 'active';
+    session.isAISpeaking    = false;
+    session.isSpeaking      = false;
+    session.speechStartedAt = null;
+    session.vadAccumulator  = [];
+    session.flushSpeechBuffer();
+    endSttStream(session);
+    closeVadStream(session);
+    try { await session.providers.vad.resetVAD(callSid); } catch {}
+    openVadStream(session);
+
+    const stream = attachMediaStream(session, mediaStreamWs, buffered);
+    stream.ready();
+
+    if (transfer) await handleTransferFailure(session, transfer, transfer.error || 'The transfer did not connect');
+    else session.startSilenceTimer(() => endCall(session, 'no_response'));
+}
+
 function handleIncomingAudio(session, mulawBase64) {
+    const mulawBuf = Buffer.from(mulawBase64, 'base64');
+    if (session.recorder) session.recorder.writeCaller(mulawToPcm16(mulawBuf));
+    session.emit('audio', 'caller', mulawBuf);
+
     if (session.status !== 'active') return;
 
-    const mulawBuf = Buffer.from(mulawBase64, 'base64');
     const pcm16Buf = twilioMulawToPcm16(mulawBuf);
 
     // ── FIX: removed chunk-by-chunk speech buffer accumulation ───────────────
@@ -290,12 +576,24 @@ function handleIncomingAudio(session, mulawBase64) {
 
     const batch    = session.vadAccumulator.splice(0);
     const batchBuf = Buffer.concat(batch);
-    const audioB64 = pcm16ToBase64Wav(batchBuf);
 
     // Update rolling pre-roll (last 400ms before speech onset)
     session.preRollBuffer.push(batchBuf);
     if (session.preRollBuffer.length > PRE_ROLL_BATCHES) session.preRollBuffer.shift();
 
+    // Answering-machine heuristic sees every batch, including the silent ones
+    // the pre-filter below drops — it needs them to time the post-greeting gap.
+    if (session.voicemailDetector) session.voicemailDetector.feed(batchBuf);
+
+    // Talking to a machine: the greeting is not a user turn. Skip VAD/STT
+    // entirely until the voicemail message has been left.
+    if (session.voicemailMode) return;
+
+    // Streaming VAD sees every batch, silent ones included: a frame on an open
+    // socket costs nothing and keeps the server's model state continuous.
+    if (session.vadStream?.isOpen) return streamVadBatch(session, batchBuf);
+    openVadStream(session);
+
     // ── FIX: silence pre-filter — only skip when NOT tracking speech ─────────
     // Previous: `if (isSilence(batchBuf)) return;`
     // Problem: the new vad.py state machine needs SPEECH_END_FRAMES=12 consecutive
@@ -310,267 +608,695 @@ function handleIncomingAudio(session, mulawBase64) {
     // One pending VAD request per call at a time (pipecat uses max_workers=1).
     // FIX: if speaking, capture the dropped batch so speech is gapless for Whisper.
     if (session.vadInFlight) {
-        if (session.isSpeaking) session.appendSpeechBuffer(batchBuf);
+        session.vadStats.dropped++;
+        session.metrics.count('vad_dropped');
+        if (session.isSpeaking) captureSpeech(session, batchBuf);
         return;
     }
     session.vadInFlight = true;
+    session.vadStats.http_batches++;
+    session.metrics.count('vad_batches', { transport: 'http' });
+
+    const sentAt = Date.now();
+    session.providers.vad.detectVAD(pcm16ToBase64Wav(batchBuf), session.callSid)
+        .then(vadResult => {
+            session.metrics.observe('vad', Date.now() - sentAt);
+            return queueVadResult(session, vadResult, batchBuf);
+        })
+        .catch(() => session.metrics.count('errors', { stage: 'vad' }))
+        .finally(() => { session.vadInFlight = false; });
+}
 
-    gpuClient.detectVAD(audioB64, session.callSid).then(async (vadResult) => {
-        if (session.status !== 'active') return;
-        const { event } = vadResult;
-
-        // ── Fast interrupt path ───────────────────────────────────────────────
-        // When AI is speaking, don't wait for SPEECH_CONFIRM_FRAMES (96ms of
-        // consecutive speech frames) before triggering interrupt. Short words
-        // like "stop" or "wait" may not sustain long enough to cross the state
-        // machine threshold. Use raw probability directly: a single 200ms batch
-        // at >= FAST_INTERRUPT_PROB is enough to cut the AI off.
-        //
-        // Reset the counter on any non-speech batch so a single noisy frame
-        // doesn't accumulate across silence gaps.
-        if (session.isAISpeaking) {
-            if (vadResult.probability >= FAST_INTERRUPT_PROB) {
-                session.fastInterruptCount++;
-                if (session.fastInterruptCount >= 1) {
-                    session.fastInterruptCount = 0;
-                    interruptAI(session);
-                    // Don't return — let the normal speech pipeline run so the
-                    // user's audio is captured into the speech buffer for STT.
-                }
-            } else {
+// ─── Streaming VAD ────────────────────────────────────────────────────────────
+// VAD_TRANSPORT=stream (default) keeps one WebSocket per call to the GPU
+// server's /vad/stream and pushes every 200ms batch as raw PCM instead of
+// POSTing a base64 WAV. Results come back asynchronously, one per batch and
+// in order, so we keep the sent batches in a FIFO and pair each result with
+// its audio. Nothing is dropped unless the server falls VAD_STREAM_MAX_PENDING
+// batches behind.
+//
+// HTTP stays as the fallback: it serves batches while the stream connects,
+// when the VAD provider or GPU server can't stream, and after a disconnect
+// until the stream is reopened (retried every VAD_STREAM_RETRY_MS). Streams
+// are only opened between turns — never while the caller is mid-utterance.
+//
+// session.vadStats counts batches per transport and drops; it goes out with
+// the call-complete payload so the drop rate can be compared across modes.
+const VAD_TRANSPORT          = (process.env.VAD_TRANSPORT || 'stream').toLowerCase();
+const VAD_STREAM_MAX_PENDING = 10;      // 2s of audio awaiting results
+const VAD_STREAM_RETRY_MS    = 10_000;
+
+function openVadStream(session) {
+    const vad = session.providers?.vad;
+    if (VAD_TRANSPORT !== 'stream' || session.vadStream || typeof vad?.openVADStream !== 'function') return;
+    if (Date.now() < session.vadStreamRetryAt) return;
+    // FIX: opening the stream resets the server's VAD state for the session,
+    // so a (re)open mid-utterance lost the speech_end of the turn in progress.
+    // Only switch transports between turns; HTTP carries the turn meanwhile.
+    if (session.isSpeaking || session.awaitingTurnConfirmation) return;
+
+    const { callSid } = session;
+    let stream;
+    try {
+        stream = vad.openVADStream(callSid);
+    } catch (err) {
+        logger.warn('Could not open VAD stream — using HTTP VAD', { callSid, error: err.message });
+    }
+    if (!stream) {
+        session.vadStreamRetryAt = Date.now() + VAD_STREAM_RETRY_MS;
+        return;
+    }
+
+    session.vadStream  = stream;
+    session.vadPending = [];
+    let opened = false;
+
+    stream.on('open', () => {
+        opened = true;
+        logger.info('VAD stream connected', { callSid, server: stream.server });
+    });
+
+    stream.on('result', (vadResult) => {
+        const pending = session.vadPending.shift();
+        if (!pending) return;
+        session.metrics.observe('vad', Date.now() - pending.sentAt);
+        queueVadResult(session, vadResult, pending.batchBuf);
+    });
+
+    stream.on('close', (err) => {
+        if (session.vadStream !== stream) return;
+        session.vadStream        = null;
+        session.vadStreamRetryAt = Date.now() + VAD_STREAM_RETRY_MS;
+
+        // Batches sent but never answered: keep the audio if mid-utterance
+        const lost = session.vadPending.splice(0).map(p => p.batchBuf);
+        session.vadStats.dropped += lost.length;
+        if (lost.length) session.metrics.count('vad_dropped', {}, lost.length);
+        if (lost.length && session.isSpeaking) captureSpeech(session, Buffer.concat(lost));
+
+        if (opened) session.vadStats.stream_disconnects++;
+        if (session.status === 'active') {
+            logger.warn(`VAD stream ${opened ? 'disconnected' : 'failed to connect'} — using HTTP VAD`, {
+                callSid, error: err?.message,
+            });
+        }
+    });
+}
+
+function closeVadStream(session) {
+    if (!session.vadStream) return;
+    session.vadStream.close();
+    session.vadStream  = null;
+    session.vadPending = [];
+}
+
+function streamVadBatch(session, batchBuf) {
+    if (session.vadPending.length >= VAD_STREAM_MAX_PENDING) {
+        session.vadStats.dropped++;
+        session.metrics.count('vad_dropped');
+        if (session.isSpeaking) captureSpeech(session, batchBuf);
+        return;
+    }
+    session.vadPending.push({ batchBuf, sentAt: Date.now() });
+    session.vadStats.stream_batches++;
+    session.metrics.count('vad_batches', { transport: 'stream' });
+    session.vadStream.send(batchBuf);
+}
+
+// Results are handled one at a time, in arrival order, whichever transport
+// produced them — the handler awaits STT and must not interleave with itself.
+function queueVadResult(session, vadResult, batchBuf) {
+    session.vadQueue = session.vadQueue
+        .then(() => handleVadResult(session, vadResult, batchBuf))
+        .catch(err => logger.error('VAD result handling failed', { callSid: session.callSid, error: err.message }));
+    return session.vadQueue;
+}
+
+async function handleVadResult(session, vadResult, batchBuf) {
+    if (session.status !== 'active') return;
+    const { event } = vadResult;
+
+    // ── Fast interrupt path ───────────────────────────────────────────────
+    // When AI is speaking, don't wait for SPEECH_CONFIRM_FRAMES (96ms of
+    // consecutive speech frames) before triggering interrupt. Short words
+    // like "stop" or "wait" may not sustain long enough to cross the state
+    // machine threshold. Use raw probability directly: a single 200ms batch
+    // at >= FAST_INTERRUPT_PROB is enough to cut the AI off.
+    //
+    // Reset the counter on any non-speech batch so a single noisy frame
+    // doesn't accumulate across silence gaps.
+    if (session.isAISpeaking) {
+        if (vadResult.probability >= FAST_INTERRUPT_PROB) {
+            session.fastInterruptCount++;
+            if (session.fastInterruptCount >= 1) {
                 session.fastInterruptCount = 0;
+                interruptAI(session, 'fast');
+                // Don't return — let the normal speech pipeline run so the
+                // user's audio is captured into the speech buffer for STT.
             }
         } else {
             session.fastInterruptCount = 0;
         }
+    } else {
+        session.fastInterruptCount = 0;
+    }
 
-        if (event === 'speech_start') {
-            session.speechStartCount++;
-
-            if (session.awaitingTurnConfirmation) {
-                // ── Smart Turn hold: user spoke again ─────────────────────────
-                // Mirrors pipecat base_smart_turn.py append_audio() when is_speech=True:
-                //   self._silence_ms = 0  (reset silence counter)
-                // We do NOT cancel any timer here — there is no timer. Silence is
-                // tracked via VAD batch events in the 'silence' handler below.
-                session.turnSilenceMs = 0;
-                if (!session.isSpeaking) {
-                    session.isSpeaking      = true;
-                    session.speechStartedAt = Date.now();
-                    session.clearSilenceTimer();
-                }
-                session.appendSpeechBuffer(batchBuf);
-
-            } else if (!session.isSpeaking) {
-                // ── Normal new turn start ─────────────────────────────────────
+    if (event === 'speech_start') {
+        session.speechStartCount++;
+
+        if (session.awaitingTurnConfirmation) {
+            // ── Smart Turn hold: user spoke again ─────────────────────────
+            // Mirrors pipecat base_smart_turn.py append_audio() when is_speech=True:
+            //   self._silence_ms = 0  (reset silence counter)
+            // We do NOT cancel any timer here — there is no timer. Silence is
+            // tracked via VAD batch events in the 'silence' handler below.
+            session.turnSilenceMs = 0;
+            recordHoldEnded(session);
+            cancelSpeculation(session);
+            if (!session.isSpeaking) {
                 session.isSpeaking      = true;
                 session.speechStartedAt = Date.now();
                 session.clearSilenceTimer();
-                session.speechStartedDuringAI = session.isAISpeaking;
+                session.resetSilenceReprompts();
+            }
+            captureSpeech(session, batchBuf);
+
+        } else if (!session.isSpeaking) {
+            // ── Normal new turn start ─────────────────────────────────────
+            session.isSpeaking      = true;
+            session.speechStartedAt = Date.now();
+            session.clearSilenceTimer();
+            session.resetSilenceReprompts();
+            session.speechStartedDuringAI = session.isAISpeaking;
+            startSttStream(session);
+
+            if (session.preRollBuffer.length > 0) {
+                captureSpeech(session, Buffer.concat(session.preRollBuffer));
+            }
+            captureSpeech(session, batchBuf);
 
-                if (session.preRollBuffer.length > 0) {
-                    session.appendSpeechBuffer(Buffer.concat(session.preRollBuffer));
-                }
-                session.appendSpeechBuffer(batchBuf);
+        } else {
+            captureSpeech(session, batchBuf);
+        }
 
-            } else {
-                session.appendSpeechBuffer(batchBuf);
-            }
+        if (session.speechStartCount >= INTERRUPT_THRESHOLD && session.isAISpeaking) {
+            session.speechStartedDuringAI = false;
+            interruptAI(session, 'threshold');
+        }
 
-            if (session.speechStartCount >= INTERRUPT_THRESHOLD && session.isAISpeaking) {
-                session.speechStartedDuringAI = false;
-                interruptAI(session);
-            }
+        if (!session.awaitingTurnConfirmation &&
+            session.speechStartedAt &&
+            (Date.now() - session.speechStartedAt) > MAX_SPEECH_MS) {
+            logger.warn('Max speech duration reached — forcing transcription', { callSid: session.callSid });
+            const speechAudio = session.flushSpeechBuffer();
+            session.isSpeaking              = false;
+            session.speechStartedAt         = null;
+            session.speechStartCount        = 0;
+            session.speechStartedDuringAI   = false;
+            session.awaitingTurnConfirmation = false;
+            session.turnSilenceMs           = 0;
+            if (speechAudio.length > 0) await transcribeAndRespond(session, speechAudio);
+        }
 
-            if (!session.awaitingTurnConfirmation &&
-                session.speechStartedAt &&
-                (Date.now() - session.speechStartedAt) > MAX_SPEECH_MS) {
-                logger.warn('Max speech duration reached — forcing transcription', { callSid: session.callSid });
-                const speechAudio = session.flushSpeechBuffer();
-                session.isSpeaking              = false;
-                session.speechStartedAt         = null;
-                session.speechStartCount        = 0;
-                session.speechStartedDuringAI   = false;
+    } else if (event === 'silence') {
+        if (!session.awaitingTurnConfirmation) {
+            session.speechStartCount = 0;
+        } else {
+            // ── Smart Turn silence accumulation ───────────────────────────
+            // Mirrors pipecat base_smart_turn.py append_audio() when is_speech=False:
+            //   chunk_duration_ms = len(audio) / (sample_rate / 1000)
+            //   self._silence_ms += chunk_duration_ms
+            //   if self._silence_ms >= self._stop_ms: COMPLETE (force transcribe)
+            //
+            // Each 'silence' VAD batch = 200ms. We accumulate until SMART_TURN_STOP_MS.
+            // When user speaks again, speech_start resets turnSilenceMs to 0.
+            session.turnSilenceMs += 200;
+            if (session.turnSilenceMs >= SMART_TURN_STOP_MS) {
+                logger.info(
+                    `Smart Turn silence fallback fired (${session.turnSilenceMs}ms >= ${SMART_TURN_STOP_MS}ms) — forcing transcription`,
+                    { callSid: session.callSid }
+                );
                 session.awaitingTurnConfirmation = false;
-                session.turnSilenceMs           = 0;
-                if (speechAudio.length > 0) await transcribeAndRespond(session, speechAudio);
-            }
-
-        } else if (event === 'silence') {
-            if (!session.awaitingTurnConfirmation) {
+                session.turnSilenceMs            = 0;
+                recordHoldEnded(session);
+                const audio = session.flushSpeechBuffer();
+                session.isSpeaking       = false;
+                session.speechStartedAt  = null;
                 session.speechStartCount = 0;
-            } else {
-                // ── Smart Turn silence accumulation ───────────────────────────
-                // Mirrors pipecat base_smart_turn.py append_audio() when is_speech=False:
-                //   chunk_duration_ms = len(audio) / (sample_rate / 1000)
-                //   self._silence_ms += chunk_duration_ms
-                //   if self._silence_ms >= self._stop_ms: COMPLETE (force transcribe)
-                //
-                // Each 'silence' VAD batch = 200ms. We accumulate until SMART_TURN_STOP_MS.
-                // When user speaks again, speech_start resets turnSilenceMs to 0.
-                session.turnSilenceMs += 200;
-                if (session.turnSilenceMs >= SMART_TURN_STOP_MS) {
-                    logger.info(
-                        `Smart Turn silence fallback fired (${session.turnSilenceMs}ms >= ${SMART_TURN_STOP_MS}ms) — forcing transcription`,
-                        { callSid: session.callSid }
-                    );
-                    session.awaitingTurnConfirmation = false;
-                    session.turnSilenceMs            = 0;
-                    const audio = session.flushSpeechBuffer();
-                    session.isSpeaking       = false;
-                    session.speechStartedAt  = null;
-                    session.speechStartCount = 0;
-                    if (audio.length > 0) await transcribeAndRespond(session, audio);
-                    session.startSilenceTimer(() => endCall(session, 'no_response'));
+                if (session.speculation?.state === 'pending') {
+                    // The response to this exact transcript is already generated
+                    endSttStream(session);
+                    commitSpeculation(session);
+                } else if (audio.length > 0) {
+                    await transcribeAndRespond(session, audio);
                 }
+                session.startSilenceTimer(() => endCall(session, 'no_response'));
             }
+        }
 
-        } else if (event === 'speech_end') {
-            const isConfirmationContinuation = session.awaitingTurnConfirmation;
+    } else if (event === 'speech_end') {
+        const isConfirmationContinuation = session.awaitingTurnConfirmation;
+
+        const speechDurationMs = session.speechStartedAt
+            ? Date.now() - session.speechStartedAt
+            : 0;
+
+        const speechAudio = session.flushSpeechBuffer();
+
+        session.speechStartCount = 0;
+        session.isSpeaking       = false;
+        session.speechStartedAt  = null;
+
+        // ── Minimum speech duration gate ──────────────────────────────────
+        // Skip for continuation turns — buffer already has substantial audio.
+        if (!isConfirmationContinuation && speechDurationMs < MIN_SPEECH_MS) {
+            logger.debug(
+                `Speech too short (${speechDurationMs}ms < ${MIN_SPEECH_MS}ms) — discarding`,
+                { callSid: session.callSid }
+            );
+            session.speechStartedDuringAI    = false;
+            session.awaitingTurnConfirmation  = false;
+            session.turnSilenceMs             = 0;
+            endSttStream(session);
+            session.startSilenceTimer(() => endCall(session, 'no_response'));
+            return;
+        }
 
-            const speechDurationMs = session.speechStartedAt
-                ? Date.now() - session.speechStartedAt
-                : 0;
+        // ── STT mute during AI speaking ───────────────────────────────────
+        // Skip for continuation turns — intent already established.
+        if (!isConfirmationContinuation &&
+            session.speechStartedDuringAI &&
+            session.speechStartCount < INTERRUPT_THRESHOLD) {
+            logger.debug('Speech during AI playback below interrupt threshold — discarding', {
+                callSid: session.callSid,
+            });
+            session.speechStartedDuringAI    = false;
+            session.awaitingTurnConfirmation  = false;
+            session.turnSilenceMs             = 0;
+            endSttStream(session);
+            session.startSilenceTimer(() => endCall(session, 'no_response'));
+            return;
+        }
+        session.speechStartedDuringAI = false;
 
-            const speechAudio = session.flushSpeechBuffer();
+        if (speechAudio.length === 0) {
+            session.awaitingTurnConfirmation = false;
+            session.turnSilenceMs            = 0;
+            endSttStream(session);
+            session.startSilenceTimer(() => endCall(session, 'no_response'));
+            return;
+        }
 
-            session.speechStartCount = 0;
-            session.isSpeaking       = false;
-            session.speechStartedAt  = null;
-
-            // ── Minimum speech duration gate ──────────────────────────────────
-            // Skip for continuation turns — buffer already has substantial audio.
-            if (!isConfirmationContinuation && speechDurationMs < MIN_SPEECH_MS) {
-                logger.debug(
-                    `Speech too short (${speechDurationMs}ms < ${MIN_SPEECH_MS}ms) — discarding`,
-                    { callSid: session.callSid }
-                );
-                session.speechStartedDuringAI    = false;
-                session.awaitingTurnConfirmation  = false;
-                session.turnSilenceMs             = 0;
-                session.startSilenceTimer(() => endCall(session, 'no_response'));
-                return;
+        // ── Smart Turn Detection ──────────────────────────────────────────
+        // ── KEY OPTIMIZATION: run Smart Turn and STT in parallel ──────────
+        // Both take the same base64 audio as input. Previously they ran
+        // serially: Smart Turn (~50ms + RTT) then STT (~250ms). Running
+        // concurrently removes ~250ms from perceived response delay every turn.
+        //
+        // If Smart Turn returns INCOMPLETE, discard the STT result and
+        // preserve the buffer. The cost is one wasted STT call — acceptable.
+        // If COMPLETE, the transcript is already ready with no extra wait.
+        const audioB64ForTurn = pcm16ToBase64Wav(speechAudio);
+        session.turnTiming = { speechEndAt: Date.now() };
+
+        const [turnResult, sttResultEarly] = await Promise.all([
+            timed(session, 'smart_turn', session.providers.turn.checkTurnComplete(audioB64ForTurn)),
+            transcribeTurn(session, speechAudio, audioB64ForTurn).catch(err => {
+                logger.error('Parallel STT failed', { callSid: session.callSid, error: err.message });
+                session.metrics.count('errors', { stage: 'stt' });
+                return null;
+            }),
+        ]);
+        session.metrics.count('smart_turn', {
+            verdict: turnResult.fallback ? 'fallback' : turnResult.complete ? 'complete' : 'incomplete',
+        });
+
+        if (!turnResult.complete) {
+            logger.info(
+                `Smart Turn: INCOMPLETE (confidence=${turnResult.confidence?.toFixed(3)}) — holding, silence counter at ${session.turnSilenceMs}ms`,
+                { callSid: session.callSid }
+            );
+            // Preserve buffer. The early STT result is discarded — user isn't
+            // done — unless speculative responses are on, which generate the
+            // reply to it now and only play it if the user stays silent.
+            session.appendSpeechBuffer(speechAudio);
+            session.awaitingTurnConfirmation = true;
+            session.turnSilenceMs            = 0;
+            session.holdStartedAt            = Date.now();
+            startSpeculation(session, sttResultEarly?.text?.trim());
+
+        } else {
+            logger.info(
+                `Smart Turn: COMPLETE (confidence=${turnResult.confidence?.toFixed(3)}) — using parallel STT result for ${speechDurationMs}ms`,
+                { callSid: session.callSid }
+            );
+            session.awaitingTurnConfirmation = false;
+            session.turnSilenceMs            = 0;
+            endSttStream(session);
+
+            // Use the pre-computed STT result — no additional wait.
+            // Guard against concurrent transcription (e.g. silence fallback fired simultaneously).
+            if (!session.transcribeInFlight && sttResultEarly?.text !== undefined) {
+                session.transcribeInFlight = true;
+                try {
+                    const transcript = sttResultEarly.text?.trim();
+                    if (transcript) submitUserTranscript(session, transcript);
+                } finally {
+                    session.transcribeInFlight = false;
+                }
+            } else if (!session.transcribeInFlight) {
+                // Parallel STT failed — fall back to sequential transcription
+                await transcribeAndRespond(session, speechAudio);
             }
+            session.startSilenceTimer(() => endCall(session, 'no_response'));
+        }
+    }
+}
+
+async function transcribeAndRespond(session, pcm16Buffer) {
+    const { callSid } = session;
+
+    // Guard against concurrent transcriptions
+    if (session.transcribeInFlight) return;
+    session.transcribeInFlight = true;
+
+    let transcript;
+    try {
+        const data = await transcribeTurn(session, pcm16Buffer);
+        transcript = data.text?.trim();
+    } catch (err) {
+        logger.error('STT failed', { callSid, error: err.message });
+        session.metrics.count('errors', { stage: 'stt' });
+        return;
+    } finally {
+        session.transcribeInFlight = false;
+        endSttStream(session);
+    }
+
+    if (!transcript) return;
+    submitUserTranscript(session, transcript);
+}
+
+// ─── Streaming STT ────────────────────────────────────────────────────────────
+// STT_TRANSPORT=stream opens a transcription stream when a user turn starts
+// and pushes the turn's audio as it is captured, so by speech_end the STT
+// server has already decoded all but the last few hundred ms. The final
+// hypothesis is requested (flush) in parallel with Smart Turn, and on
+// COMPLETE it goes to OpenAI straight away — STT latency no longer grows
+// with utterance length.
+//
+// The stream lives for the whole turn, Smart Turn holds included: on
+// INCOMPLETE the flushed result is discarded as before, the stream stays
+// open and the continuation is appended to it, and the next flush covers
+// the whole turn. Interim hypotheses are kept on session.sttPartial.
+//
+// If the provider can't stream, the stream fails to open or drops, or the
+// flush times out, the turn is transcribed over HTTP from the speech buffer,
+// which always holds the full turn.
+const STT_TRANSPORT = (process.env.STT_TRANSPORT || 'http').toLowerCase();
+
+function startSttStream(session) {
+    endSttStream(session);   // a new turn never continues an old stream
+    const stt = session.providers?.stt;
+    if (STT_TRANSPORT !== 'stream' || typeof stt?.openSTTStream !== 'function') return;
+
+    const { callSid } = session;
+    let stream = null;
+    try {
+        stream = stt.openSTTStream(callSid, session.language);
+    } catch (err) {
+        logger.warn('Could not open STT stream — using HTTP STT', { callSid, error: err.message });
+    }
+    if (!stream) return;
+
+    session.sttStream  = stream;
+    session.sttPartial = '';
+
+    stream.on('partial', (text) => {
+        if (session.sttStream !== stream) return;
+        session.sttPartial = text;
+        logger.debug(`Partial: "${text.slice(0, 100)}"`, { callSid });
+    });
+
+    stream.on('close', (err) => {
+        if (session.sttStream !== stream) return;
+        session.sttStream = null;
+        logger.warn('STT stream closed mid-turn — turn will use HTTP STT', { callSid, error: err?.message });
+    });
+}
+
+function endSttStream(session) {
+    if (!session.sttStream) return;
+    session.sttStream.close();
+    session.sttStream  = null;
+    session.sttPartial = '';
+}
+
+// Add turn audio to the speech buffer and, when streaming, to the STT stream
+function captureSpeech(session, pcm16Buf) {
+    session.appendSpeechBuffer(pcm16Buf);
+    session.sttStream?.send(pcm16Buf);
+}
+
+/**
+ * Final transcript for the current turn: flushed from the STT stream if one
+ * is open, otherwise (or if that fails) one HTTP transcribe of the audio.
+ */
+async function transcribeTurn(session, pcm16Buffer, audioB64 = null) {
+    if (session.sttStream) {
+        try {
+            return await timed(session, 'stt', session.sttStream.flush());
+        } catch (err) {
+            logger.warn('STT stream flush failed — transcribing over HTTP', { callSid: session.callSid, error: err.message });
+            endSttStream(session);
+        }
+    }
+    return timed(session, 'stt', session.providers.stt.transcribe(audioB64 || pcm16ToBase64Wav(pcm16Buffer), session.language));
+}
+
+// ─── Turn latency ─────────────────────────────────────────────────────────────
+// session.turnTiming follows one user turn from speech_end to the first AI
+// audio: speechEndAt (VAD speech_end that passed the duration gates), sentAt
+// (transcript sent to OpenAI), firstTokenAt. Stage timings go to
+// session.metrics (utils/metrics.js) and from there to /metrics and the
+// call-complete payload.
+
+async function timed(session, stage, promise) {
+    const start  = Date.now();
+    const result = await promise;
+    session.metrics.observe(stage, Date.now() - start);
+    return result;
+}
+
+function markTurnSent(session) {
+    if (session.turnTiming && !session.turnTiming.sentAt) session.turnTiming.sentAt = Date.now();
+}
+
+// First audio of the reply is on its way to Twilio — the turn is answered.
+// Only turns that reached OpenAI count; a discarded or empty turn has no reply.
+function recordResponseLatency(session) {
+    const turn = session.turnTiming;
+    if (!turn?.sentAt) return;
+    session.turnTiming = null;
+    session.metrics.observe('response', Date.now() - turn.speechEndAt);
+}
 
-            // ── STT mute during AI speaking ───────────────────────────────────
-            // Skip for continuation turns — intent already established.
-            if (!isConfirmationContinuation &&
-                session.speechStartedDuringAI &&
-                session.speechStartCount < INTERRUPT_THRESHOLD) {
-                logger.debug('Speech during AI playback below interrupt threshold — discarding', {
-                    callSid: session.callSid,
-                });
-                session.speechStartedDuringAI    = false;
-                session.awaitingTurnConfirmation  = false;
-                session.turnSilenceMs             = 0;
-                session.startSilenceTimer(() => endCall(session, 'no_response'));
-                return;
-            }
-            session.speechStartedDuringAI = false;
+function recordHoldEnded(session) {
+    if (!session.holdStartedAt) return;
+    session.metrics.observe('smart_turn_hold', Date.now() - session.holdStartedAt);
+    session.holdStartedAt = null;
+}
 
-            if (speechAudio.length === 0) {
-                session.awaitingTurnConfirmation = false;
-                session.turnSilenceMs            = 0;
-                session.startSilenceTimer(() => endCall(session, 'no_response'));
-                return;
-            }
+// ─── Speculative responses (Smart Turn hold) ──────────────────────────────────
+// With assistantConfig.speculative_responses on, an INCOMPLETE Smart Turn
+// verdict no longer just waits: the early transcript is sent to OpenAI and the
+// response is generated during the hold, but its text and tool calls are held
+// back (holdForSpeculation) — nothing is spoken or executed yet.
+//
+//   silence fallback fires  → commitSpeculation(): the held response is
+//                             replayed into TTS / the tool handler at once,
+//                             saving the whole STT + LLM round trip.
+//   user resumes speaking   → cancelSpeculation(): the response is cancelled
+//                             and, once it is done, its conversation items
+//                             (the user message and anything the response
+//                             created) are deleted, so OpenAI never saw the
+//                             partial turn. The full turn is sent as usual.
+//
+// Only one speculation at a time, never while protected speech is playing
+// or another response is in progress. Its response is recognised by the
+// metadata tag sent with response.create; events of any other response pass
+// straight through. An OpenAI error, a lost connection or a response that
+// doesn't finish within SPECULATION_TIMEOUT_MS drops the speculation — the
+// held audio is then transcribed as a normal turn.
+
+function startSpeculation(session, transcript) {
+    if (!session.assistantConfig.speculative_responses || !transcript) return;
+    if (session.speculation || isInterruptionProtected(session) || session.openaiClient?.currentResponseId) return;
+
+    session.speculationStats.started++;
+    const spec = session.speculation = {
+        transcript,
+        tag:          `${session.callSid}:${session.speculationStats.started}`,
+        state:        'pending',   // pending | cancelled
+        responseId:   null,
+        responseDone: false,
+        itemIds:      [],          // conversation items to delete on rollback
+        held:         [],          // text / tool events withheld while pending
+        timer:        null,
+    };
+    spec.timer = setTimeout(() => {
+        if (session.speculation === spec && !spec.responseDone) dropSpeculation(session, 'timed out');
+    }, SPECULATION_TIMEOUT_MS);
+    spec.timer.unref?.();
+
+    logger.info(`Speculative response for "${transcript.slice(0, 100)}"`, { callSid: session.callSid });
+    session.openaiClient.sendUserMessage(transcript, { speculation: spec.tag });
+    markTurnSent(session);
+}
 
-            // ── Smart Turn Detection ──────────────────────────────────────────
-            // ── KEY OPTIMIZATION: run Smart Turn and STT in parallel ──────────
-            // Both take the same base64 audio as input. Previously they ran
-            // serially: Smart Turn (~50ms + RTT) then STT (~250ms). Running
-            // concurrently removes ~250ms from perceived response delay every turn.
-            //
-            // If Smart Turn returns INCOMPLETE, discard the STT result and
-            // preserve the buffer. The cost is one wasted STT call — acceptable.
-            // If COMPLETE, the transcript is already ready with no extra wait.
-            const audioB64ForTurn = pcm16ToBase64Wav(speechAudio);
-
-            const [turnResult, sttResultEarly] = await Promise.all([
-                checkTurnComplete(audioB64ForTurn),
-                gpuClient.transcribe(audioB64ForTurn, session.language).catch(err => {
-                    logger.error('Parallel STT failed', { callSid: session.callSid, error: err.message });
-                    return null;
-                }),
-            ]);
-
-            if (!turnResult.complete) {
-                logger.info(
-                    `Smart Turn: INCOMPLETE (confidence=${turnResult.confidence?.toFixed(3)}) — holding, silence counter at ${session.turnSilenceMs}ms`,
-                    { callSid: session.callSid }
-                );
-                // Preserve buffer. Discard the early STT result — user isn't done.
-                session.appendSpeechBuffer(speechAudio);
-                session.awaitingTurnConfirmation = true;
-                session.turnSilenceMs            = 0;
+function holdForSpeculation(session, responseId, event) {
+    const spec = session.speculation;
+    if (!spec?.responseId || responseId !== spec.responseId) return false;
+    if (spec.state === 'pending') spec.held.push(event);
+    return true;
+}
 
-            } else {
-                logger.info(
-                    `Smart Turn: COMPLETE (confidence=${turnResult.confidence?.toFixed(3)}) — using parallel STT result for ${speechDurationMs}ms`,
-                    { callSid: session.callSid }
-                );
-                session.awaitingTurnConfirmation = false;
-                session.turnSilenceMs            = 0;
+function commitSpeculation(session) {
+    const spec = session.speculation;
+    session.speculation = null;
+    clearTimeout(spec.timer);
+    session.speculationStats.committed++;
+    logger.info(`User: "${spec.transcript.slice(0, 100)}" (speculative response committed)`, { callSid: session.callSid });
+    session.addTranscript('user', spec.transcript);
+
+    for (const event of spec.held) {
+        if (event.type === 'delta')     queueTextDelta(session, event.token);
+        else if (event.type === 'done') queueTextDone(session);
+        else handleFunctionCall(session, event.call).catch(err =>
+            logger.error('Held function call failed', { callSid: session.callSid, error: err.message }));
+    }
+}
 
-                // Use the pre-computed STT result — no additional wait.
-                // Guard against concurrent transcription (e.g. silence fallback fired simultaneously).
-                if (!session.transcribeInFlight && sttResultEarly?.text !== undefined) {
-                    session.transcribeInFlight = true;
-                    try {
-                        const transcript = sttResultEarly.text?.trim();
-                        if (transcript) {
-                            logger.info(`User: "${transcript.slice(0, 100)}"`, { callSid: session.callSid });
-                            session.transcript.push({ role: 'user', message: transcript, time_in_call_secs: session.getDurationSeconds() });
-                            try {
-                                session.openaiClient.sendUserMessage(transcript);
-                            } catch (err) {
-                                logger.error('OpenAI send failed', { callSid: session.callSid, error: err.message });
-                            }
-                        }
-                    } finally {
-                        session.transcribeInFlight = false;
-                    }
-                } else if (!session.transcribeInFlight) {
-                    // Parallel STT failed — fall back to sequential transcription
-                    await transcribeAndRespond(session, speechAudio);
-                }
-                session.startSilenceTimer(() => endCall(session, 'no_response'));
-            }
-        }
+function cancelSpeculation(session) {
+    const spec = session.speculation;
+    if (spec?.state !== 'pending') return;
+    spec.state = 'cancelled';
+    spec.held  = [];
+    session.speculationStats.cancelled++;
+    logger.info('User resumed speaking — cancelling speculative response', { callSid: session.callSid });
+
+    if (spec.responseDone) rollbackSpeculation(session);
+    else if (spec.responseId) session.openaiClient.cancelResponse();
+    // else: cancelled as soon as response_created arrives, rolled back on response_done
+}
 
-    }).catch(() => {}).finally(() => {
-        session.vadInFlight = false;
-    });
+// Give up on the speculation without waiting for its response to finish
+function dropSpeculation(session, why) {
+    const spec = session.speculation;
+    logger.warn(`Speculative response ${why} — dropping it`, { callSid: session.callSid });
+    if (spec.state === 'pending') session.speculationStats.cancelled++;
+    spec.state = 'cancelled';
+    spec.held  = [];
+    if (spec.responseId && session.openaiClient.currentResponseId === spec.responseId) {
+        session.openaiClient.cancelResponse();
+    }
+    rollbackSpeculation(session);
 }
 
-async function transcribeAndRespond(session, pcm16Buffer) {
+function rollbackSpeculation(session) {
+    const spec = session.speculation;
+    session.speculation = null;
+    clearTimeout(spec.timer);
+    const itemIds = new Set(spec.itemIds);
+    for (const itemId of itemIds) session.openaiClient.deleteItem(itemId);
+    session.conversationItemIds = session.conversationItemIds.filter(id => !itemIds.has(id));
+}
+
+/**
+ * Record a user turn and send it to OpenAI — unless protected speech is
+ * playing, in which case it is held and sent once playback completes.
+ */
+function submitUserTranscript(session, transcript) {
     const { callSid } = session;
+    logger.info(`User: "${transcript.slice(0, 100)}"`, { callSid });
+    session.addTranscript('user', transcript);
 
-    // Guard against concurrent transcriptions
-    if (session.transcribeInFlight) return;
-    session.transcribeInFlight = true;
+    if (isInterruptionProtected(session)) {
+        logger.info('Protected speech playing — deferring user turn', { callSid });
+        session.deferredUserInput.push(transcript);
+        return;
+    }
 
-    let transcript;
     try {
-        const audioB64 = pcm16ToBase64Wav(pcm16Buffer);
-        const data     = await gpuClient.transcribe(audioB64, session.language);
-        transcript     = data.text?.trim();
+        session.openaiClient.sendUserMessage(transcript);
+        markTurnSent(session);
     } catch (err) {
-        logger.error('STT failed', { callSid, error: err.message });
-        return;
-    } finally {
-        session.transcribeInFlight = false;
+        logger.error('OpenAI send failed', { callSid, error: err.message });
+        session.metrics.count('errors', { stage: 'openai' });
     }
+}
 
-    if (!transcript) return;
+// ─── Non-interruptible speech ─────────────────────────────────────────────────
+// session.protectedSpeech counts protected utterances that are queued or still
+// playing. It is incremented when the utterance is queued (so the gap between
+// two queued sentences is covered) and decremented when Twilio echoes the
+// 'protected_speech_end' mark, i.e. when the caller has actually heard it.
 
-    logger.info(`User: "${transcript.slice(0, 100)}"`, { callSid });
-    session.transcript.push({ role: 'user', message: transcript, time_in_call_secs: session.getDurationSeconds() });
+/**
+ * Protect the response OpenAI generates next (from a function result). It is
+ * bound on response_created; if it never starts or finishes — an OpenAI error,
+ * or nothing within PROTECTED_RESPONSE_TIMEOUT_MS — the protection is
+ * released so deferred caller turns aren't held forever.
+ */
+function protectNextResponse(session) {
+    session.protectNextResponse    = true;
+    session.protectAfterResponseId = session.openaiClient?.currentResponseId || null;
+    clearTimeout(session.protectionTimer);
+    session.protectionTimer = setTimeout(() => releaseResponseProtection(session, 'timed out'), PROTECTED_RESPONSE_TIMEOUT_MS);
+    session.protectionTimer.unref?.();
+}
+
+function releaseResponseProtection(session, why) {
+    logger.warn(`Protected response ${why} — accepting interruptions again`, { callSid: session.callSid });
+    clearTimeout(session.protectionTimer);
+    session.protectNextResponse = false;
+    session.protectedResponseId = null;
+    flushDeferredUserInput(session);
+}
+
+function isInterruptionProtected(session) {
+    return session.protectedSpeech > 0 ||
+        session.protectNextResponse ||
+        session.protectedResponseId !== null;
+}
+
+/**
+ * Called when an AI sentence is queued. Returns whether it is interruptible,
+ * reserving a protected slot if not.
+ */
+function reserveSpeech(session) {
+    const protectedResponse = session.protectedResponseId !== null &&
+        session.openaiClient?.currentResponseId === session.protectedResponseId;
+    if (!protectedResponse) return true;
+    session.protectedSpeech++;
+    return false;
+}
+
+function releaseSpeech(session, interruptible) {
+    if (interruptible) return;
+    session.protectedSpeech = Math.max(0, session.protectedSpeech - 1);
+    flushDeferredUserInput(session);
+}
 
+function flushDeferredUserInput(session) {
+    if (isInterruptionProtected(session) || session.deferredUserInput.length === 0) return;
+    if (session.status !== 'active') return;
+    const text = session.deferredUserInput.splice(0).join(' ');
+    logger.info(`Protected speech finished — sending deferred user turn: "${text.slice(0, 100)}"`, { callSid: session.callSid });
     try {
-        session.openaiClient.sendUserMessage(transcript);
+        session.openaiClient.sendUserMessage(text);
     } catch (err) {
-        logger.error('OpenAI send failed', { callSid, error: err.message });
+        logger.error('OpenAI send failed', { callSid: session.callSid, error: err.message });
     }
 }
 
@@ -666,30 +1392,39 @@ async function summarizeContext(session) {
     }
 }
 
-async function speakToTwilio(session, text) {
+/**
+ * Stream TTS for `text` to Twilio.
+ *
+ * @param {object}  [options]
+ * @param {boolean} [options.interruptible=true]  false = caller speech won't cut it off
+ *                                                (buffered and processed after playback)
+ * @param {boolean} [options.reserved=false]      protected slot already reserved at queue time
+ */
+async function speakToTwilio(session, text, { interruptible = true, reserved = false, supervisor = false } = {}) {
     const { callSid } = session;
 
+    if (!interruptible && !reserved) session.protectedSpeech++;
+
     // Skip empty/whitespace (LLM can return whitespace-only deltas)
-    if (!text || !text.trim()) return;
+    if (!text || !text.trim()) return releaseSpeech(session, interruptible);
+
+    // Muted by a supervisor: only their own 'say' gets through
+    if (session.aiMuted && !supervisor) return releaseSpeech(session, interruptible);
 
     session.clearSilenceTimer();
     session.isAISpeaking = true;
+    let markSent = false;
 
     try {
         const ttsStart = Date.now();
-        let response;
+        let audioStream;
         try {
-            response = await axios({
-                method:       'post',
-                url:          `${process.env.GPU_SERVER_URL}/tts/synthesize`,
-                headers:      { 'X-API-Key': process.env.GPU_SERVER_API_KEY },
-                data:         { text, voice: session.voice, language: session.language, streaming: true },
-                responseType: 'stream',
-                timeout:      15000,
-            });
-            logger.info(`TTS response headers received — status: ${response.status}`, { callSid });
+            // 8kHz PCM16 stream from the call's TTS provider (GPU server by default)
+            audioStream = await session.providers.tts.synthesizeStream(text, session.language, session.voice);
+            logger.info(`TTS stream opened (${session.providerNames.tts}) in ${Date.now() - ttsStart}ms`, { callSid });
         } catch (err) {
-            logger.error(`TTS axios error: ${err.message}`, { callSid });
+            logger.error(`TTS request error: ${err.message}`, { callSid });
+            session.metrics.count('errors', { stage: 'tts' });
             session.isAISpeaking = false;
             return;
         }
@@ -721,6 +1456,8 @@ async function speakToTwilio(session, text) {
                     }
                     const mulawSlice = pcm16ToTwilioMulaw(frame);
                     if (ws?.readyState === 1) {
+                        session.recorder?.writeAI(frame);
+                        session.emit('audio', 'ai', mulawSlice);
                         ws.send(JSON.stringify({
                             event: 'media', streamSid,
                             media: { payload: mulawSlice.toString('base64') },
@@ -731,7 +1468,7 @@ async function speakToTwilio(session, text) {
 
             let streamTimer = setTimeout(() => {
                 logger.error(`TTS stream timeout after ${bytesReceived} bytes received`, { callSid });
-                response.data.destroy();
+                audioStream.destroy();
                 resolve();
             }, 10000);
 
@@ -741,16 +1478,16 @@ async function speakToTwilio(session, text) {
                 resolve();
             };
 
-            response.data.on('data', (chunk) => {
+            audioStream.on('data', (chunk) => {
                 clearTimeout(streamTimer);
                 streamTimer = setTimeout(() => {
                     logger.error(`TTS stream stalled after ${bytesReceived} bytes`, { callSid });
-                    response.data.destroy();
+                    audioStream.destroy();
                     resolve();
                 }, 10000);
 
                 if (session.status === 'ending' || session.status === 'ended' || !session.isAISpeaking) {
-                    response.data.destroy();
+                    audioStream.destroy();
                     clearTimeout(streamTimer);
                     resolve();
                     return;
@@ -760,6 +1497,8 @@ async function speakToTwilio(session, text) {
                 if (bytesReceived === chunk.length) {
                     const header = chunk.slice(0, 16).toString('hex').match(/../g).join(' ');
                     logger.info(`TTS first chunk — ${chunk.length} bytes, ${Date.now() - ttsStart}ms, header: ${header}`, { callSid });
+                    session.metrics.observe('tts_first_byte', Date.now() - ttsStart);
+                    recordResponseLatency(session);
                 }
 
                 chunks.push(chunk);
@@ -767,11 +1506,13 @@ async function speakToTwilio(session, text) {
                 flushFrames(session.mediaStreamWs, session.twilioStreamSid);
             });
 
-            response.data.on('end', () => {
+            audioStream.on('end', () => {
                 if (totalBytes > 0) {
                     const remainder = Buffer.concat(chunks.splice(0), totalBytes);
                     if (remainder.length >= 2 && session.mediaStreamWs?.readyState === 1) {
                         const mulawSlice = pcm16ToTwilioMulaw(remainder);
+                        session.recorder?.writeAI(remainder);
+                        session.emit('audio', 'ai', mulawSlice);
                         session.mediaStreamWs.send(JSON.stringify({
                             event: 'media', streamSid: session.twilioStreamSid,
                             media: { payload: mulawSlice.toString('base64') },
@@ -783,11 +1524,18 @@ async function speakToTwilio(session, text) {
                         event: 'mark', streamSid: session.twilioStreamSid,
                         mark:  { name: 'ai_speech_end' },
                     }));
+                    if (!interruptible) {
+                        session.mediaStreamWs.send(JSON.stringify({
+                            event: 'mark', streamSid: session.twilioStreamSid,
+                            mark:  { name: 'protected_speech_end' },
+                        }));
+                        markSent = true;
+                    }
                 }
                 done('ended');
             });
 
-            response.data.on('error', (err) => {
+            audioStream.on('error', (err) => {
                 clearTimeout(streamTimer);
                 logger.error(`TTS stream error: ${err.message}`, { callSid });
                 session.isAISpeaking = false;
@@ -797,15 +1545,35 @@ async function speakToTwilio(session, text) {
 
     } catch (err) {
         logger.error(`TTS failed: ${err.message}`, { callSid });
+        session.metrics.count('errors', { stage: 'tts' });
         session.isAISpeaking = false;
+    } finally {
+        // No playback mark coming back — release the protected slot now
+        if (!markSent) releaseSpeech(session, interruptible);
     }
 }
 
-function interruptAI(session) {
+/**
+ * @param {string} [trigger]  what cut the AI off, counted in metrics
+ *                            ('fast' probability path, 'threshold' speech_start
+ *                            count); omitted when the pipeline stops itself
+ *                            or a supervisor mutes it — interrupts_total is
+ *                            the caller's barge-ins only
+ */
+function interruptAI(session, trigger = null) {
+    if (isInterruptionProtected(session) && !session.voicemailMode && !session.aiMuted && session.status === 'active') {
+        // Keep playing. Caller speech keeps flowing through VAD/STT and its
+        // transcript is deferred by submitUserTranscript().
+        logger.info('Caller spoke during non-interruptible speech — not interrupting', { callSid: session.callSid });
+        return;
+    }
     logger.info('User interrupted AI', { callSid: session.callSid });
+    if (trigger) session.metrics.count('interrupts', { trigger });
+    session.emit('interrupted', { trigger });
     if (session.openaiClient) session.openaiClient.cancelResponse();
     if (session.mediaStreamWs?.readyState === 1) {
         session.mediaStreamWs.send(JSON.stringify({ event: 'clear', streamSid: session.twilioStreamSid }));
+        session.recorder?.clearAI();
     }
     session.isAISpeaking     = false;
     session.ttsBuffer        = '';
@@ -814,13 +1582,115 @@ function interruptAI(session) {
     session.ttsSentenceQueue = Promise.resolve();
 }
 
-async function handleVoicemail(session) {
-    logger.info('Voicemail detected', { callSid: session.callSid });
-    const message = session.assistantConfig.voicemail_message;
-    if (message) await speakToTwilio(session, message);
+/**
+ * Answering-machine detection for outbound calls with voicemail_detection on.
+ *
+ * Two independent sources, whichever fires first wins:
+ *   - Local heuristic (voicemail.js) over the first seconds of caller audio
+ *   - Twilio async AMD, delivered as 'amd_result' by POST /twilio/outbound/amd
+ *
+ * Both emit 'voicemail_requested'. handleVoicemail() then waits for the beep.
+ */
+function setupVoicemailDetection(session) {
+    const { callSid } = session;
+    const detector = new VoicemailDetector();
+    session.voicemailDetector = detector;
+
+    detector.on('machine', () => {
+        logger.info('Voicemail heuristic: long greeting detected', { callSid });
+        session.emit('voicemail_requested', { source: 'heuristic' });
+    });
+    detector.on('human', () => {
+        logger.info('Voicemail heuristic: short greeting — treating as human', { callSid });
+    });
+
+    const onAmdResult = (answeredBy) => {
+        logger.info(`Twilio AMD result: ${answeredBy}`, { callSid });
+        if (answeredBy === 'human') {
+            detector.stop();
+        } else if (answeredBy === 'fax') {
+            endCall(session, 'fax_detected');
+        } else if (answeredBy === 'machine_start') {
+            detector.markMachine();
+            session.emit('voicemail_requested', { source: 'twilio_amd' });
+        } else if (AMD_MESSAGE_END.includes(answeredBy)) {
+            detector.markMachine();
+            session.emit('voicemail_requested', { source: 'twilio_amd', atBeep: true });
+        }
+    };
+    session.on('amd_result', onAmdResult);
+
+    // AMD can finish before the MediaStream connects — replay it
+    if (session.amdResult) onAmdResult(session.amdResult);
+}
+
+async function handleVoicemail(session, { source = 'llm', atBeep = false } = {}) {
+    if (session.voicemailMode || session.status !== 'active') return;
+    session.voicemailMode = true;
+    logger.info(`Voicemail detected (${source})`, { callSid: session.callSid });
+
+    // Stop talking over the greeting and drop anything captured from it
+    interruptAI(session);
+    session.clearSilenceTimer();
+    session.flushSpeechBuffer();
+    endSttStream(session);
+    cancelSpeculation(session);
+    session.isSpeaking               = false;
+    session.speechStartedAt          = null;
+    session.awaitingTurnConfirmation = false;
+    session.turnSilenceMs            = 0;
+
+    const message = interpolateSpoken(session.assistantConfig.voicemail_message, session.getTemplateVars());
+    if (message) {
+        if (!atBeep) await waitForBeep(session);
+        if (session.status !== 'active') return;
+        await speakToTwilio(session, message);
+        await waitForPlayback(session, VOICEMAIL_PLAYBACK_MAX_MS);
+        session.emit('voicemail_left', { left_by: 'assistant', message, detected_by: source });
+    }
     await endCall(session, 'voicemail_detected');
 }
 
+function waitForBeep(session) {
+    return new Promise((resolve) => {
+        const detector = session.voicemailDetector;
+        let timer;
+        const finish = (reason) => {
+            clearTimeout(timer);
+            if (detector) {
+                detector.off('beep', onBeep);
+                detector.off('greeting_end', onGreetingEnd);
+            }
+            session.off('amd_result', onAmd);
+            logger.info(`Voicemail: speaking after ${reason}`, { callSid: session.callSid });
+            resolve();
+        };
+        const onBeep        = () => finish('beep');
+        const onGreetingEnd = () => finish('greeting silence');
+        const onAmd         = (answeredBy) => { if (AMD_MESSAGE_END.includes(answeredBy)) finish(`AMD ${answeredBy}`); };
+
+        if (detector) {
+            detector.on('beep', onBeep);
+            detector.on('greeting_end', onGreetingEnd);
+        }
+        session.on('amd_result', onAmd);
+        timer = setTimeout(() => finish('max wait'), VOICEMAIL_MAX_WAIT_MS);
+    });
+}
+
+function waitForPlayback(session, maxMs) {
+    if (!session.isAISpeaking) return Promise.resolve();
+    return new Promise((resolve) => {
+        const timer = setTimeout(done, maxMs);
+        function done() {
+            clearTimeout(timer);
+            session.off('ai_playback_done', done);
+            resolve();
+        }
+        session.once('ai_playback_done', done);
+    });
+}
+
 async function endCall(session, reason) {
     if (session.status === 'ending' || session.status === 'ended') return;
     session.status = 'ending';
@@ -835,40 +1705,529 @@ async function endCall(session, reason) {
     }
 }
 
+// The AI stops and stays quiet, the caller hears why the call is ending,
+// then it ends. A call mid-transfer has no stream to speak on: the target leg
+// is dropped and the caller hung up.
+async function endCallForDrain(session, message) {
+    if (session.status === 'active') {
+        session.aiMuted = true;
+        interruptAI(session);
+        session.addTranscript('agent', message);
+        await speakToTwilio(session, message, { interruptible: false, supervisor: true });
+        await waitForPlayback(session, DRAIN_PLAYBACK_MAX_MS);
+    } else if (session.status === 'transferring' && session.transfer) {
+        const transfer = session.transfer;
+        clearTimeout(transfer.timer);
+        session.transfer = null;
+        if (!transfer.failed) hangUpTransferTarget(session, transfer.targetCallSid);
+        transfer.resolve({ success: false, ...transfer.target, error: 'Server shutting down' });
+    }
+    await endCall(session, 'server_shutdown');
+}
+
+// ─── Transfers ────────────────────────────────────────────────────────────────
+// Every transfer is confirmed before its tool result goes back to OpenAI —
+// transferData.resolve() (from functions.js) is called once the outcome is
+// known:
+//
+//   number (dial)  the target answered (<Number url> fired before the bridge)
+//   number (warm)  the target joined the conference after the whisper
+//   agent          Twilio accepted the redirect to the agent's TwiML URL
+//
+// While the caller is off the MediaStream (a Dial ringing, on hold in a
+// conference), session.status is 'transferring' and session.transfer holds
+// the pending transfer. If it fails, the caller is sent back to a fresh
+// MediaStream, resumePipeline() reattaches, and handleTransferFailure()
+// either reports a structured error to the LLM (which keeps talking) or runs
+// the configured transfer_fallback: another number, voicemail capture, or
+// end call.
+
+function beginTransfer(session, transferData, type, extra = {}) {
+    session.status = 'transferring';
+    session.clearSilenceTimer();
+    session.transfer = {
+        type,
+        target:        transferData.agent_id ? { agent_id: transferData.agent_id } : { phone_number: transferData.phone_number },
+        condition:     transferData.condition,
+        fallback:      transferData.fallback || null,
+        isFallback:    !!transferData.isFallback,
+        resolve:       transferData.resolve,
+        callId:        transferData.call_id,
+        endReason:     transferData.end_reason || 'transferred_to_number',
+        error:         null,
+        failed:        false,
+        timer:         null,
+        targetCallSid: null,
+        ...extra,
+    };
+    return session.transfer;
+}
+
+// The caller never left the stream (Twilio rejected the update) — back to normal.
+function abortTransfer(session) {
+    const transfer = session.transfer;
+    clearTimeout(transfer?.timer);
+    session.transfer = null;
+    if (session.status === 'transferring') session.status = 'active';
+    return transfer;
+}
+
+// Transfer messages play to completion before the caller is moved —
+// updating the call mid-playback would cut them off.
+async function playTransferMessage(session, transferData) {
+    if (!transferData.enable_client_message || !transferData.transfer_message) return;
+    await speakToTwilio(session, interpolateSpoken(transferData.transfer_message, session.getTemplateVars()), { interruptible: false });
+    await waitForPlayback(session, TRANSFER_PLAYBACK_MAX_MS);
+}
+
+function streamUrl(session) {
+    return `${session.publicBaseUrl.replace(/^http/, 'ws')}/twilio/stream/${session.callSid}`;
+}
+
 async function executeTransferToNumber(session, transferData) {
+    if (transferData.transfer_type === 'warm') return executeWarmTransfer(session, transferData);
+
+    const { callSid } = session;
+    const { phone_number: phoneNumber, resolve } = transferData;
+    logger.info(`Transferring to number: ${phoneNumber}`, { callSid });
+
+    await playTransferMessage(session, transferData);
+    if (session.status !== 'active') {
+        return resolve({ success: false, phone_number: phoneNumber, error: 'Call is no longer active' });
+    }
+
+    // <Number url> / <Sip url> is fetched when the target answers, before the
+    // bridge — that's the confirmation. <Dial action> is fetched when the dial
+    // ends; its response sends the caller back to the AI if nobody answered.
+    const { twiml: { VoiceResponse } } = require('twilio');
+    const baseUrl  = session.publicBaseUrl;
+    const response = new VoiceResponse();
+    const dial     = response.dial({
+        action:  `${baseUrl}/twilio/transfer/dial-result?callSid=${callSid}`,
+        method:  'POST',
+        timeout: transferData.ring_timeout || DEFAULT_TRANSFER_RING_SECS,
+        ...(transferData.caller_id ? { callerId: transferData.caller_id } : {}),
+    });
+    const onAnswer = { url: `${baseUrl}/twilio/transfer/answered?callSid=${callSid}`, method: 'POST' };
+    if (transferData.transfer_type === 'sip_refer') dial.sip(onAnswer, phoneNumber);
+    else dial.number(onAnswer, phoneNumber);
+
+    beginTransfer(session, transferData, 'dial');
+
+    try {
+        await getTwilioClient(session).calls(callSid).update({ twiml: response.toString() });
+    } catch (err) {
+        logger.error('Transfer to number failed', { callSid, error: err.message });
+        const transfer = abortTransfer(session);
+        return handleTransferFailure(session, transfer, 'The transfer could not be started');
+    }
+}
+
+/**
+ * Warm transfer: caller on hold in a conference, target dialed with a
+ * whisper summary, bridged when the target joins.
+ */
+async function executeWarmTransfer(session, transferData) {
+    const { callSid } = session;
+    const { phone_number: phoneNumber, resolve } = transferData;
+    const callerId = transferData.caller_id || session.assistantConfig.phone_number;
+
+    if (!callerId) {
+        logger.error('Warm transfer needs a caller ID (caller_id / phone_number)', { callSid });
+        return resolve({ success: false, phone_number: phoneNumber, error: 'Warm transfer is not configured' });
+    }
+
+    logger.info(`Warm transfer to ${phoneNumber}`, { callSid });
+
+    // Summary is generated while the transfer message plays
+    const whisperPromise = buildWhisperSummary(session, transferData);
+    await playTransferMessage(session, transferData);
+    const whisper = await whisperPromise;
+
+    if (session.status !== 'active') {
+        return resolve({ success: false, phone_number: phoneNumber, error: 'Call is no longer active' });
+    }
+
+    const { twiml: { VoiceResponse } } = require('twilio');
+    const twilio       = getTwilioClient(session);
+    const baseUrl      = session.publicBaseUrl;
+    const conference   = `transfer-${callSid}`;
+    const ringTimeout  = transferData.ring_timeout || DEFAULT_TRANSFER_RING_SECS;
+    const holdMusicUrl = transferData.hold_music_url || process.env.TRANSFER_HOLD_MUSIC_URL || DEFAULT_HOLD_MUSIC_URL;
+
+    const transfer = beginTransfer(session, transferData, 'warm', { conference, whisper });
+
+    // 1. Caller → conference on hold. Twilio stops the MediaStream; the
+    //    'transferring' status keeps its stop/close from tearing down the session.
+    const hold = new VoiceResponse();
+    hold.dial().conference({
+        waitUrl:                holdMusicUrl,
+        waitMethod:             'GET',
+        startConferenceOnEnter: false,
+        endConferenceOnExit:    true,
+        beep:                   false,
+    }, conference);
+
+    try {
+        await twilio.calls(callSid).update({ twiml: hold.toString() });
+    } catch (err) {
+        logger.error('Warm transfer: failed to move caller to hold', { callSid, error: err.message });
+        abortTransfer(session);
+        return handleTransferFailure(session, transfer, 'The transfer could not be started');
+    }
+
+    // 2. Dial the target. Its answer URL plays the whisper and joins the conference.
+    try {
+        const target = await twilio.calls.create({
+            to:                   phoneNumber,
+            from:                 callerId,
+            url:                  `${baseUrl}/twilio/transfer/whisper?callSid=${callSid}`,
+            method:               'POST',
+            statusCallback:       `${baseUrl}/twilio/transfer/status?callSid=${callSid}`,
+            statusCallbackMethod: 'POST',
+            timeout:              ringTimeout,
+        });
+        transfer.targetCallSid = target.sid;
+        logger.info(`Warm transfer: dialing ${phoneNumber}`, { callSid, targetCallSid: target.sid });
+    } catch (err) {
+        logger.error('Warm transfer: failed to dial target', { callSid, error: err.message });
+        return failTransfer(session, 'failed');
+    }
+
+    if (transfer.failed || session.transfer !== transfer) return;
+    transfer.timer = setTimeout(
+        () => failTransfer(session, 'no-answer'),
+        ringTimeout * 1000 + TRANSFER_CALLBACK_GRACE_MS
+    );
+}
+
+/**
+ * Whisper for the transfer target: a short spoken briefing generated from the
+ * transcript and dynamic variables. Falls back to the transfer condition if
+ * the summary can't be generated in time.
+ */
+async function buildWhisperSummary(session, transferData) {
     const { callSid } = session;
-    logger.info(`Transferring to number: ${transferData.phone_number}`, { callSid });
+    const fallback = transferData.condition
+        ? `Transferred call from the AI assistant. Reason: ${transferData.condition}.`
+        : 'Transferred call from the AI assistant.';
+
+    const transcriptText = session.transcript
+        .map(t => `${t.role === 'user' ? 'Caller' : 'Assistant'}: ${t.message}`)
+        .join('\n');
+    const details = Object.entries({ caller_phone: session.callerPhone, ...session.dynamicVariables })
+        .filter(([, v]) => v !== null && v !== undefined && typeof v !== 'object')
+        .map(([k, v]) => `${k}: ${v}`)
+        .join('\n');
+
+    if (!transcriptText) return `${fallback} Connecting you now.`;
+
     try {
-        if (transferData.enable_client_message && transferData.transfer_message) {
-            await speakToTwilio(session, transferData.transfer_message);
+        const { data } = await axios.post(
+            'https://api.openai.com/v1/chat/completions',
+            {
+                model: 'gpt-4o-mini',
+                max_tokens: 150,
+                messages: [
+                    {
+                        role: 'system',
+                        content: 'You are briefing a human agent who is about to take over a phone call from an AI assistant. ' +
+                            'In 2-3 short sentences, say who is calling, what they need and any details already collected. ' +
+                            'Plain sentences only — this will be read aloud.',
+                    },
+                    {
+                        role: 'user',
+                        content: `Reason for transfer: ${transferData.condition || 'not given'}\n\nKnown details:\n${details || 'none'}\n\nTranscript:\n${transcriptText}`,
+                    },
+                ],
+            },
+            {
+                headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
+                timeout: WHISPER_SUMMARY_TIMEOUT_MS,
+            }
+        );
+        const summary = data.choices?.[0]?.message?.content?.trim();
+        if (summary) return `${summary} Connecting you now.`;
+    } catch (err) {
+        logger.warn(`Whisper summary failed, using fallback: ${err.message}`, { callSid });
+    }
+    return `${fallback} Connecting you now.`;
+}
+
+// Target answered (dial) or joined the conference (warm) — the caller is
+// bridged and the AI is done.
+async function completeTransfer(session) {
+    const transfer = session.transfer;
+    if (!transfer || transfer.failed || transfer.type === 'voicemail') return;
+    clearTimeout(transfer.timer);
+    session.transfer = null;
+    logger.info(`Transfer connected to ${transfer.target.phone_number}`, { callSid: session.callSid });
+    await settleTransferCall(session, transfer.callId, transfer.resolve, { success: true, ...transfer.target });
+    session.emit('transfer_completed', { type: transfer.type, ...transfer.target });
+    await cleanup(session, transfer.endReason);
+}
+
+/**
+ * Resolve a transfer tool call that connected, then wait until
+ * handleFunctionCall() has sent the result to OpenAI (and emitted
+ * tool_result for the same call_id) — cleanup() closes the connection right
+ * after. Logged when the result can't be delivered.
+ */
+async function settleTransferCall(session, callId, resolve, outcome) {
+    // A supervisor takeover is no tool call: there is no result to wait for
+    if (!callId) return resolve(outcome);
+
+    const sent = new Promise((done) => {
+        const onResult = ({ call_id }) => {
+            // FIX: matched on the result object's identity before — any copy
+            // of the result left the call waiting out the full timeout
+            if (call_id !== callId) return;
+            clearTimeout(timer);
+            session.off('tool_result', onResult);
+            done(true);
+        };
+        const timer = setTimeout(() => {
+            session.off('tool_result', onResult);
+            done(false);
+        }, TRANSFER_RESULT_MAX_WAIT_MS);
+        session.on('tool_result', onResult);
+    });
+    resolve(outcome);
+    if (!(await sent) || !session.openaiClient?.isConnected) {
+        logger.warn('Transfer result not delivered to OpenAI before teardown', { callSid: session.callSid });
+    }
+}
+
+function onTransferTargetStatus(session, callStatus) {
+    const transfer = session.transfer;
+    if (!transfer || transfer.type === 'voicemail') return;
+    // A dial that ends 'completed' was answered and bridged (the answer
+    // callback normally got there first). For a warm transfer it means the
+    // target hung up before joining.
+    if (transfer.type === 'dial' && ['completed', 'answered'].includes(callStatus)) return completeTransfer(session);
+    if (['busy', 'no-answer', 'failed', 'canceled', 'completed'].includes(callStatus)) failTransfer(session, callStatus);
+}
+
+/**
+ * The target didn't pick up. Dial transfers get the caller back through the
+ * <Dial action> response; warm transfers redirect the call here. Either way
+ * resumePipeline() runs when the new MediaStream connects.
+ */
+async function failTransfer(session, callStatus) {
+    const transfer = session.transfer;
+    if (!transfer || transfer.failed) return;
+    const { callSid } = session;
+    transfer.failed = true;
+    transfer.error  = callStatus === 'busy' ? 'The line was busy' : 'Nobody answered the transfer';
+    clearTimeout(transfer.timer);
+    logger.warn(`Transfer to ${transfer.target.phone_number} failed: ${callStatus}`, { callSid });
+
+    if (transfer.type === 'warm') {
+        hangUpTransferTarget(session, transfer.targetCallSid);
+
+        const { twiml: { VoiceResponse } } = require('twilio');
+        const resume = new VoiceResponse();
+        resume.connect().stream({ url: streamUrl(session) });
+
+        try {
+            await getTwilioClient(session).calls(callSid).update({ twiml: resume.toString() });
+        } catch (err) {
+            logger.error('Transfer: failed to return caller to the AI', { callSid, error: err.message });
+            return abandonTransfer(session);
         }
-        const twilio = getTwilioClient(session);
-        const twiml  = transferData.transfer_type === 'sip_refer'
-            ? `<Response><Dial><Sip>${transferData.phone_number}</Sip></Dial></Response>`
-            : `<Response><Dial><Number>${transferData.phone_number}</Number></Dial></Response>`;
-        await twilio.calls(callSid).update({ twiml });
-        await cleanup(session, 'transferred_to_number');
+    }
+
+    transfer.timer = setTimeout(() => {
+        if (session.status === 'transferring') abandonTransfer(session);
+    }, TRANSFER_RESUME_MAX_WAIT_MS);
+}
+
+/**
+ * Caller is back on the stream after a failed transfer. Report the failure to
+ * the LLM, or run transfer_fallback (at most once — a failed fallback is
+ * reported as-is):
+ *
+ *   { type: 'number',    phone_number, transfer_type?, message? }  try another number
+ *   { type: 'voicemail', message?, max_length? }                   record a message for the team
+ *   { type: 'end_call',  message? }                                apologize and hang up
+ */
+async function handleTransferFailure(session, transfer, error) {
+    const { callSid } = session;
+    const failure  = { success: false, ...transfer.target, error };
+    const fallback = transfer.isFallback ? null : transfer.fallback;
+
+    if (!fallback) {
+        session.startSilenceTimer(() => endCall(session, 'no_response'));
+        return transfer.resolve({
+            ...failure,
+            instructions: 'The caller is still on the line with you. Apologize, then offer to take a message or help another way.',
+        });
+    }
+
+    logger.info(`Transfer failed — fallback: ${fallback.type}`, { callSid });
+    const vars = session.getTemplateVars();
+
+    switch (fallback.type) {
+        case 'number':
+            return executeTransferToNumber(session, {
+                phone_number:          fallback.phone_number,
+                // FIX: defaulted to 'conference', which read like a warm
+                // transfer but ran a plain dial — 'warm' must be asked for
+                transfer_type:         fallback.transfer_type || 'dial',
+                caller_id:             fallback.caller_id,
+                ring_timeout:          fallback.ring_timeout,
+                hold_music_url:        fallback.hold_music_url,
+                enable_client_message: !!fallback.message,
+                transfer_message:      fallback.message,
+                condition:             transfer.condition,
+                resolve:               transfer.resolve,
+                call_id:               transfer.callId,
+                isFallback:            true,
+            });
+
+        case 'voicemail':
+            return captureTransferVoicemail(session, transfer, fallback, failure);
+
+        case 'end_call':
+            await speakToTwilio(session, interpolateSpoken(fallback.message || DEFAULT_TRANSFER_END_MESSAGE, vars), { interruptible: false });
+            await waitForPlayback(session, TRANSFER_PLAYBACK_MAX_MS);
+            transfer.resolve({ ...failure, fallback: 'end_call' });
+            return endCall(session, 'transfer_failed');
+
+        default:
+            logger.warn(`Unknown transfer_fallback type: ${fallback.type}`, { callSid });
+            return handleTransferFailure(session, { ...transfer, isFallback: true }, error);
+    }
+}
+
+// Fallback: play a prompt in the assistant's voice, then hand the call to a
+// Twilio <Record>. The recording lands on /twilio/transfer/voicemail and is
+// reported with the call-complete payload.
+async function captureTransferVoicemail(session, transfer, fallback, failure) {
+    const { callSid } = session;
+    await speakToTwilio(session, interpolateSpoken(fallback.message || DEFAULT_TRANSFER_VOICEMAIL_PROMPT, session.getTemplateVars()), { interruptible: false });
+    await waitForPlayback(session, TRANSFER_PLAYBACK_MAX_MS);
+    if (session.status !== 'active') return transfer.resolve(failure);
+
+    const { twiml: { VoiceResponse } } = require('twilio');
+    const response = new VoiceResponse();
+    response.record({
+        action:      `${session.publicBaseUrl}/twilio/transfer/voicemail?callSid=${callSid}`,
+        method:      'POST',
+        maxLength:   fallback.max_length || TRANSFER_VOICEMAIL_MAX_SECS,
+        playBeep:    true,
+        finishOnKey: '#',
+    });
+    response.hangup();
+
+    beginTransfer(session, { ...transfer.target, resolve: transfer.resolve, call_id: transfer.callId, isFallback: true }, 'voicemail');
+
+    try {
+        await getTwilioClient(session).calls(callSid).update({ twiml: response.toString() });
     } catch (err) {
-        logger.error('Transfer to number failed', { callSid, error: err.message });
+        logger.error('Transfer: failed to start voicemail capture', { callSid, error: err.message });
+        abortTransfer(session);
+        return handleTransferFailure(session, { ...transfer, isFallback: true }, failure.error);
     }
 }
 
+function onTransferVoicemail(session, recording) {
+    const transfer = session.transfer;
+    if (!transfer || transfer.type !== 'voicemail') return;
+    session.transfer = null;
+    logger.info(`Transfer voicemail recorded (${recording.durationSeconds}s)`, { callSid: session.callSid });
+    session.transferVoicemail = recording;
+    session.emit('voicemail_left', {
+        left_by:          'caller',
+        recording_url:    recording.recordingUrl,
+        duration_seconds: recording.durationSeconds,
+    });
+    transfer.resolve({ success: false, ...transfer.target, error: 'Transfer failed', fallback: 'voicemail' });
+    cleanup(session, 'transfer_voicemail');
+}
+
+// Caller hung up while away from the stream (or couldn't be brought back) —
+// close the call out.
+function abandonTransfer(session) {
+    const transfer = session.transfer;
+    if (!transfer) return;
+    clearTimeout(transfer.timer);
+    session.transfer = null;
+
+    if (!transfer.failed) hangUpTransferTarget(session, transfer.targetCallSid);
+    transfer.resolve({ success: false, ...transfer.target, error: 'Caller hung up during transfer' });
+    cleanup(session, 'transfer_abandoned');
+}
+
+// Best effort: 'canceled' stops a ringing leg, 'completed' one that already
+// answered (e.g. still hearing the whisper). Already-ended legs just error.
+function hangUpTransferTarget(session, targetCallSid) {
+    if (!targetCallSid) return;
+    const call = getTwilioClient(session).calls(targetCallSid);
+    call.update({ status: 'canceled' })
+        .catch(() => call.update({ status: 'completed' }))
+        .catch(() => {});
+}
+
 async function executeTransferToAgent(session, transferData) {
     const { callSid } = session;
-    logger.info(`Transferring to agent: ${transferData.agent_id}`, { callSid });
+    const { agent_id: agentId, resolve } = transferData;
+    logger.info(`Transferring to agent: ${agentId}`, { callSid });
+
+    await playTransferMessage(session, transferData);
+    if (session.status !== 'active') {
+        return resolve({ success: false, agent_id: agentId, error: 'Call is no longer active' });
+    }
+
+    // Set before the redirect so the MediaStream stop it causes isn't read
+    // as the caller hanging up
+    const transfer = beginTransfer(session, transferData, 'agent');
     try {
-        if (transferData.enable_client_message && transferData.transfer_message) {
-            await speakToTwilio(session, transferData.transfer_message);
-        }
         const { data } = await laravelClient.get(`/calls/${callSid}/transfer-agent`, {
-            params: { agent_id: transferData.agent_id },
+            params: { agent_id: agentId },
         });
-        const twilio = getTwilioClient(session);
-        await twilio.calls(callSid).update({ url: data.twiml_url });
-        await cleanup(session, 'transferred_to_agent');
+        if (!data?.twiml_url) throw new Error('Laravel returned no twiml_url');
+        await getTwilioClient(session).calls(callSid).update({ url: data.twiml_url });
     } catch (err) {
         logger.error('Transfer to agent failed', { callSid, error: err.message });
+        abortTransfer(session);
+        return handleTransferFailure(session, transfer, 'The transfer could not be completed');
     }
+
+    session.transfer = null;
+    await settleTransferCall(session, transferData.call_id, resolve, { success: true, agent_id: agentId });
+    session.emit('transfer_completed', { type: 'agent', agent_id: agentId });
+    await cleanup(session, 'transferred_to_agent');
+}
+
+// ─── Supervisor controls ──────────────────────────────────────────────────────
+
+function setAIMuted(session, muted) {
+    session.aiMuted = muted;
+    logger.info(muted ? 'AI muted by supervisor' : 'AI unmuted by supervisor', { callSid: session.callSid });
+    // Not a barge-in: the mute is in the supervisor audit trail instead
+    if (muted) interruptAI(session);
+}
+
+// A dial transfer to the supervisor's phone with the AI muted meanwhile.
+// If they don't answer, the caller is back with the AI as it was.
+async function supervisorTakeover(session, { entry, phone_number, caller_id, ring_timeout }) {
+    const wasMuted = session.aiMuted;
+    setAIMuted(session, true);
+    await executeTransferToNumber(session, {
+        phone_number,
+        caller_id,
+        ring_timeout,
+        transfer_type: 'dial',
+        end_reason:    'supervisor_takeover',
+        resolve:       (outcome) => {
+            entry.outcome = outcome.success ? 'connected' : 'failed';
+            if (outcome.success) return;
+            entry.error = outcome.error;
+            logger.warn(`Supervisor takeover failed: ${outcome.error}`, { callSid: session.callSid });
+            if (session.status === 'active') setAIMuted(session, wasMuted);
+        },
+    });
 }
 
 async function cleanup(session, reason = 'completed') {
@@ -876,30 +2235,91 @@ async function cleanup(session, reason = 'completed') {
     const { callSid } = session;
     session.end(reason);
     if (session.openaiClient) session.openaiClient.disconnect();
-    try { await gpuClient.resetVAD(callSid); } catch {}
+    closeVadStream(session);
+    endSttStream(session);
+    try { await session.providers.vad.resetVAD(callSid); } catch {}
+    logger.info('VAD stats', { callSid, ...session.vadStats });
+    session.metrics.count('calls', { end_reason: reason });
+    if (session.recorder) session.recording = session.recorder.finish();
+    session.emit('call_ended', { reason });
     await postCallComplete(session, reason);
     const { callManager } = require('./callmanager'); // lazy to avoid circular dep
     callManager.remove(callSid);
     logger.info('Pipeline cleaned up', { callSid, reason });
 }
 
+/**
+ * Build the /calls/{sid}/complete payload. Shared with the campaign scheduler,
+ * which posts the same shape for outbound attempts that never connected, and
+ * with admission control for incoming calls it turned away (twiml.js), so
+ * downstream analytics see one record per call.
+ */
+function buildCallCompletePayload({
+    callSid, assistantId, organizationId, direction = 'inbound', status = 'done',
+    endReason, durationSeconds = 0, transcript = [], dynamicVariables = {}, metadata = {}, transferVoicemail = null,
+    providers = null, vad = null, speculation = null, metrics = null, recording = null, supervisorActions = [],
+    overflow = null, queue = null,
+}) {
+    const payload = {
+        call_sid:          callSid,
+        assistant_id:      assistantId,
+        organization_id:   organizationId,
+        direction,
+        status,
+        end_reason:        endReason,
+        duration_seconds:  durationSeconds,
+        transcript,
+        dynamic_variables: dynamicVariables,
+    };
+    if (providers) payload.providers = providers;
+    if (speculation?.started) payload.speculative_responses = speculation;
+    if (metrics) payload.metrics = metrics;
+    if (recording) payload.recording = recording;
+    if (supervisorActions.length) payload.supervisor_actions = supervisorActions;
+    if (vad) {
+        const sent = vad.http_batches + vad.stream_batches;
+        payload.vad = { ...vad, drop_rate: sent + vad.dropped ? +(vad.dropped / (sent + vad.dropped)).toFixed(4) : 0 };
+    }
+    if (transferVoicemail) {
+        payload.transfer_voicemail = {
+            recording_url:    transferVoicemail.recordingUrl,
+            recording_sid:    transferVoicemail.recordingSid,
+            duration_seconds: transferVoicemail.durationSeconds,
+        };
+    }
+    if (overflow) payload.overflow = overflow;
+    if (queue) payload.queue = queue;
+    if (metadata.campaignId) {
+        payload.campaign_id         = metadata.campaignId;
+        payload.campaign_contact_id = metadata.contactId;
+    }
+    return payload;
+}
+
+// Through the outbox: retried until Laravel has it (see outbox.js)
 async function postCallComplete(session, endReason) {
     const { callSid } = session;
-    try {
-        await laravelClient.post(`/calls/${callSid}/complete`, {
-            call_sid:          callSid,
-            assistant_id:      session.assistantConfig.assistant_id,
-            organization_id:   session.assistantConfig.organization_id,
-            status:            'done',
-            end_reason:        endReason,
-            duration_seconds:  session.getDurationSeconds(),
-            transcript:        session.transcript || [],
-            dynamic_variables: session.dynamicVariables || {},
-        });
-        logger.info('Post-call data sent to Laravel', { callSid });
-    } catch (err) {
-        logger.error('Failed to POST call complete to Laravel', { callSid, error: err.message });
-    }
+    const delivered = await outbox.enqueue(`${callSid}.complete`, `/calls/${callSid}/complete`, buildCallCompletePayload({
+        callSid,
+        assistantId:      session.assistantConfig.assistant_id,
+        organizationId:   session.assistantConfig.organization_id,
+        direction:        session.direction,
+        endReason,
+        durationSeconds:  session.getDurationSeconds(),
+        transcript:       session.transcript || [],
+        providers:        session.providerNames,
+        vad:              session.vadStats,
+        speculation:      session.speculationStats,
+        metrics:          session.metrics.summary(),
+        recording:        session.recording,
+        supervisorActions: session.supervisorActions,
+        queue:            session.queue,
+        dynamicVariables: session.dynamicVariables || {},
+        metadata:         session.metadata,
+        transferVoicemail: session.transferVoicemail,
+    }));
+    if (delivered) logger.info('Post-call data sent to Laravel', { callSid });
+    else logger.warn('Post-call data not delivered yet — queued in the outbox', { callSid });
 }
 
-module.exports = { initPipeline };
\ No newline at end of file
+module.exports = { initPipeline, resumePipeline, buildCallCompletePayload };
\ No newline at end of file
@@ -0,0 +1,198 @@
+'use strict';
+
+const crypto           = require('crypto');
+const { EventEmitter } = require('events');
+const logger           = require('../utils/logger');
+const gpuClient        = require('../gpu/client');
+const { pcm16ToBase64Wav } = require('../utils/audio');
+const { callManager }  = require('./callmanager');
+const { admitQueued }  = require('./admission');
+const { claim, release } = require('./registry');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Hold queue — callers waiting for capacity (overflow type "queue").
+//
+// The caller sits in a Twilio <Enqueue> (twilio/twiml.js) hearing hold music
+// and "you are number N in line", spoken by our TTS. The order is ours, not
+// Twilio's: higher priority first, then first come. Whenever a call ends
+// (and every PUMP_INTERVAL_MS, for GPU capacity coming back) the queue is
+// walked in that order and each caller that admission.js lets in is
+// emitted as 'dequeued' — twiml.js then moves it onto a MediaStream.
+// A caller whose organization is still at its limit stays put and the next
+// one gets its turn.
+//
+// Entries live in this instance's memory and are claimed in the session
+// registry as queue:{callSid}, so Twilio's queue callbacks reach it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PUMP_INTERVAL_MS        = 2000;
+const ANNOUNCEMENT_TIMEOUT_MS = 5000;
+const ANNOUNCEMENT_CACHE_MAX  = 200;
+
+class HoldQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.entries       = new Map();   // callSid → entry
+        this.seq           = 0;
+        this.timer         = null;
+        this.pumping       = false;
+        this.announcements = new Map();   // cache key → WAV buffer
+
+        callManager.on('session_removed', () => setImmediate(() => this.pump()));
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Put a refused caller in the queue. priority: the caller's number in
+     * overflow.priority_callers, else overflow.priority, else 0.
+     */
+    enqueue({ callSid, callerPhone, config, overflow, reason, accountSid, host }) {
+        const priority = Number(overflow.priority_callers?.[callerPhone] ?? overflow.priority ?? 0);
+        const entry = {
+            callSid, callerPhone, config, overflow, reason, accountSid, host, priority,
+            seq:        this.seq++,
+            enqueuedAt: Date.now(),
+            admitted:   false,
+        };
+        this.entries.set(callSid, entry);
+        claim(`queue:${callSid}`);
+        logger.info(`Queued (priority ${priority}, position ${this.position(callSid)})`, { callSid, reason });
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.pump(), PUMP_INTERVAL_MS);
+            this.timer.unref?.();
+        }
+        return entry;
+    }
+
+    get(callSid) {
+        return this.entries.get(callSid) || null;
+    }
+
+    remove(callSid) {
+        if (!this.entries.delete(callSid)) return;
+        release(`queue:${callSid}`);
+        if (this.entries.size === 0) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /** Callers still waiting, in the order they'll be let in. */
+    waiting() {
+        return [...this.entries.values()]
+            .filter(entry => !entry.admitted)
+            .sort((a, b) => (b.priority - a.priority) || (a.seq - b.seq));
+    }
+
+    /** 1-based place in line, or null if not waiting. */
+    position(callSid) {
+        const index = this.waiting().findIndex(entry => entry.callSid === callSid);
+        return index === -1 ? null : index + 1;
+    }
+
+    waitSeconds(entry) {
+        return Math.round((Date.now() - entry.enqueuedAt) / 1000);
+    }
+
+    /** Let in every waiting caller there's room for, in queue order. */
+    pump() {
+        if (this.pumping) return;
+        this.pumping = true;
+        try {
+            for (const entry of this.waiting()) {
+                const { admitted, reason } = admitQueued(entry.callSid, entry.config);
+                if (admitted) {
+                    entry.admitted = true;
+                    logger.info(`Dequeued after ${this.waitSeconds(entry)}s`, { callSid: entry.callSid });
+                    this.emit('dequeued', entry);
+                    continue;
+                }
+                // Another organization's caller may still fit; nobody does past these
+                if (reason !== 'organization_limit') break;
+            }
+        } finally {
+            this.pumping = false;
+        }
+    }
+
+    // ── Announcements ────────────────────────────────────────────────────────
+    // Synthesized once per text/language/voice and served to Twilio's <Play>
+    // from GET /twilio/queue/announcement. The URL carries the text, signed
+    // so only announcements we generated can be requested; any instance can
+    // render one it hasn't cached. Without LARAVEL_API_SECRET nothing is
+    // signed or served — the caller hears <Say> instead.
+
+    /** Signed query string for the announcement URL, or null without a secret. */
+    announcementQuery(text, language = 'en', voice = null) {
+        const params = new URLSearchParams({ text, language, voice: voice || '' });
+        const sig    = sign(params);
+        if (!sig) return null;
+        params.set('sig', sig);
+        return params.toString();
+    }
+
+    verifyAnnouncement(query) {
+        const params = new URLSearchParams({ text: query.text || '', language: query.language || '', voice: query.voice || '' });
+        const expected = sign(params);
+        return Boolean(expected) && typeof query.sig === 'string' && query.sig.length === expected.length
+            && crypto.timingSafeEqual(Buffer.from(query.sig), Buffer.from(expected));
+    }
+
+    /** WAV (8kHz PCM16) of text from the default TTS. Rejects on failure or timeout. */
+    async announcement(text, language = 'en', voice = null) {
+        const key = `${language}|${voice || ''}|${text}`;
+        if (this.announcements.has(key)) return this.announcements.get(key);
+
+        // FIX: a timed-out synthesis kept its request and audio stream open
+        // until the GPU server finished. Aborted along with the race now.
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error('Announcement TTS timed out'));
+            }, ANNOUNCEMENT_TIMEOUT_MS);
+        });
+        try {
+            const pcm = await Promise.race([synthesize(text, language, voice, controller.signal), timeout]);
+            const wav = Buffer.from(pcm16ToBase64Wav(pcm, 8000), 'base64');
+            if (this.announcements.size >= ANNOUNCEMENT_CACHE_MAX) {
+                this.announcements.delete(this.announcements.keys().next().value);
+            }
+            this.announcements.set(key, wav);
+            return wav;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// HMAC of an announcement's parameters, or null when there's no key to sign with
+function sign(params) {
+    if (!process.env.LARAVEL_API_SECRET) return null;
+    return crypto.createHmac('sha256', process.env.LARAVEL_API_SECRET)
+        .update(`${params.get('text')}|${params.get('language')}|${params.get('voice')}`)
+        .digest('hex');
+}
+
+async function synthesize(text, language, voice, signal) {
+    const stream = await gpuClient.synthesizeStream(text, language, voice, { signal });
+    // Aborted while the audio is still coming in
+    const destroy = () => stream.destroy();
+    if (signal.aborted) destroy();
+    else signal.addEventListener('abort', destroy, { once: true });
+    try {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    } finally {
+        signal.removeEventListener('abort', destroy);
+    }
+}
+
+const holdQueue = new HoldQueue();
+module.exports = { holdQueue };
@@ -0,0 +1,250 @@
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const logger = require('../utils/logger');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Call recording — stereo 8kHz PCM16 WAV, caller on the left channel, AI on
+// the right, both on the call's timeline.
+//
+// The two directions don't arrive the same way:
+//
+//   caller  Twilio delivers inbound audio in real time (20ms frames). Frames
+//           are laid end to end; if arrival drifts more than RESYNC_MS from
+//           the call clock (e.g. the stream was away during a transfer) the
+//           track jumps to the current call time, leaving silence.
+//   AI      TTS frames are sent to Twilio faster than real time and Twilio
+//           buffers them. A frame plays at the later of "now" and the end of
+//           the audio already queued (aiCursor). On an interrupt Twilio drops
+//           its buffer ('clear'), so anything queued past "now" is cut from
+//           the recording too.
+//
+// Audio is held in memory only until it is COMMIT_LAG_MS old (the AI track
+// can still be cleared and late caller frames can still land), then
+// interleaved and appended to the file. The WAV header is written with zero
+// sizes and patched on finish().
+//
+// Files go to RECORDINGS_DIR/YYYY-MM-DD/{CallSid}.wav. The retention sweeper
+// deletes them after RECORDING_RETENTION_DAYS (0 keeps them forever).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const RECORDINGS_DIR           = path.resolve(process.env.RECORDINGS_DIR || 'recordings');
+const RECORDING_RETENTION_DAYS = parseFloat(process.env.RECORDING_RETENTION_DAYS || '30');
+
+const SAMPLE_RATE     = 8000;
+const BYTES           = 2;       // PCM16
+const RESYNC_MS       = 500;
+const COMMIT_LAG_MS   = 2000;
+const COMMIT_EVERY_MS = 1000;
+const SWEEP_EVERY_MS  = 6 * 60 * 60 * 1000;
+
+function wavHeader(dataSize) {
+    const channels = 2;
+    const header   = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * channels * BYTES, 28);
+    header.writeUInt16LE(channels * BYTES, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataSize, 40);
+    return header;
+}
+
+// One mono track, as PCM16 starting at the recorder's commit point
+class Track {
+    constructor() {
+        this.buf    = Buffer.alloc(0);
+        this.length = 0;   // samples held
+    }
+
+    place(atSample, pcm16) {
+        if (atSample < 0) {                      // starts before the commit point
+            pcm16 = pcm16.subarray(-atSample * BYTES);
+            atSample = 0;
+            if (pcm16.length < BYTES) return;
+        }
+        const end = atSample + (pcm16.length >> 1);
+        if (end * BYTES > this.buf.length) {
+            const grown = Buffer.alloc(Math.max(end * BYTES, this.buf.length * 2));
+            this.buf.copy(grown, 0, 0, this.length * BYTES);
+            this.buf = grown;
+        }
+        // A gap before this frame is silence — the space may hold stale
+        // samples from before a take() or truncate()
+        if (atSample > this.length) this.buf.fill(0, this.length * BYTES, atSample * BYTES);
+        pcm16.copy(this.buf, atSample * BYTES, 0, (end - atSample) * BYTES);
+        this.length = Math.max(this.length, end);
+    }
+
+    truncate(samples) {
+        this.length = Math.max(0, Math.min(this.length, samples));
+    }
+
+    // Remove and return the first n samples (zero-padded)
+    take(n) {
+        const out = Buffer.alloc(n * BYTES);
+        const have = Math.min(n, this.length);
+        this.buf.copy(out, 0, 0, have * BYTES);
+        this.buf.copy(this.buf, 0, have * BYTES, this.length * BYTES);
+        this.length -= have;
+        return out;
+    }
+}
+
+class CallRecorder {
+    /**
+     * @param {string} callSid
+     * @param {object} [options]
+     * @param {string} [options.dir]  Base directory (default RECORDINGS_DIR)
+     */
+    constructor(callSid, { dir = RECORDINGS_DIR } = {}) {
+        this.callSid      = callSid;
+        this.startedAt    = Date.now();
+        this.filePath     = path.join(dir, new Date().toISOString().slice(0, 10), `${callSid}.wav`);
+        this.committed    = 0;            // samples written to the file
+        this.caller       = new Track();
+        this.ai           = new Track();
+        this.callerCursor = 0;            // absolute sample where caller audio ends
+        this.aiCursor     = 0;            // absolute sample where queued AI audio ends
+        this.finished     = false;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fd = fs.openSync(this.filePath, 'w');
+        fs.writeSync(this.fd, wavHeader(0));
+
+        this._timer = setInterval(() => this._commit(this._now() - COMMIT_LAG_MS * SAMPLE_RATE / 1000), COMMIT_EVERY_MS);
+        this._timer.unref?.();
+
+        logger.info('Recording started', { callSid, path: this.filePath });
+    }
+
+    _now() {
+        return Math.floor((Date.now() - this.startedAt) * SAMPLE_RATE / 1000);
+    }
+
+    /** Caller audio, 8kHz PCM16, as it arrives from Twilio. */
+    writeCaller(pcm16) {
+        if (this.finished) return;
+        const samples = pcm16.length >> 1;
+        const clockAt = this._now() - samples;
+        const at      = Math.abs(clockAt - this.callerCursor) > RESYNC_MS * SAMPLE_RATE / 1000 ? clockAt : this.callerCursor;
+        this.caller.place(at - this.committed, pcm16);
+        this.callerCursor = at + samples;
+    }
+
+    /** AI audio, 8kHz PCM16, as it is sent to Twilio. */
+    writeAI(pcm16) {
+        if (this.finished) return;
+        const at = Math.max(this.aiCursor, this._now());
+        this.ai.place(at - this.committed, pcm16);
+        this.aiCursor = at + (pcm16.length >> 1);
+    }
+
+    /** Twilio was told to 'clear' — AI audio not yet played never will be. */
+    clearAI() {
+        const now = this._now();
+        this.ai.truncate(now - this.committed);
+        this.aiCursor = Math.min(this.aiCursor, now);
+    }
+
+    _commit(upTo) {
+        const n = Math.floor(upTo) - this.committed;
+        if (n <= 0 || this.finished) return;
+        const left  = this.caller.take(n);
+        const right = this.ai.take(n);
+        const out   = Buffer.allocUnsafe(n * 2 * BYTES);
+        for (let i = 0; i < n; i++) {
+            out.writeInt16LE(left.readInt16LE(i * BYTES), i * 4);
+            out.writeInt16LE(right.readInt16LE(i * BYTES), i * 4 + 2);
+        }
+        try {
+            fs.writeSync(this.fd, out);
+        } catch (err) {
+            logger.error('Recording write failed', { callSid: this.callSid, error: err.message });
+        }
+        this.committed += n;
+    }
+
+    /**
+     * Write out everything up to the end of the call and close the file. AI
+     * audio still queued past that point was never heard and is dropped.
+     *
+     * @returns {{ path: string, duration_seconds: number, size_bytes: number, format: string, channels: object }}
+     */
+    finish() {
+        if (this.finished) return this.result;
+        clearInterval(this._timer);
+        this._commit(Math.max(this._now(), this.callerCursor));
+        this.finished = true;
+
+        const dataSize = this.committed * 2 * BYTES;
+        try {
+            fs.writeSync(this.fd, wavHeader(dataSize), 0, 44, 0);
+            fs.closeSync(this.fd);
+        } catch (err) {
+            logger.error('Recording finalize failed', { callSid: this.callSid, error: err.message });
+        }
+
+        this.result = {
+            path:             this.filePath,
+            format:           'wav',
+            sample_rate:      SAMPLE_RATE,
+            channels:         { left: 'caller', right: 'ai' },
+            duration_seconds: Math.round(this.committed / SAMPLE_RATE),
+            size_bytes:       44 + dataSize,
+        };
+        logger.info(`Recording saved (${this.result.duration_seconds}s)`, { callSid: this.callSid, path: this.filePath });
+        return this.result;
+    }
+}
+
+// ─── Retention ────────────────────────────────────────────────────────────────
+
+/**
+ * Delete recordings older than RECORDING_RETENTION_DAYS, and the date
+ * directories they leave empty. Returns the number of files removed.
+ */
+function sweepRecordings({ dir = RECORDINGS_DIR, retentionDays = RECORDING_RETENTION_DAYS } = {}) {
+    if (!(retentionDays > 0) || !fs.existsSync(dir)) return 0;
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let removed  = 0;
+
+    for (const day of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (!day.isDirectory()) continue;
+        const dayDir = path.join(dir, day.name);
+        for (const file of fs.readdirSync(dayDir)) {
+            const filePath = path.join(dayDir, file);
+            try {
+                if (fs.statSync(filePath).mtimeMs < cutoff) {
+                    fs.unlinkSync(filePath);
+                    removed++;
+                }
+            } catch (err) {
+                logger.warn('Recording cleanup failed', { path: filePath, error: err.message });
+            }
+        }
+        try {
+            if (fs.readdirSync(dayDir).length === 0) fs.rmdirSync(dayDir);
+        } catch {}
+    }
+
+    if (removed) logger.info(`Deleted ${removed} recording(s) older than ${retentionDays} days`);
+    return removed;
+}
+
+function startRetentionSweeper() {
+    if (!(RECORDING_RETENTION_DAYS > 0)) return;
+    sweepRecordings();
+    const timer = setInterval(sweepRecordings, SWEEP_EVERY_MS);
+    timer.unref?.();
+}
+
+module.exports = { CallRecorder, sweepRecordings, startRetentionSweeper, RECORDINGS_DIR };
@@ -0,0 +1,158 @@
+'use strict';
+
+const os              = require('os');
+const logger          = require('../utils/logger');
+const { RedisClient } = require('../utils/redis');
+const { callManager } = require('./callmanager');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Session registry — which orchestrator instance owns which call.
+//
+// Call state lives in the memory of the instance holding the call's
+// MediaStream. Behind a load balancer, Twilio callbacks, supervisor requests
+// and a caller returning from a failed transfer can land on any instance, so
+// each one records what it owns here and the others forward to it
+// (api/forward.js, twilio/mediastream.js).
+//
+//   SESSION_REGISTRY_URL unset       MemoryRegistry — one instance, nothing
+//                                    is ever forwarded (the default)
+//   SESSION_REGISTRY_URL=redis://…   RedisRegistry — shared by every instance
+//
+// Keys:
+//   call:{callSid}       live CallSession, claimed on create, released on remove
+//   outbound:{ref}       outbound call context (twilio/outbound.js) — its
+//   outbound:{callSid}   callbacks and campaign bookkeeping stay on the
+//                        instance that placed it
+//
+// Each instance announces itself ({ id, url }) every HEARTBEAT_MS with a
+// short TTL. A key whose owner stopped announcing counts as unowned, so a
+// crashed instance's calls fall back to being handled wherever they land.
+// INSTANCE_URL must be reachable by the other instances (not by Twilio).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SESSION_REGISTRY_URL  = process.env.SESSION_REGISTRY_URL || '';
+const REGISTRY_PREFIX       = process.env.SESSION_REGISTRY_PREFIX || 'newrohelp:';
+// Longer than any call (MAX_CALL_DURATION_SECONDS) or outbound context (2h)
+const CLAIM_TTL_SECONDS     = 3 * 60 * 60;
+const HEARTBEAT_MS          = 10000;
+const INSTANCE_TTL_SECONDS  = 30;
+// Set on requests and streams relayed between instances — never relayed twice
+const FORWARDED_HEADER      = 'x-forwarded-by-instance';
+
+const instance = {
+    id:  process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+    url: (process.env.INSTANCE_URL || `http://127.0.0.1:${process.env.PORT || 3000}`).replace(/\/+$/, ''),
+};
+
+class MemoryRegistry {
+    constructor() {
+        this.type   = 'memory';
+        this.claims = new Set();
+    }
+
+    start() {}
+
+    async claim(key) {
+        this.claims.add(key);
+    }
+
+    async release(key) {
+        this.claims.delete(key);
+    }
+
+    /** Owning instance ({ id, url }), or null if no live instance owns key. */
+    async owner(key) {
+        return this.claims.has(key) ? instance : null;
+    }
+
+    async stop() {}
+}
+
+class RedisRegistry {
+    constructor(url) {
+        this.type   = 'redis';
+        this.client = new RedisClient(url);
+        this.timer  = null;
+    }
+
+    start() {
+        // Not awaited: the server serves calls with or without Redis
+        this.client.on('ready', () => this._heartbeat());
+        this.client.connect().then(() => {
+            logger.info(`Session registry: Redis at ${this.client.host}:${this.client.port}`, { instance: instance.id, url: instance.url });
+        });
+        this.timer = setInterval(() => this._heartbeat(), HEARTBEAT_MS);
+        this.timer.unref?.();
+    }
+
+    async _heartbeat() {
+        try {
+            await this.client.command('SET', `${REGISTRY_PREFIX}instance:${instance.id}`, JSON.stringify(instance), 'EX', INSTANCE_TTL_SECONDS);
+        } catch (err) {
+            logger.warn(`Session registry heartbeat failed: ${err.message}`);
+        }
+    }
+
+    async claim(key) {
+        await this.client.command('SET', `${REGISTRY_PREFIX}${key}`, instance.id, 'EX', CLAIM_TTL_SECONDS);
+    }
+
+    // Only our own claim: another instance may have taken the key over (e.g. a
+    // caller back from a transfer on a different instance). GET-then-DEL can
+    // still race with such a takeover; the loser's call is then handled
+    // wherever its requests land until the key expires.
+    async release(key) {
+        const redisKey = `${REGISTRY_PREFIX}${key}`;
+        if (await this.client.command('GET', redisKey) === instance.id) {
+            await this.client.command('DEL', redisKey);
+        }
+    }
+
+    async owner(key) {
+        const id = await this.client.command('GET', `${REGISTRY_PREFIX}${key}`);
+        if (!id) return null;
+        if (id === instance.id) return instance;
+        const announced = await this.client.command('GET', `${REGISTRY_PREFIX}instance:${id}`);
+        return announced ? JSON.parse(announced) : null;
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        await this.client.command('DEL', `${REGISTRY_PREFIX}instance:${instance.id}`).catch(() => {});
+        this.client.close();
+    }
+}
+
+const registry = SESSION_REGISTRY_URL ? new RedisRegistry(SESSION_REGISTRY_URL) : new MemoryRegistry();
+
+// Registry failures never fail a call — at worst a request isn't forwarded
+function claim(key) {
+    registry.claim(key).catch(err => logger.warn(`Session registry claim failed: ${err.message}`, { key }));
+}
+
+function release(key) {
+    registry.release(key).catch(err => logger.warn(`Session registry release failed: ${err.message}`, { key }));
+}
+
+/**
+ * The other instance owning key, or null when it's ours, unowned, or the
+ * registry can't be reached — in all of which the caller handles it locally.
+ */
+async function remoteOwner(key) {
+    try {
+        const owner = await registry.owner(key);
+        return owner && owner.id !== instance.id ? owner : null;
+    } catch (err) {
+        logger.warn(`Session registry lookup failed: ${err.message}`, { key });
+        return null;
+    }
+}
+
+/** Claim live sessions as they come and go, and announce this instance. */
+function startRegistry() {
+    callManager.on('session_created', (session) => claim(`call:${session.callSid}`));
+    callManager.on('session_removed', (callSid) => release(`call:${callSid}`));
+    registry.start();
+}
+
+module.exports = { registry, instance, claim, release, remoteOwner, startRegistry, FORWARDED_HEADER };
@@ -0,0 +1,199 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Answering-machine detection — local heuristic over the first seconds of
+// caller audio. Complements Twilio's async AMD (which needs ~4s and costs per
+// call) and covers calls where AMD wasn't requested.
+//
+// Two signals, both computed on the same 200ms PCM16 16kHz batches the VAD sees:
+//
+//   1. Greeting: a human answers with a short "Hello?" and waits. A machine
+//      plays an uninterrupted 5–20s greeting. Continuous speech (gaps < 400ms
+//      bridged) of MACHINE_SPEECH_MS within the detection window → 'machine'.
+//      One pause proves little — greetings pause between sentences too — so
+//      'human' needs turn-taking: HUMAN_MIN_TURNS short utterances (up to
+//      HUMAN_TURN_MS each) separated by pauses, or one followed by
+//      HUMAN_WAIT_MS of silence (waiting for an answer).
+//
+//   2. Beep: a pure tone (400–2000Hz) held for ≥ 160ms. Frequency is estimated
+//      from zero crossings per 20ms frame, then confirmed with a single-bin
+//      Goertzel — a tone concentrates almost all frame energy in that bin,
+//      speech doesn't. Cheap enough to run on every batch.
+//
+// After a greeting, if no beep arrives, VOICEMAIL_SILENCE_SECONDS of silence
+// is treated as end-of-greeting ('greeting_end') — some carriers don't beep.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SAMPLE_RATE         = 16000;
+const FRAME_SAMPLES       = 320;    // 20ms @ 16kHz
+const BATCH_MS            = 200;
+
+const DETECTION_WINDOW_MS = 10000;  // classify only within the first 10s of caller audio
+const MACHINE_SPEECH_MS   = 4000;   // continuous speech this long = recorded greeting
+const MAX_SPEECH_GAP_MS   = 400;    // pauses shorter than this don't break a greeting
+const SPEECH_RMS          = 300;    // batch RMS above this counts as speech
+const HUMAN_TURN_MS       = 1600;   // a speech run this short could be "Hello?"
+const HUMAN_MIN_TURNS     = 2;      // short runs, each ended by a pause, = turn-taking
+const HUMAN_WAIT_MS       = 2000;   // silence after a short run = waiting for us
+
+const BEEP_MIN_HZ         = 400;
+const BEEP_MAX_HZ         = 2000;
+const BEEP_RMS            = 800;
+const BEEP_PURITY         = 0.6;    // fraction of frame energy in the Goertzel bin
+const BEEP_HZ_TOLERANCE   = 60;
+const BEEP_MIN_FRAMES     = 8;      // 8 × 20ms = 160ms of steady tone
+
+class VoicemailDetector extends EventEmitter {
+    constructor({ silenceSeconds } = {}) {
+        super();
+        this.silenceMs = (silenceSeconds || parseFloat(process.env.VOICEMAIL_SILENCE_SECONDS || '3')) * 1000;
+
+        this.result      = null;    // null | 'human' | 'machine'
+        this.beepHeard   = false;
+        this.elapsedMs   = 0;
+        this.speechRunMs = 0;       // current continuous speech run (gaps bridged)
+        this.gapMs       = 0;       // silence since last speech batch
+        this.shortTurns  = 0;       // speech runs ≤ HUMAN_TURN_MS ended by a pause
+        this.lastRunMs   = 0;       // length of the speech run the current gap ended
+        this.silenceAfterGreetingMs = 0;
+
+        this._toneHz     = null;
+        this._toneFrames = 0;
+        this._stopped    = false;
+    }
+
+    /**
+     * Feed one 200ms PCM16 LE batch at 16kHz.
+     */
+    feed(pcm16Buf) {
+        if (this._stopped) return;
+        this.elapsedMs += BATCH_MS;
+
+        if (this.result === 'machine' && !this.beepHeard && this._detectBeep(pcm16Buf)) {
+            this.beepHeard = true;
+            this.emit('beep');
+            return;
+        }
+
+        const speech = rms(pcm16Buf) > SPEECH_RMS;
+
+        if (speech) {
+            this.speechRunMs += this.gapMs + BATCH_MS;
+            this.gapMs        = 0;
+            this.silenceAfterGreetingMs = 0;
+        } else {
+            this.gapMs += BATCH_MS;
+            if (this.gapMs > MAX_SPEECH_GAP_MS && this.speechRunMs > 0) {
+                this.lastRunMs = this.speechRunMs;
+                if (this.speechRunMs <= HUMAN_TURN_MS) this.shortTurns++;
+                this.speechRunMs = 0;
+            }
+            const waiting = this.lastRunMs > 0 && this.lastRunMs <= HUMAN_TURN_MS && this.gapMs >= HUMAN_WAIT_MS;
+            if (this.result === null && (this.shortTurns >= HUMAN_MIN_TURNS || waiting)) {
+                this.result = 'human';
+                this.emit('human');
+            }
+        }
+
+        if (this.result === null && this.speechRunMs >= MACHINE_SPEECH_MS) {
+            this.result = 'machine';
+            this.emit('machine');
+        }
+
+        if (this.result === 'machine' && !this.beepHeard && !speech) {
+            this.silenceAfterGreetingMs += BATCH_MS;
+            if (this.silenceAfterGreetingMs >= this.silenceMs) {
+                this.beepHeard = true;   // treat as end-of-greeting; don't fire twice
+                this.emit('greeting_end');
+            }
+        }
+
+        // Nothing heard at all during the window — leave it to Twilio AMD / the LLM.
+        if (this.result === null && this.elapsedMs >= DETECTION_WINDOW_MS && this.speechRunMs === 0) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Mark the call as machine-answered from an external source (Twilio AMD)
+     * so subsequent audio is watched for the beep.
+     */
+    markMachine() {
+        if (this.result === 'machine') return;
+        this.result   = 'machine';
+        this._stopped = false;
+    }
+
+    stop() {
+        this._stopped = true;
+    }
+
+    _detectBeep(pcm16Buf) {
+        const frames = Math.floor((pcm16Buf.length >> 1) / FRAME_SAMPLES);
+        for (let f = 0; f < frames; f++) {
+            const hz = toneFrequency(pcm16Buf, f * FRAME_SAMPLES);
+            if (hz !== null && (this._toneHz === null || Math.abs(hz - this._toneHz) <= BEEP_HZ_TOLERANCE)) {
+                this._toneHz = this._toneHz === null ? hz : this._toneHz;
+                this._toneFrames++;
+                if (this._toneFrames >= BEEP_MIN_FRAMES) return true;
+            } else {
+                this._toneHz     = hz;
+                this._toneFrames = hz === null ? 0 : 1;
+            }
+        }
+        return false;
+    }
+}
+
+function rms(pcm16Buf) {
+    const samples = pcm16Buf.length >> 1;
+    if (samples === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+        const s = pcm16Buf.readInt16LE(i * 2);
+        sum += s * s;
+    }
+    return Math.sqrt(sum / samples);
+}
+
+/**
+ * Returns the frequency of a 20ms frame if it is a loud, pure tone in the
+ * beep range, else null.
+ */
+function toneFrequency(pcm16Buf, startSample) {
+    let energy    = 0;
+    let crossings = 0;
+    // FIX: start from the sample before the frame — seeding with the frame's
+    // own first sample missed a crossing there, and one crossing is 25Hz: a
+    // 1kHz beep read as 975Hz fails the Goertzel purity check below
+    let prev      = pcm16Buf.readInt16LE(Math.max(0, startSample - 1) * 2);
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+        const s = pcm16Buf.readInt16LE((startSample + i) * 2);
+        energy += s * s;
+        if ((prev < 0 && s >= 0) || (prev >= 0 && s < 0)) crossings++;
+        prev = s;
+    }
+
+    if (Math.sqrt(energy / FRAME_SAMPLES) < BEEP_RMS) return null;
+
+    const hz = (crossings / 2) * (SAMPLE_RATE / FRAME_SAMPLES);
+    if (hz < BEEP_MIN_HZ || hz > BEEP_MAX_HZ) return null;
+
+    // Single-bin Goertzel at the estimated frequency. For a pure sinusoid,
+    // power ≈ N/2 · energy, so purity ≈ 1; speech spreads energy across bins.
+    const coeff = 2 * Math.cos(2 * Math.PI * hz / SAMPLE_RATE);
+    let s1 = 0, s2 = 0;
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+        const s0 = pcm16Buf.readInt16LE((startSample + i) * 2) + coeff * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+    }
+    const power  = s1 * s1 + s2 * s2 - coeff * s1 * s2;
+    const purity = power / ((FRAME_SAMPLES / 2) * energy);
+
+    return purity >= BEEP_PURITY ? hz : null;
+}
+
+module.exports = { VoicemailDetector };
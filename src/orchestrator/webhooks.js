@@ -0,0 +1,164 @@
+'use strict';
+
+const crypto = require('crypto');
+const path   = require('path');
+const axios  = require('axios');
+const logger = require('../utils/logger');
+const { Outbox } = require('./outbox');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Customer webhooks — call lifecycle events POSTed straight to the customer's
+// endpoints, without going through Laravel.
+//
+// Per assistant:
+//   webhooks: [
+//     { url: 'https://…', secret: '…', events: ['call.ended', …] },   // events optional = all
+//   ]
+//
+// Events:
+//   call.started        AI connected to the caller
+//   call.ended          end reason, duration, transcript, dynamic variables
+//   tool.invoked        tool name, arguments and result
+//   transfer.completed  caller bridged to a number or agent
+//   voicemail.left      AI left a message on a machine, or the caller left
+//                       one after a failed transfer
+//
+// Each POST is signed: X-Webhook-Signature is "sha256=" + hex HMAC-SHA256 of
+// "{X-Webhook-Timestamp}.{raw body}" with the subscription's secret. The
+// timestamp (unix seconds) is fresh on every attempt, so receivers can reject
+// anything older than a few minutes. X-Webhook-Id is stable across retries.
+//
+// Delivery goes through an Outbox under OUTBOX_DIR/webhooks — retried with
+// backoff, kept across restarts, dead-lettered after WEBHOOK_MAX_ATTEMPTS.
+// Secrets are not written there: an entry names its subscription (assistant
+// and index) and the secret is looked up for each attempt — from the calls
+// this process has seen, or after a restart from the call's config in Laravel.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const WEBHOOK_EVENTS       = ['call.started', 'call.ended', 'tool.invoked', 'transfer.completed', 'voicemail.left'];
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+const WEBHOOK_TIMEOUT_MS   = parseInt(process.env.WEBHOOK_TIMEOUT_MS   || '5000');
+
+const laravelClient = axios.create({
+    baseURL:  process.env.LARAVEL_API_URL,
+    headers:  { 'X-Internal-Secret': process.env.LARAVEL_API_SECRET },
+    timeout:  10000,
+});
+
+const secrets = new Map();   // "{assistantId}.{index} {url}" → secret
+
+// FIX: keyed on the subscription alone, an entry queued for a url that has
+// since been edited was signed with the new endpoint's secret. The url is
+// part of the key now.
+function secretKey(subscription, url) {
+    return `${subscription} ${url}`;
+}
+
+function sign(secret, timestamp, rawBody) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+async function secretFor(entry) {
+    const { subscription, call_sid: callSid, index } = entry.meta;
+    const key = secretKey(subscription, entry.url);
+    if (secrets.has(key)) return secrets.get(key);
+
+    const { data: config } = await laravelClient.get(`/calls/${callSid}/config`);
+    const sub = getSubscriptions(config || {}, callSid).find(s => s.index === index && s.url === entry.url);
+    if (!sub) throw new Error(`Webhook subscription ${subscription} no longer exists`);
+    secrets.set(key, sub.secret);
+    return sub.secret;
+}
+
+// Body is serialized here (not by axios) so the signature covers the exact bytes sent
+const webhookOutbox = new Outbox({
+    dir:         path.join(path.resolve(process.env.OUTBOX_DIR || 'outbox'), 'webhooks'),
+    client:      axios.create({ timeout: WEBHOOK_TIMEOUT_MS, headers: { 'Content-Type': 'application/json' }, maxRedirects: 0 }),
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    headers:     async (entry) => {
+        const secret    = await secretFor(entry);
+        const timestamp = Math.floor(Date.now() / 1000);
+        return {
+            'X-Webhook-Event':     entry.meta.event,
+            'X-Webhook-Id':        entry.key,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': sign(secret, timestamp, entry.body),
+        };
+    },
+});
+
+// Valid subscriptions from assistantConfig.webhooks
+function getSubscriptions(assistantConfig, callSid) {
+    const configured = Array.isArray(assistantConfig.webhooks) ? assistantConfig.webhooks : [];
+    const subscriptions = [];
+    configured.forEach((sub, index) => {
+        if (!sub?.url || !/^https?:\/\//.test(sub.url)) {
+            return logger.warn(`Webhook ${index} has no valid url — skipped`, { callSid });
+        }
+        if (!sub.secret) {
+            return logger.warn(`Webhook ${sub.url} has no secret — skipped`, { callSid });
+        }
+        subscriptions.push({
+            index,   // part of the delivery key, so it must not shift when others are skipped
+            url:    sub.url,
+            secret: sub.secret,
+            events: Array.isArray(sub.events) && sub.events.length ? sub.events.filter(e => WEBHOOK_EVENTS.includes(e)) : WEBHOOK_EVENTS,
+        });
+    });
+    return subscriptions;
+}
+
+/**
+ * Subscribe a session's lifecycle events to its assistant's webhooks.
+ * No-op when the assistant has none.
+ */
+function attachWebhooks(session) {
+    const { callSid } = session;
+    const subscriptions = getSubscriptions(session.assistantConfig, callSid);
+    if (subscriptions.length === 0) return;
+    const assistantId = session.assistantConfig.assistant_id;
+    for (const sub of subscriptions) secrets.set(secretKey(`${assistantId}.${sub.index}`, sub.url), sub.secret);
+
+    const call = () => ({
+        call_sid:        callSid,
+        assistant_id:    session.assistantConfig.assistant_id,
+        organization_id: session.assistantConfig.organization_id,
+        direction:       session.direction,
+        caller_phone:    session.callerPhone,
+    });
+
+    // eventId makes the delivery key: one per event occurrence, stable across retries
+    const dispatch = (event, eventId, data) => {
+        const body = JSON.stringify({ event, created_at: new Date().toISOString(), call: call(), data });
+        for (const sub of subscriptions) {
+            if (!sub.events.includes(event)) continue;
+            webhookOutbox.enqueue(`${callSid}.${eventId}.${sub.index}`, sub.url, body, {
+                event, call_sid: callSid, index: sub.index, subscription: `${assistantId}.${sub.index}`,
+            });
+        }
+    };
+
+    session.on('call_started', () => dispatch('call.started', 'call.started', {
+        language:          session.language,
+        dynamic_variables: session.dynamicVariables,
+    }));
+    session.on('call_ended', ({ reason }) => dispatch('call.ended', 'call.ended', {
+        end_reason:        reason,
+        duration_seconds:  session.getDurationSeconds(),
+        transcript:        session.transcript || [],
+        dynamic_variables: session.dynamicVariables,
+    }));
+    session.on('tool_result', ({ call_id, name, args, result }) => dispatch('tool.invoked', `tool.${call_id}`, { call_id, name, args, result }));
+    // FIX: these used the event name as the id, so a second occurrence in
+    // the same call reused the first one's delivery key — replacing it in the
+    // outbox, or dropped by receivers deduplicating on X-Webhook-Id.
+    // Numbered per call instead.
+    let transfers  = 0;
+    let voicemails = 0;
+    session.on('transfer_completed', (transfer) => dispatch('transfer.completed', `transfer.${++transfers}`, transfer));
+    session.on('voicemail_left', (voicemail) => dispatch('voicemail.left', `voicemail.${++voicemails}`, voicemail));
+
+    logger.info(`Webhooks: ${subscriptions.length} subscription(s)`, { callSid, urls: subscriptions.map(s => s.url) });
+}
+
+module.exports = { attachWebhooks, webhookOutbox, sign, WEBHOOK_EVENTS };
@@ -0,0 +1,141 @@
+'use strict';
+
+const gpuClient = require('../gpu/client');
+const { createOpenAIProvider } = require('./openai');
+const logger    = require('../utils/logger');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Speech provider registry.
+//
+// The pipeline talks to four capabilities, each a subset of one interface
+// (the GPU client's method names — it is the reference implementation):
+//
+//   vad   detectVAD(audioB64, sessionId) → { event, probability, ... }
+//         resetVAD(sessionId)
+//   stt   transcribe(audioB64, language) → { text, ... }
+//   turn  checkTurnComplete(audioB64)    → { complete, confidence, fallback }
+//   tts   synthesizeStream(text, language, voice) → Readable of 8kHz PCM16 LE
+//
+// Optional streaming methods, used when present (see gpu/client.js):
+//   vad   openVADStream(sessionId)            (VAD_TRANSPORT=stream)
+//   stt   openSTTStream(sessionId, language)  (STT_TRANSPORT=stream)
+//
+// Audio in is base64 WAV, 16kHz PCM16 mono. Providers are picked per
+// assistant from assistantConfig.providers; anything unset uses the default
+// GPU server:
+//
+//   providers: {
+//     stt:  'openai',                                         // type shorthand
+//     tts:  { type: 'openai', voice: 'nova' },                // type + options
+//     vad:  { type: 'gpu', urls: ['http://10.0.0.2:8000'] },  // other GPU server(s)
+//     stt:  [ { type: 'gpu', weight: 1 },                     // A/B: weighted pick
+//             { type: 'openai', weight: 1, label: 'whisper-api' } ],
+//   }
+//
+// The picked provider per capability is recorded on the session and sent
+// with the call-complete payload, so A/B variants can be compared.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CAPABILITIES = {
+    vad:  ['detectVAD', 'resetVAD'],
+    stt:  ['transcribe'],
+    turn: ['checkTurnComplete'],
+    tts:  ['synthesizeStream'],
+};
+
+// type → factory(config) returning an object implementing some capabilities
+const factories = {
+    gpu: (config) => (config.url || config.urls
+        ? gpuClient.createGpuClient({ url: config.url, urls: config.urls, apiKey: config.api_key })
+        : gpuClient),
+    openai: (config) => createOpenAIProvider(config),
+};
+
+// Instances are shared between calls with the same provider config, so
+// each backend keeps one HTTP client (and its keep-alive pool).
+const instances = new Map();
+
+/**
+ * Register an additional provider type.
+ *
+ * @param {string}   type
+ * @param {function} factory  (config) → provider implementing one or more capabilities
+ */
+function registerProvider(type, factory) {
+    factories[type] = factory;
+    for (const key of instances.keys()) {
+        if (key.startsWith(`${type}:`)) instances.delete(key);
+    }
+}
+
+function getInstance(config) {
+    const { weight, label, ...options } = config;
+    const key = `${config.type}:${JSON.stringify(options)}`;
+    if (!instances.has(key)) instances.set(key, factories[config.type](options));
+    return instances.get(key);
+}
+
+function normalize(entry) {
+    if (!entry) return null;
+    if (typeof entry === 'string') return { type: entry };
+    return entry.type ? entry : null;
+}
+
+function pickWeighted(entries) {
+    const total = entries.reduce((sum, e) => sum + (e.weight ?? 1), 0);
+    let roll = Math.random() * total;
+    for (const entry of entries) {
+        roll -= entry.weight ?? 1;
+        if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+}
+
+function implementsCapability(provider, capability) {
+    return CAPABILITIES[capability].every(method => typeof provider?.[method] === 'function');
+}
+
+/**
+ * Resolve the providers for one call.
+ *
+ * @param {object} assistantConfig
+ * @param {string} [callSid]  for logging
+ * @returns {{ providers: object, names: object }}
+ *          providers — { vad, stt, turn, tts } instances
+ *          names     — { vad, stt, turn, tts } label or type picked per capability
+ */
+function resolveProviders(assistantConfig = {}, callSid = null) {
+    const configured = assistantConfig.providers || {};
+    const providers  = {};
+    const names      = {};
+
+    for (const capability of Object.keys(CAPABILITIES)) {
+        const raw     = configured[capability];
+        const entries = (Array.isArray(raw) ? raw : [raw]).map(normalize).filter(Boolean);
+        const config  = entries.length > 1 ? pickWeighted(entries) : entries[0];
+
+        let provider = null;
+        if (config) {
+            if (!factories[config.type]) {
+                logger.warn(`Unknown ${capability} provider "${config.type}" — using GPU server`, { callSid });
+            } else {
+                try {
+                    provider = getInstance(config);
+                } catch (err) {
+                    logger.error(`Failed to create ${capability} provider "${config.type}": ${err.message}`, { callSid });
+                }
+                if (provider && !implementsCapability(provider, capability)) {
+                    logger.warn(`Provider "${config.type}" has no ${capability} support — using GPU server`, { callSid });
+                    provider = null;
+                }
+            }
+        }
+
+        providers[capability] = provider || gpuClient;
+        names[capability]     = provider ? (config.label || config.type) : 'gpu';
+    }
+
+    return { providers, names };
+}
+
+module.exports = { resolveProviders, registerProvider };
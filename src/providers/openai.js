@@ -0,0 +1,87 @@
+'use strict';
+
+const axios        = require('axios');
+const { pipeline, Transform } = require('stream');
+const logger       = require('../utils/logger');
+const { createPcm16Resampler } = require('../utils/audio');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OpenAI STT / TTS provider (cloud).
+//
+//   STT: /v1/audio/transcriptions — same WAV the GPU server's Whisper gets
+//   TTS: /v1/audio/speech with response_format=pcm → 24kHz PCM16, resampled
+//        here to the 8kHz PCM16 speakToTwilio() expects from every provider
+//
+// Kokoro voice names (session.voice) don't exist here — the provider's own
+// `voice` config is used instead.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const OPENAI_TTS_SAMPLE_RATE = 24000;
+const TWILIO_SAMPLE_RATE     = 8000;
+
+const DEFAULT_STT_MODEL = 'whisper-1';
+const DEFAULT_TTS_MODEL = 'gpt-4o-mini-tts';
+const DEFAULT_TTS_VOICE = 'alloy';
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.api_key]    default OPENAI_API_KEY
+ * @param {string} [config.base_url]   default https://api.openai.com/v1
+ * @param {string} [config.stt_model]
+ * @param {string} [config.tts_model]
+ * @param {string} [config.voice]
+ * @param {string} [config.instructions]  tts_model speaking-style prompt (gpt-4o-mini-tts)
+ */
+function createOpenAIProvider(config = {}) {
+    const http = axios.create({
+        baseURL: config.base_url || 'https://api.openai.com/v1',
+        headers: { 'Authorization': `Bearer ${config.api_key || process.env.OPENAI_API_KEY}` },
+    });
+    const sttModel = config.stt_model || DEFAULT_STT_MODEL;
+    const ttsModel = config.tts_model || DEFAULT_TTS_MODEL;
+    const voice    = config.voice     || DEFAULT_TTS_VOICE;
+
+    async function transcribe(audioBase64, language = 'en') {
+        const started = Date.now();
+        try {
+            const form = new FormData();
+            form.append('file', new Blob([Buffer.from(audioBase64, 'base64')], { type: 'audio/wav' }), 'audio.wav');
+            form.append('model', sttModel);
+            if (language) form.append('language', language);
+
+            const { data } = await http.post('/audio/transcriptions', form, { timeout: 20000 });
+            const result = { text: data.text || '', language, processing_time_ms: Date.now() - started };
+            logger.info(`STT result (openai): "${result.text}" (${result.processing_time_ms}ms)`);
+            return result;
+        } catch (err) {
+            logger.error('OpenAI STT error', { error: err.message });
+            throw err;
+        }
+    }
+
+    async function synthesizeStream(text) {
+        try {
+            const payload = { model: ttsModel, voice, input: text, response_format: 'pcm' };
+            if (config.instructions) payload.instructions = config.instructions;
+            const response = await http.post('/audio/speech', payload, {
+                responseType: 'stream',
+                timeout:      15000,
+            });
+
+            const resample = createPcm16Resampler(OPENAI_TTS_SAMPLE_RATE, TWILIO_SAMPLE_RATE);
+            const to8k     = new Transform({
+                transform(chunk, _enc, cb) { cb(null, resample(chunk)); },
+            });
+            // pipeline() forwards source errors to to8k and tears the source
+            // down when the consumer destroys to8k (barge-in)
+            return pipeline(response.data, to8k, () => {});
+        } catch (err) {
+            logger.error('OpenAI TTS stream error', { error: err.message });
+            throw err;
+        }
+    }
+
+    return { transcribe, synthesizeStream };
+}
+
+module.exports = { createOpenAIProvider };
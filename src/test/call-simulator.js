@@ -0,0 +1,277 @@
+'use strict';
+
+const fs        = require('fs');
+const os        = require('os');
+const net       = require('net');
+const path      = require('path');
+const crypto    = require('crypto');
+const axios     = require('axios');
+const { spawn } = require('child_process');
+const { FakeLaravel }        = require('./fakes/laravel');
+const { FakeGpuServer }      = require('./fakes/gpu');
+const { FakeOpenAIRealtime } = require('./fakes/openai');
+const { FakeTwilio }         = require('./fakes/twilio');
+const { FakeRedis }          = require('./fakes/redis');
+const { scenarios, BASE_CONFIG } = require('./scenarios');
+const { speech }             = require('./fixtures');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Call simulator — end-to-end test of the server with everything it talks
+// to faked locally (see fakes/): Laravel, the GPU server, OpenAI Realtime,
+// Twilio (REST API and MediaStream) and Redis. No network, keys or GPU needed.
+// A second fake GPU server (t.gpu2) is not in GPU_SERVER_URL; scenarios point
+// an assistant's providers at it.
+//
+//   npm test                     every scenario
+//   npm test -- transfer         scenarios whose name contains "transfer"
+//   SIM_VERBOSE=1 npm test       stream the server's log while running
+//
+// Two instances of the server run as child processes (node src/index.js),
+// sharing the fake Redis as their session registry. Calls go to the first;
+// scenarios reach the second as t.server.peer. Each runs in a temporary
+// directory, so logs, outbox and recordings never touch the checkout. Their
+// logs are printed when a scenario fails. Exit code 1 on any failure.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SECRET              = 'sim-internal-secret';
+const BOOT_TIMEOUT_MS     = 20000;
+const WAIT_TIMEOUT_MS     = 15000;
+const SCENARIO_TIMEOUT_MS = 60000;
+const SPEECH_MS           = 800;
+const LOG_TAIL_LINES      = 150;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function newCallSid() {
+    return `CA${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitFor(predicate, label, timeoutMs = WAIT_TIMEOUT_MS) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for: ${label}`);
+        await sleep(25);
+    }
+}
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out waiting for: ${label}`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ─── Server under test ───────────────────────────────────────────────────────
+
+function startServer(name, port, env, workDir) {
+    const url   = `http://127.0.0.1:${port}`;
+    const cwd   = path.join(workDir, name);
+    fs.mkdirSync(cwd);
+    const entry = path.join(__dirname, '..', 'index.js');
+    const child = spawn(process.execPath, [entry], {
+        cwd,
+        env:   { ...env, PORT: String(port), INSTANCE_ID: name, INSTANCE_URL: url, OUTBOX_DIR: path.join(cwd, 'outbox'), RECORDINGS_DIR: path.join(cwd, 'recordings') },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const log   = [];
+
+    const collect = (data) => {
+        for (const line of data.toString().split('\n').filter(Boolean)) {
+            log.push(line);
+            if (log.length > LOG_TAIL_LINES * 4) log.splice(0, log.length - LOG_TAIL_LINES);
+            if (process.env.SIM_VERBOSE) process.stdout.write(`    │ ${name} ${line}\n`);
+        }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    return { name, url, child, log };
+}
+
+async function waitForServer({ name, url, child, log }) {
+    await waitFor(() => child.exitCode !== null || log.some(line => line.includes('Main server listening')), `${name} to start`, BOOT_TIMEOUT_MS);
+    if (child.exitCode !== null) throw new Error(`${name} exited with code ${child.exitCode}`);
+    await axios.get(`${url}/health`, { timeout: 5000, validateStatus: null });
+}
+
+function printLog(server, print = console.log) {
+    print(`\n    ${server.name} log (last ${LOG_TAIL_LINES} lines):`);
+    server.log.slice(-LOG_TAIL_LINES).forEach(line => print(`    │ ${line}`));
+}
+
+async function stopServer(child) {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill('SIGTERM');
+    const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+    await exited;
+    clearTimeout(timer);
+}
+
+// ─── Scenario toolkit ────────────────────────────────────────────────────────
+
+function toolkit(fakes, server) {
+    const { laravel, gpu } = fakes;
+    return {
+        ...fakes,
+        server,   // { name, url, child, log, peer } — the instance calls go to; peer is the other one
+        waitFor,
+        newCallSid,
+
+        /** Caller speaks: `text` is what STT will return for the utterance. */
+        async say(call, text, ms = SPEECH_MS) {
+            gpu.transcript = text;
+            await call.play(speech(ms));
+        },
+
+        /** Resolves once `text` was synthesized and has finished playing on `call`. */
+        heard(call, text) {
+            return waitFor(() => {
+                const tts = gpu.tts.filter(e => e.text === text).pop();
+                return tts && call.lastMarkAt > tts.at && call.idle;
+            }, `caller to hear "${text}"`);
+        },
+
+        /** The /complete payload Laravel receives for the call. */
+        complete(call) {
+            return withTimeout(laravel.waitForComplete(call.callSid), WAIT_TIMEOUT_MS, `/complete for ${call.callSid}`);
+        },
+
+        /** Transcript as [role, message] pairs. */
+        transcript(payload) {
+            return (payload.transcript || []).map(entry => [entry.role, entry.message]);
+        },
+    };
+}
+
+async function runScenario(scenario, fakes, server) {
+    const { laravel, gpu, gpu2, openai, twilio } = fakes;
+    laravel.reset();
+    gpu.reset();
+    gpu2.reset();
+    openai.reset();
+    twilio.reset();
+    twilio.serverUrl = server.url;
+
+    const t       = toolkit(fakes, server);
+    const callSid = newCallSid();
+    const config  = typeof scenario.config === 'function' ? scenario.config(t) : scenario.config;
+    laravel.configs.set(callSid, { ...BASE_CONFIG, ...config });
+
+    const call = await twilio.startCall(callSid);
+    try {
+        await withTimeout(scenario.run(t, call), SCENARIO_TIMEOUT_MS, `scenario "${scenario.name}"`);
+    } finally {
+        // A failed scenario can leave its call up — end it before the next one starts
+        for (const open of twilio.calls.values()) open.hangup();
+        await withTimeout(laravel.waitForComplete(callSid), 5000, 'cleanup').catch(() => {});
+    }
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+async function main() {
+    const filter   = process.argv[2] ? process.argv[2].toLowerCase() : null;
+    const selected = scenarios.filter(s => !filter || s.name.toLowerCase().includes(filter));
+    if (selected.length === 0) {
+        console.error(`No scenario matches "${filter}"`);
+        return 1;
+    }
+
+    const fakes = {
+        laravel: new FakeLaravel(SECRET),
+        gpu:     new FakeGpuServer(),
+        gpu2:    new FakeGpuServer(),
+        openai:  new FakeOpenAIRealtime(),
+        twilio:  new FakeTwilio(),
+        redis:   new FakeRedis(),
+    };
+    const [laravelUrl, gpuUrl, openaiUrl, twilioUrl, redisUrl] = await Promise.all([
+        fakes.laravel.listen(), fakes.gpu.listen(), fakes.openai.listen(), fakes.twilio.listen(), fakes.redis.listen(),
+        fakes.gpu2.listen(),
+    ]);
+
+    const workDir   = fs.mkdtempSync(path.join(os.tmpdir(), 'newrohelp-sim-'));
+    const env       = {
+        ...process.env,
+        LARAVEL_API_URL:            laravelUrl,
+        LARAVEL_API_SECRET:         SECRET,
+        GPU_SERVER_URL:             gpuUrl,
+        OPENAI_REALTIME_URL:        openaiUrl,
+        OPENAI_API_KEY:             'sim-openai-key',
+        TWILIO_API_BASE_URL:        twilioUrl,
+        TWILIO_VALIDATE_SIGNATURES: 'false',
+        VAD_TRANSPORT:              'stream',
+        STT_TRANSPORT:              'stream',
+        SESSION_REGISTRY_URL:       redisUrl,
+        DRAIN_TIMEOUT_SECONDS:      '5',
+        CAMPAIGN_TICK_MS:           '200',
+        OUTBOX_RETRY_BASE_MS:       '200',
+    };
+    delete env.GPU_SERVER_URLS;
+
+    const ports = [await freePort()];
+    while (ports.length < 2) {
+        const port = await freePort();
+        if (!ports.includes(port)) ports.push(port);
+    }
+    // As if behind one load balancer that always picks the first: Twilio
+    // callback and stream URLs name it
+    env.PUBLIC_BASE_URL = `http://127.0.0.1:${ports[0]}`;
+
+    const servers = [
+        startServer('sim-a', ports[0], env, workDir),
+        startServer('sim-b', ports[1], env, workDir),
+    ];
+    const [primary, peer] = servers;
+    primary.peer = peer;
+    let failed = 0;
+    try {
+        await Promise.all(servers.map(waitForServer));
+
+        console.log(`Call simulator — ${selected.length} scenario(s)\n`);
+        for (const scenario of selected) {
+            const startedAt = Date.now();
+            try {
+                await runScenario(scenario, fakes, primary);
+                console.log(`  ✓ ${scenario.name} (${((Date.now() - startedAt) / 1000).toFixed(1)}s)`);
+            } catch (err) {
+                failed++;
+                console.log(`  ✗ ${scenario.name}\n      ${err.message.split('\n').join('\n      ')}`);
+                if (!process.env.SIM_VERBOSE) {
+                    servers.forEach(server => printLog(server));
+                    console.log('');
+                }
+            }
+        }
+        console.log(`\n${selected.length - failed} passed, ${failed} failed`);
+    } catch (err) {
+        failed++;
+        console.error(`Simulator failed: ${err.message}`);
+        servers.forEach(server => printLog(server, console.error));
+    } finally {
+        await Promise.all(servers.map(server => stopServer(server.child)));
+        await Promise.all(Object.values(fakes).map(fake => fake.close()));
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+    return failed ? 1 : 0;
+}
+
+main().then(
+    (code) => process.exit(code),
+    (err) => {
+        console.error(err);
+        process.exit(1);
+    },
+);
@@ -0,0 +1,183 @@
+'use strict';
+
+const express   = require('express');
+const WebSocket = require('ws');
+const { peak }  = require('../fixtures');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fake GPU server — the endpoints gpu/client.js calls:
+//
+//   GET  /health               always healthy
+//   POST /vad/detect           energy VAD with per-session state
+//   POST /vad/reset            forget a session's VAD state
+//   POST /vad/turn_complete    Smart Turn verdict (gpu.turnComplete)
+//   POST /stt/transcribe       whatever the scenario last said (gpu.transcript)
+//   POST /tts/synthesize       streaming: 8kHz PCM16, TTS_MS_PER_WORD per word;
+//                              texts in gpu.ttsFailures are answered 422
+//   WS   /vad/stream           the /vad/detect answer for every frame
+//   WS   /stt/stream           {type:'final'} with gpu.transcript on flush;
+//                              gpu.sttDropFlush drops the socket instead
+//
+// VAD mirrors what handleVadResult() expects from the real state machine:
+// speech_start for every batch with speech in it, silence otherwise, and one
+// speech_end after SPEECH_END_BATCHES quiet batches.
+//
+// gpu.down answers everything 503 (a GPU box that is up but failing);
+// gpu.streams = false answers the WebSocket upgrades 404, like a server
+// without the streaming endpoints. gpu.requests logs what was asked of it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SPEECH_PEAK        = 1000;   // 16-bit peak above which a batch is speech
+const SPEECH_END_BATCHES = 2;      // 2 × 200ms of quiet ends an utterance
+const TTS_MS_PER_WORD    = 150;
+const TTS_CHUNK_BYTES    = 1600;   // 100ms of 8kHz PCM16 per write
+const WAV_HEADER_BYTES   = 44;
+
+class FakeGpuServer {
+    constructor() {
+        this.vadSessions  = new Map();   // session_id → { speaking, quietBatches }
+        this.server       = null;
+        this.wss          = null;
+        this.url          = null;
+        this.reset();
+    }
+
+    /** Back to defaults between scenarios. */
+    reset() {
+        this.vadSessions.clear();
+        this.transcript   = '';
+        this.turnComplete = true;
+        this.tts          = [];   // { text, at } for every TTS request, in order
+        this.ttsFailures  = new Set();
+        this.transcribed  = [];   // every STT result returned
+        this.sttDropFlush = false;
+        this.down         = false;
+        this.streams      = true;
+        this.requests     = [];   // 'POST /stt/transcribe', 'WS /vad/stream', ...
+    }
+
+    /** Texts sent to TTS so far. */
+    get spoken() {
+        return this.tts.map(e => e.text);
+    }
+
+    listen() {
+        const app = express();
+        app.use(express.json({ limit: '20mb' }));
+        app.use((req, res, next) => {
+            this.requests.push(`${req.method} ${req.path}`);
+            if (this.down) return res.status(503).json({ error: 'GPU unavailable' });
+            next();
+        });
+
+        app.get('/health', (req, res) => {
+            res.json({ status: 'healthy', gpu_utilization: 0, models_loaded: ['vad', 'stt', 'smart_turn', 'tts'] });
+        });
+
+        app.post('/vad/detect', (req, res) => {
+            const pcm = Buffer.from(req.body.audio || '', 'base64').subarray(WAV_HEADER_BYTES);
+            res.json(this.detect(req.body.session_id, pcm));
+        });
+
+        app.post('/vad/reset', (req, res) => {
+            this.vadSessions.delete(req.query.session_id);
+            res.json({ success: true });
+        });
+
+        app.post('/vad/turn_complete', (req, res) => {
+            res.json({ complete: this.turnComplete, confidence: this.turnComplete ? 0.92 : 0.12 });
+        });
+
+        app.post('/stt/transcribe', (req, res) => {
+            this.transcribed.push(this.transcript);
+            res.json({ text: this.transcript, language: req.body.language, processing_time_ms: 5 });
+        });
+
+        this.wss = new WebSocket.Server({ noServer: true });
+
+        app.post('/tts/synthesize', (req, res) => {
+            const text = String(req.body.text || '');
+            this.tts.push({ text, at: Date.now() });
+            if (!req.body.streaming) return res.status(400).json({ error: 'Only streaming TTS is faked' });
+            if (this.ttsFailures.has(text)) return res.status(422).json({ error: 'Synthesis failed' });
+
+            res.type('application/octet-stream');
+            const words = text.split(/\s+/).filter(Boolean).length || 1;
+            const audio = tone(words * TTS_MS_PER_WORD);
+            for (let i = 0; i < audio.length; i += TTS_CHUNK_BYTES) res.write(audio.subarray(i, i + TTS_CHUNK_BYTES));
+            res.end();
+        });
+
+        return new Promise((resolve) => {
+            this.server = app.listen(0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+            this.server.on('upgrade', (req, socket, head) => {
+                const url = new URL(req.url, 'http://gpu');
+                this.requests.push(`WS ${url.pathname}`);
+                const status = this.down ? 503
+                    : !this.streams || !['/vad/stream', '/stt/stream'].includes(url.pathname) ? 404
+                    : null;
+                if (status) {
+                    socket.end(`HTTP/1.1 ${status} ${status === 404 ? 'Not Found' : 'Service Unavailable'}\r\nConnection: close\r\n\r\n`);
+                    return;
+                }
+                this.wss.handleUpgrade(req, socket, head, (ws) => {
+                    if (url.pathname === '/vad/stream') this.vadStream(ws, url.searchParams.get('session_id'));
+                    else this.sttStream(ws, url.searchParams.get('language'));
+                });
+            });
+        });
+    }
+
+    // Energy VAD for one 16kHz PCM16 batch, same verdicts over HTTP and WS
+    detect(sessionId, pcm) {
+        const state = this.vadSessions.get(sessionId) || { speaking: false, quietBatches: 0 };
+        this.vadSessions.set(sessionId, state);
+
+        if (peak(pcm) >= SPEECH_PEAK) {
+            state.speaking     = true;
+            state.quietBatches = 0;
+            return { event: 'speech_start', probability: 0.95 };
+        }
+        if (state.speaking && ++state.quietBatches >= SPEECH_END_BATCHES) {
+            state.speaking     = false;
+            state.quietBatches = 0;
+            return { event: 'speech_end', probability: 0.02 };
+        }
+        return { event: 'silence', probability: 0.02 };
+    }
+
+    // Opening the stream starts the session's VAD state over
+    vadStream(ws, sessionId) {
+        this.vadSessions.delete(sessionId);
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) ws.send(JSON.stringify(this.detect(sessionId, data)));
+        });
+    }
+
+    sttStream(ws, language) {
+        ws.on('message', (data, isBinary) => {
+            if (isBinary || JSON.parse(data.toString()).type !== 'flush') return;
+            if (this.sttDropFlush) return ws.terminate();
+            this.transcribed.push(this.transcript);
+            ws.send(JSON.stringify({ type: 'final', text: this.transcript, language, processing_time_ms: 5 }));
+        });
+    }
+
+    close() {
+        this.wss?.clients.forEach(ws => ws.terminate());
+        return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+// Quiet 440Hz tone, 8kHz PCM16 — what the caller "hears"
+function tone(ms) {
+    const samples = Math.round(8 * ms);
+    const pcm     = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) pcm.writeInt16LE(Math.round(2000 * Math.sin(2 * Math.PI * 440 * i / 8000)), i * 2);
+    return pcm;
+}
+
+module.exports = { FakeGpuServer };
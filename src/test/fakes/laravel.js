@@ -0,0 +1,159 @@
+'use strict';
+
+const express = require('express');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fake Laravel internal API — what the server calls under LARAVEL_API_URL:
+//
+//   POST /calls/incoming                 `incoming` (number lookup + admission
+//                                        settings), requests kept in `incomings`
+//   GET  /calls/:callSid/config          the scenario's assistant config
+//   POST /calls/:callSid/complete        kept in `completes` for assertions
+//   POST /calls/status                   Twilio status relay, kept in `statuses`
+//   GET  /calls/:callSid/transfer-agent  no agent TwiML
+//   POST /calls/outbound/prepare         `outbound` (Twilio account + caller ID)
+//   POST /calls/outbound/created         registers the call with `outboundConfig`
+//                                        as its config; kept in `outboundCalls`
+//   POST /calls/outbound/status          kept in `outboundStatuses`
+//   POST /campaigns/:id/progress         kept in `campaignUpdates`
+//   POST /campaigns/:id/contacts/:contactId
+//                                        kept in `campaignUpdates`
+//
+// failures: path suffix → list of HTTP statuses; the next requests to a
+// matching path are answered with them, in order, before it works again.
+//
+// It also plays the customer's API for custom tools: any request to
+// /tools/:name (JSON or form body) is kept in `toolRequests` and answered
+// with toolResponses[name] (default { ok: true }).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const API_PREFIX = '/api/internal';
+
+class FakeLaravel {
+    constructor(secret) {
+        this.secret  = secret;
+        this.configs = new Map();   // callSid → assistant config
+        this.server  = null;
+        this.reset();
+    }
+
+    reset() {
+        this.configs.clear();
+        this.completes     = new Map();   // callSid → payload
+        this.statuses      = [];
+        this.toolRequests  = [];
+        this.toolResponses = {};
+        this.waiters       = new Map();   // callSid → resolve
+        this.incomings     = [];
+        this.incoming      = { assistant_id: 'sim-assistant', organization_id: 'sim-org' };
+        this.outbound      = {
+            organization_id:    'sim-org',
+            twilio_account_sid: `AC${'0'.repeat(32)}`,
+            twilio_auth_token:  'sim-auth-token',
+            from_phone:         '+15550003333',
+        };
+        this.outboundConfig   = null;
+        this.outboundCalls    = [];
+        this.outboundStatuses = [];
+        this.campaignUpdates  = [];   // { kind: 'progress' | 'contact', body }
+        this.failures         = new Map();
+        this.failed           = [];   // { path, status } of every simulated failure
+    }
+
+    /** Resolves with the /complete payload for callSid, however long it takes. */
+    waitForComplete(callSid) {
+        if (this.completes.has(callSid)) return Promise.resolve(this.completes.get(callSid));
+        return new Promise((resolve) => this.waiters.set(callSid, resolve));
+    }
+
+    listen() {
+        const app      = express();
+        const internal = express.Router();
+        app.use(express.json({ limit: '5mb' }));
+
+        internal.use((req, res, next) => {
+            if (req.headers['x-internal-secret'] !== this.secret) return res.status(401).json({ error: 'Unauthorized' });
+            next();
+        });
+
+        internal.use((req, res, next) => {
+            for (const [suffix, statuses] of this.failures) {
+                if (!req.path.endsWith(suffix) || statuses.length === 0) continue;
+                const status = statuses.shift();
+                this.failed.push({ path: req.path, status });
+                return res.status(status).json({ error: 'Simulated failure' });
+            }
+            next();
+        });
+
+        internal.post('/calls/incoming', (req, res) => {
+            this.incomings.push(req.body);
+            res.json(this.incoming);
+        });
+
+        internal.get('/calls/:callSid/config', (req, res) => {
+            const config = this.configs.get(req.params.callSid);
+            if (!config) return res.status(404).json({ error: 'Unknown call' });
+            res.json(config);
+        });
+
+        internal.post('/calls/:callSid/complete', (req, res) => {
+            const { callSid } = req.params;
+            this.completes.set(callSid, req.body);
+            this.waiters.get(callSid)?.(req.body);
+            this.waiters.delete(callSid);
+            res.json({ ok: true });
+        });
+
+        internal.post('/calls/status', (req, res) => {
+            this.statuses.push(req.body);
+            res.json({ ok: true });
+        });
+
+        internal.get('/calls/:callSid/transfer-agent', (req, res) => res.json({ twiml_url: '' }));
+
+        internal.post('/calls/outbound/prepare', (req, res) => res.json(this.outbound));
+
+        internal.post('/calls/outbound/created', (req, res) => {
+            this.outboundCalls.push(req.body);
+            if (this.outboundConfig) this.configs.set(req.body.call_sid, this.outboundConfig);
+            res.json({ ok: true });
+        });
+
+        internal.post('/calls/outbound/status', (req, res) => {
+            this.outboundStatuses.push(req.body);
+            res.json({ ok: true });
+        });
+
+        internal.post('/campaigns/:id/progress', (req, res) => {
+            this.campaignUpdates.push({ kind: 'progress', body: req.body });
+            res.json({ ok: true });
+        });
+
+        internal.post('/campaigns/:id/contacts/:contactId', (req, res) => {
+            this.campaignUpdates.push({ kind: 'contact', body: req.body });
+            res.json({ ok: true });
+        });
+
+        app.use(API_PREFIX, internal);
+
+        app.all('/tools/:name', express.urlencoded({ extended: true }), (req, res) => {
+            const { name } = req.params;
+            this.toolRequests.push({ name, method: req.method, query: req.query, body: req.body, headers: req.headers });
+            res.json(this.toolResponses[name] || { ok: true });
+        });
+
+        return new Promise((resolve) => {
+            this.server = app.listen(0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(`${this.url}${API_PREFIX}`);
+            });
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+module.exports = { FakeLaravel };
@@ -0,0 +1,164 @@
+'use strict';
+
+const http      = require('http');
+const WebSocket = require('ws');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fake OpenAI Realtime — a WebSocket at /v1/realtime speaking the subset of
+// the event protocol openai/realtime.js uses.
+//
+// Client → fake:  session.update, conversation.item.create, response.create,
+//                 response.cancel, conversation.item.delete
+// Fake → client:  session.created/updated, conversation.item.created/deleted,
+//                 response.created, response.text.delta/done,
+//                 response.function_call_arguments.delta/done, response.done
+//
+// There is no model. On response.create the scenario's responder is asked
+// what to do next:
+//
+//   openai.responder = (turn) => reply
+//
+//   turn:  { kind: 'user', text } | { kind: 'function_result', name, output }
+//          plus instructions, tools and items (the whole conversation)
+//   reply: { text: '…' }                      streamed word by word
+//          { tool: { name, args } }           one function call
+//          { error: '…' }                     an error event, no response
+//          null                               an empty response
+//
+// Every client event is kept in `events` for assertions.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const TOKEN_DELAY_MS = 10;
+
+// Repeats the caller back; function results are acknowledged
+function defaultResponder(turn) {
+    if (turn.kind === 'user') return { text: `You said: ${turn.text}` };
+    return { text: 'Done.' };
+}
+
+// function_call_output items only carry the call_id
+function toolName(conversation, callId) {
+    return conversation.items.find(i => i.type === 'function_call' && i.call_id === callId)?.name;
+}
+
+class FakeOpenAIRealtime {
+    constructor() {
+        this.server = null;
+        this.wss    = null;
+        this.reset();
+    }
+
+    reset() {
+        this.responder   = defaultResponder;
+        this.events      = [];   // every client event, all connections
+        this.connections = 0;
+    }
+
+    /** Client events of one type, across every connection. */
+    received(type) {
+        return this.events.filter(e => e.type === type);
+    }
+
+    listen() {
+        this.server = http.createServer((req, res) => res.writeHead(404).end());
+        this.wss    = new WebSocket.Server({ server: this.server, path: '/v1/realtime' });
+        this.wss.on('connection', (ws) => this._onConnection(ws));
+        return new Promise((resolve) => {
+            this.server.listen(0, '127.0.0.1', () => resolve(`ws://127.0.0.1:${this.server.address().port}/v1/realtime`));
+        });
+    }
+
+    _onConnection(ws) {
+        this.connections++;
+        let ids = 0;
+        const nextId = (prefix) => `${prefix}_${++ids}`;
+        const send   = (event) => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(event)); };
+        const conversation = { instructions: '', tools: [], items: [] };
+        let active = null;   // response being streamed: { id, cancelled }
+
+        send({ type: 'session.created', session: { id: nextId('sess') } });
+
+        ws.on('message', (raw) => {
+            let event;
+            try { event = JSON.parse(raw); } catch { return; }
+            this.events.push(event);
+
+            switch (event.type) {
+                case 'session.update':
+                    conversation.instructions = event.session?.instructions || '';
+                    conversation.tools        = event.session?.tools || [];
+                    send({ type: 'session.updated', session: event.session });
+                    break;
+
+                case 'conversation.item.create': {
+                    const item = { ...event.item, id: nextId('item') };
+                    conversation.items.push(item);
+                    send({ type: 'conversation.item.created', item: { id: item.id, type: item.type, role: item.role } });
+                    break;
+                }
+
+                case 'conversation.item.delete':
+                    conversation.items = conversation.items.filter(i => i.id !== event.item_id);
+                    send({ type: 'conversation.item.deleted', item_id: event.item_id });
+                    break;
+
+                case 'response.cancel':
+                    if (active && active.id === event.response_id) active.cancelled = true;
+                    break;
+
+                case 'response.create':
+                    active = { id: nextId('resp'), cancelled: false, metadata: event.response?.metadata, output: [] };
+                    this._respond(active, conversation, send, nextId).catch(() => {});
+                    break;
+            }
+        });
+        ws.on('error', () => {});
+    }
+
+    async _respond(response, conversation, send, nextId) {
+        const last  = conversation.items[conversation.items.length - 1];
+        const turn  = last?.type === 'function_call_output'
+            ? { kind: 'function_result', name: toolName(conversation, last.call_id), output: last.output }
+            : { kind: 'user', text: last?.content?.[0]?.text || '' };
+        const reply = this.responder({ ...turn, instructions: conversation.instructions, tools: conversation.tools, items: conversation.items });
+        if (reply?.error) return send({ type: 'error', error: { type: 'server_error', message: reply.error } });
+
+        send({ type: 'response.created', response: { id: response.id, status: 'in_progress', metadata: response.metadata } });
+        const done  = (status) => send({ type: 'response.done', response: { id: response.id, status, output: response.output.map(id => ({ id })) } });
+
+        if (reply?.tool) {
+            const callId = nextId('call');
+            const args   = JSON.stringify(reply.tool.args || {});
+            const half   = Math.ceil(args.length / 2);
+            const item   = { type: 'function_call', id: nextId('item'), call_id: callId, name: reply.tool.name };
+            conversation.items.push(item);
+            response.output.push(item.id);
+            send({ type: 'conversation.item.created', item: { id: item.id, type: item.type } });
+            send({ type: 'response.function_call_arguments.delta', response_id: response.id, call_id: callId, name: reply.tool.name, delta: args.slice(0, half) });
+            send({ type: 'response.function_call_arguments.delta', response_id: response.id, call_id: callId, name: reply.tool.name, delta: args.slice(half) });
+            send({ type: 'response.function_call_arguments.done', response_id: response.id, call_id: callId, name: reply.tool.name, arguments: args });
+            return done('completed');
+        }
+
+        const text = reply?.text || '';
+        for (const token of text.match(/\S+\s*/g) || []) {
+            if (response.cancelled) return done('cancelled');
+            send({ type: 'response.text.delta', response_id: response.id, delta: token });
+            await new Promise(r => setTimeout(r, TOKEN_DELAY_MS));
+        }
+        if (response.cancelled) return done('cancelled');
+        send({ type: 'response.text.done', response_id: response.id, text });
+        const item = { type: 'message', role: 'assistant', id: nextId('item'), content: [{ type: 'text', text }] };
+        conversation.items.push(item);
+        response.output.push(item.id);
+        send({ type: 'conversation.item.created', item: { id: item.id, type: item.type, role: item.role } });
+        done('completed');
+    }
+
+    close() {
+        for (const ws of this.wss?.clients || []) ws.terminate();
+        return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+module.exports = { FakeOpenAIRealtime };
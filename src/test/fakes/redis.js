@@ -0,0 +1,85 @@
+'use strict';
+
+const net = require('net');
+const { parseReply } = require('../../utils/redis');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fake Redis — a RESP server with the commands the session registry uses
+// (orchestrator/registry.js): PING, AUTH, SELECT, GET, SET [EX s], DEL.
+// Values live in `data` (key → { value, expiresAt }) for assertions.
+//
+// A real server works just as well: point SESSION_REGISTRY_URL at it.
+// ─────────────────────────────────────────────────────────────────────────────
+
+function encode(value) {
+    if (value === null || value === undefined) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (value instanceof Error) return `-ERR ${value.message}\r\n`;
+    if (value.simple) return `+${value.simple}\r\n`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+const OK = { simple: 'OK' };
+
+class FakeRedis {
+    constructor() {
+        this.data    = new Map();
+        this.server  = null;
+        this.sockets = new Set();
+    }
+
+    /** Current value of key, honouring expiry. */
+    get(key) {
+        const entry = this.data.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    _run([name, ...args]) {
+        switch (String(name).toUpperCase()) {
+            case 'PING':   return { simple: 'PONG' };
+            case 'AUTH':
+            case 'SELECT': return OK;
+            case 'GET':    return this.get(args[0]);
+            case 'SET': {
+                const [key, value, ...options] = args;
+                const ex = options.findIndex(o => o.toUpperCase() === 'EX');
+                this.data.set(key, { value, expiresAt: ex === -1 ? null : Date.now() + parseInt(options[ex + 1], 10) * 1000 });
+                return OK;
+            }
+            case 'DEL':    return args.filter(key => this.get(key) !== null && this.data.delete(key)).length;
+            default:       return new Error(`unknown command '${name}'`);
+        }
+    }
+
+    listen() {
+        this.server = net.createServer((socket) => {
+            this.sockets.add(socket);
+            let buffer = Buffer.alloc(0);
+            socket.on('data', (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                let reply;
+                while ((reply = parseReply(buffer))) {
+                    buffer = buffer.subarray(reply.end);
+                    socket.write(encode(this._run(reply.value)));
+                }
+            });
+            socket.on('error', () => {});
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+        return new Promise((resolve) => {
+            this.server.listen(0, '127.0.0.1', () => resolve(`redis://127.0.0.1:${this.server.address().port}`));
+        });
+    }
+
+    close() {
+        for (const socket of this.sockets) socket.destroy();
+        return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+module.exports = { FakeRedis };
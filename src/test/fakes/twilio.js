@@ -0,0 +1,306 @@
+'use strict';
+
+const crypto           = require('crypto');
+const express          = require('express');
+const axios            = require('axios');
+const WebSocket        = require('ws');
+const { EventEmitter } = require('events');
+const { toFrames, silence, FRAME_BYTES } = require('../fixtures');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fake Twilio — both sides the server talks to.
+//
+// FakeTwilioCall is the MediaStream client: it connects to
+// /twilio/stream/:callSid, sends `start`, then one 20ms media message every
+// 20ms, as Twilio does for the whole call — the queued fixture audio when
+// there is some, silence otherwise. AI audio it receives is "played" in real
+// time, so marks are echoed back only once playback reaches them; `clear`
+// drops what hasn't played yet and returns the pending marks at once.
+//
+// FakeTwilio is the REST API (TWILIO_API_BASE_URL). Calls placed through it
+// are kept in `dialed` and play out the next of `dialOutcomes` (default
+// 'answered'):
+//   'busy' / 'no-answer' / 'failed'
+//                          that status is POSTed to the StatusCallback
+//   'answered'             the answer Url is fetched and its <Stream> joined;
+//                          the StatusCallback gets in-progress, then
+//                          completed when the call hangs up
+//   { status: 'answered', answeredBy, amdDelayMs }
+//                          also POSTs AnsweredBy to the AsyncAmdStatusCallback
+//                          amdDelayMs after the answer
+// Call updates are kept in `updates` and acted on the way Twilio would:
+//   Status=completed       the call hangs up: stream stops
+//   Twiml with <Dial>      the caller leaves the stream; the target then
+//                          answers (POST to the <Number url>), or with
+//                          twilio.transferOutcome = 'no-answer' / 'busy' the
+//                          <Dial action> is POSTed that DialCallStatus and a
+//                          <Stream> in its TwiML reconnects the caller
+//   Twiml with <Stream>    the caller (e.g. out of a hold queue) connects to
+//                          it, with its <Parameter>s as customParameters
+//
+// TLS ends in front of the server in production, so <Stream> URLs say wss://;
+// the fake connects to their path on serverUrl instead.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FRAME_MS        = 20;
+const SILENT_FRAME    = toFrames(silence(FRAME_MS))[0];
+const ANSWER_DELAY_MS = 200;
+const HANGUP_DELAY_MS = 100;
+
+function xmlAttr(xml, tag, attr) {
+    const match = xml.match(new RegExp(`<${tag}\\b[^>]*\\s${attr}="([^"]*)"`));
+    return match ? match[1].replace(/&amp;/g, '&') : null;
+}
+
+class FakeTwilioCall extends EventEmitter {
+    constructor(streamUrl, callSid, parameters = {}) {
+        super();
+        this.streamUrl    = streamUrl;
+        this.callSid      = callSid;
+        this.parameters   = parameters;
+        this.streamSid    = `MZ${callSid.slice(2)}`;
+        this.ws           = null;
+        this.outgoing     = [];          // { frame, done } queued caller audio
+        this.ticker       = null;
+        this.playingUntil = 0;           // when the AI audio received so far finishes playing
+        this.markTimers   = new Map();   // timer → mark name
+        this.received     = { media: 0, marks: [], clears: 0 };
+        this.lastMarkAt   = 0;           // when a mark was last echoed
+        this.closed       = false;
+    }
+
+    /** Open the MediaStream and start the 20ms media clock. */
+    connect() {
+        this.ws = new WebSocket(this.streamUrl);
+        this.ws.on('message', (raw) => this._onMessage(JSON.parse(raw)));
+        this.ws.on('close', () => this._onClose());
+        this.ws.on('error', () => {});   // a refused connect rejects below; 'close' follows any other
+        return new Promise((resolve, reject) => {
+            this.ws.once('open', () => {
+                this._send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+                this._send({
+                    event: 'start', streamSid: this.streamSid,
+                    start: { streamSid: this.streamSid, callSid: this.callSid, customParameters: this.parameters, tracks: ['inbound'], mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } },
+                });
+                this.ticker = setInterval(() => this._tick(), FRAME_MS);
+                resolve();
+            });
+            this.ws.once('error', reject);
+        });
+    }
+
+    /** Queue a fixture (mu-law WAV); resolves once its last frame is sent. */
+    play(wav) {
+        const frames = toFrames(wav);
+        return new Promise((resolve) => {
+            frames.forEach((frame, i) => this.outgoing.push({ frame, done: i === frames.length - 1 ? resolve : null }));
+        });
+    }
+
+    /** True while AI audio is still "playing" to the caller. */
+    get aiSpeaking() {
+        return Date.now() < this.playingUntil;
+    }
+
+    /** Everything received has played and every mark was echoed. */
+    get idle() {
+        return !this.aiSpeaking && this.markTimers.size === 0;
+    }
+
+    /** The caller hangs up: Twilio sends `stop` and closes the stream. */
+    hangup() {
+        if (this.closed) return;
+        this._send({ event: 'stop', streamSid: this.streamSid, stop: { callSid: this.callSid } });
+        this.ws.close();
+        this._onClose();
+    }
+
+    _tick() {
+        const next = this.outgoing.shift();
+        this._send({
+            event: 'media', streamSid: this.streamSid,
+            media: { track: 'inbound', payload: (next?.frame || SILENT_FRAME).toString('base64') },
+        });
+        next?.done?.();
+    }
+
+    _onMessage(msg) {
+        switch (msg.event) {
+            case 'media': {
+                const ms = Buffer.from(msg.media.payload, 'base64').length / FRAME_BYTES * FRAME_MS;
+                this.received.media++;
+                this.playingUntil = Math.max(this.playingUntil, Date.now()) + ms;
+                break;
+            }
+            case 'mark': {
+                const timer = setTimeout(() => {
+                    this.markTimers.delete(timer);
+                    this._echoMark(msg.mark.name);
+                }, Math.max(0, this.playingUntil - Date.now()));
+                this.markTimers.set(timer, msg.mark.name);
+                break;
+            }
+            case 'clear':
+                this.received.clears++;
+                this.playingUntil = 0;
+                for (const [timer, name] of this.markTimers) {
+                    clearTimeout(timer);
+                    this._echoMark(name);
+                }
+                this.markTimers.clear();
+                this.emit('clear');
+                break;
+        }
+    }
+
+    _echoMark(name) {
+        this.received.marks.push(name);
+        this.lastMarkAt = Date.now();
+        this._send({ event: 'mark', streamSid: this.streamSid, mark: { name } });
+        this.emit('mark', name);
+    }
+
+    _send(msg) {
+        if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(msg));
+    }
+
+    _onClose() {
+        if (this.closed) return;
+        this.closed = true;
+        clearInterval(this.ticker);
+        for (const timer of this.markTimers.keys()) clearTimeout(timer);
+        this.markTimers.clear();
+        this.outgoing.splice(0).forEach(({ done }) => done?.());
+        this.emit('closed');
+    }
+}
+
+class FakeTwilio extends EventEmitter {
+    constructor() {
+        super();
+        this.serverUrl = null;        // the server under test, set by the simulator
+        this.calls     = new Map();   // callSid → its current FakeTwilioCall
+        this.server    = null;
+        this.reset();
+    }
+
+    reset() {
+        this.calls.clear();
+        this.updates         = [];   // { callSid, params }
+        this.errors          = [];   // callbacks to the server that failed
+        this.transferOutcome = 'answered';
+        this.dialed          = [];   // { callSid, params } per call placed
+        this.dialOutcomes    = [];
+    }
+
+    /** Start a call's MediaStream against the server under test. */
+    async startCall(callSid, path = `/twilio/stream/${callSid}`, parameters = {}) {
+        const call = new FakeTwilioCall(`${this.serverUrl.replace(/^http/, 'ws')}${path}`, callSid, parameters);
+        this.calls.set(callSid, call);
+        await call.connect();
+        this.emit('stream', call);
+        return call;
+    }
+
+    /** POST a webhook (form params) to the server as Twilio would; resolves with the response. */
+    webhook(path, params) {
+        const url = /^https?:/.test(path) ? path : `${this.serverUrl}${path}`;
+        return axios.post(url, new URLSearchParams(params).toString(), { responseType: 'text', validateStatus: null });
+    }
+
+    /** REST updates made to one call, e.g. to check for a hangup. */
+    updatesFor(callSid) {
+        return this.updates.filter(u => u.callSid === callSid).map(u => u.params);
+    }
+
+    listen() {
+        const app = express();
+        app.use(express.urlencoded({ extended: false }));
+
+        app.post('/2010-04-01/Accounts/:accountSid/Calls.json', (req, res) => {
+            const { accountSid } = req.params;
+            const callSid = `CA${crypto.randomBytes(16).toString('hex')}`;
+            this.dialed.push({ callSid, params: req.body });
+            res.status(201).json({ sid: callSid, account_sid: accountSid, to: req.body.To, from: req.body.From, status: 'queued' });
+            setTimeout(() => this._dial(callSid, req.body).catch(err => this.errors.push(err.message)), ANSWER_DELAY_MS);
+        });
+
+        app.post('/2010-04-01/Accounts/:accountSid/Calls/:callSid.json', (req, res) => {
+            const { accountSid, callSid } = req.params;
+            this.updates.push({ callSid, params: req.body });
+            this.emit('update', callSid, req.body);
+            res.json({ sid: callSid, account_sid: accountSid, status: req.body.Status || 'in-progress' });
+            setImmediate(() => this._apply(callSid, req.body));
+        });
+
+        return new Promise((resolve) => {
+            this.server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+        });
+    }
+
+    _apply(callSid, params) {
+        const call = this.calls.get(callSid);
+        // Twilio answers the REST call first and tears the stream down after
+        if (params.Status === 'completed') return setTimeout(() => call?.hangup(), HANGUP_DELAY_MS);
+
+        const twiml = params.Twiml || '';
+        if (!twiml.includes('<Dial')) {
+            const streamUrl = xmlAttr(twiml, 'Stream', 'url');
+            if (streamUrl) {
+                const parameters = Object.fromEntries([...twiml.matchAll(/<Parameter name="([^"]*)" value="([^"]*)"/g)].map(m => [m[1], m[2]]));
+                this.startCall(callSid, new URL(streamUrl).pathname, parameters).catch(err => this.errors.push(err.message));
+            }
+            return;
+        }
+        call?.hangup();   // the caller is off the stream while the target rings
+
+        const answeredUrl = xmlAttr(twiml, 'Number', 'url') || xmlAttr(twiml, 'Sip', 'url');
+        const actionUrl   = xmlAttr(twiml, 'Dial', 'action');
+        const form        = (body) => new URLSearchParams(body).toString();
+        setTimeout(async () => {
+            try {
+                if (this.transferOutcome === 'answered') {
+                    await axios.post(answeredUrl, form({ CallSid: `CA${'f'.repeat(32)}`, CallStatus: 'in-progress' }));
+                    return;
+                }
+                const { data } = await axios.post(actionUrl, form({ CallSid: callSid, DialCallStatus: this.transferOutcome }));
+                const streamUrl = xmlAttr(String(data), 'Stream', 'url');
+                if (streamUrl) await this.startCall(callSid, new URL(streamUrl).pathname);
+            } catch (err) {
+                this.errors.push(err.message);
+            }
+        }, ANSWER_DELAY_MS);
+    }
+
+    async _dial(callSid, params) {
+        const next    = this.dialOutcomes.shift() || 'answered';
+        const outcome = typeof next === 'string' ? { status: next } : next;
+        const form    = (body) => new URLSearchParams({ CallSid: callSid, To: params.To, From: params.From, ...body }).toString();
+        const status  = (body) => axios.post(params.StatusCallback, form(body));
+
+        if (outcome.status !== 'answered') return status({ CallStatus: outcome.status });
+
+        const { data } = await axios.post(params.Url, form({ CallStatus: 'in-progress' }));
+        await status({ CallStatus: 'in-progress' });
+        const answeredAt = Date.now();
+        const call = await this.startCall(callSid, new URL(xmlAttr(String(data), 'Stream', 'url')).pathname);
+        call.once('closed', () => {
+            const duration = String(Math.round((Date.now() - answeredAt) / 1000));
+            status({ CallStatus: 'completed', CallDuration: duration }).catch(err => this.errors.push(err.message));
+        });
+
+        if (outcome.answeredBy) {
+            setTimeout(() => {
+                axios.post(params.AsyncAmdStatusCallback, form({ AnsweredBy: outcome.answeredBy, MachineDetectionDuration: String(outcome.amdDelayMs || 0) }))
+                    .catch(err => this.errors.push(err.message));
+            }, outcome.amdDelayMs || 0);
+        }
+    }
+
+    close() {
+        for (const call of this.calls.values()) call.hangup();
+        return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+module.exports = { FakeTwilio, FakeTwilioCall };
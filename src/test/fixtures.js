@@ -0,0 +1,115 @@
+'use strict';
+
+const { pcm16ToTwilioMulaw } = require('../utils/audio');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Audio fixtures for the call simulator — 8kHz mono mu-law WAV, the format
+// Twilio streams. Built at runtime rather than checked in: the fake GPU
+// server only looks at energy (VAD) and the scenario says what was "said"
+// (STT), so a tone stands in for a voice and zeros for a quiet line.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SAMPLE_RATE      = 8000;
+const FRAME_BYTES      = 160;    // 20ms of 8kHz mu-law, one Twilio media message
+const WAV_FORMAT_MULAW = 7;
+const SPEECH_AMPLITUDE = 8000;
+
+/** Wrap raw mu-law bytes in a WAV container. */
+function buildMulawWav(mulaw) {
+    const wav = Buffer.alloc(44 + mulaw.length);
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + mulaw.length, 4);
+    wav.write('WAVE', 8);
+    wav.write('fmt ', 12);
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(WAV_FORMAT_MULAW, 20);
+    wav.writeUInt16LE(1, 22);                 // mono
+    wav.writeUInt32LE(SAMPLE_RATE, 24);
+    wav.writeUInt32LE(SAMPLE_RATE, 28);       // byte rate: one byte per sample
+    wav.writeUInt16LE(1, 32);                 // block align
+    wav.writeUInt16LE(8, 34);                 // bits per sample
+    wav.write('data', 36);
+    wav.writeUInt32LE(mulaw.length, 40);
+    mulaw.copy(wav, 44);
+    return wav;
+}
+
+/**
+ * The mu-law samples of a WAV built by buildMulawWav() (or any 8kHz mono
+ * mu-law WAV). Throws on anything Twilio wouldn't send.
+ */
+function readMulawWav(wav) {
+    if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+    let format = null;
+    for (let offset = 12; offset + 8 <= wav.length;) {
+        const id   = wav.toString('ascii', offset, offset + 4);
+        const size = wav.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        if (id === 'fmt ') {
+            format = { code: wav.readUInt16LE(body), channels: wav.readUInt16LE(body + 2), rate: wav.readUInt32LE(body + 4) };
+        } else if (id === 'data') {
+            if (!format || format.code !== WAV_FORMAT_MULAW || format.channels !== 1 || format.rate !== SAMPLE_RATE) {
+                throw new Error('Fixture must be 8kHz mono mu-law');
+            }
+            return wav.subarray(body, body + size);
+        }
+        offset = body + size + (size % 2);
+    }
+    throw new Error('WAV has no data chunk');
+}
+
+function samplesFor(ms) {
+    return Math.round(SAMPLE_RATE * ms / 1000);
+}
+
+/** A steady tone loud enough for VAD to call it speech. */
+function speech(ms, frequency = 220) {
+    const pcm = Buffer.alloc(samplesFor(ms) * 2);
+    for (let i = 0; i < pcm.length / 2; i++) {
+        pcm.writeInt16LE(Math.round(SPEECH_AMPLITUDE * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE)), i * 2);
+    }
+    return buildMulawWav(pcm16ToTwilioMulaw(pcm));
+}
+
+/** Digital silence. */
+function silence(ms) {
+    return buildMulawWav(pcm16ToTwilioMulaw(Buffer.alloc(samplesFor(ms) * 2)));
+}
+
+/** Join fixtures end to end, e.g. concat(speech(800), silence(400)). */
+function concat(...wavs) {
+    return buildMulawWav(Buffer.concat(wavs.map(readMulawWav)));
+}
+
+/** Split a fixture into the 20ms payloads of Twilio media messages. */
+function toFrames(wav) {
+    const mulaw  = readMulawWav(wav);
+    const frames = [];
+    for (let i = 0; i < mulaw.length; i += FRAME_BYTES) {
+        const frame = Buffer.alloc(FRAME_BYTES, 0xff);   // pad the last one with mu-law silence
+        mulaw.copy(frame, 0, i, Math.min(i + FRAME_BYTES, mulaw.length));
+        frames.push(frame);
+    }
+    return frames;
+}
+
+/** Peak absolute sample of a 16-bit PCM buffer. */
+function peak(pcm16) {
+    let max = 0;
+    for (let i = 0; i + 1 < pcm16.length; i += 2) max = Math.max(max, Math.abs(pcm16.readInt16LE(i)));
+    return max;
+}
+
+module.exports = {
+    FRAME_BYTES,
+    SAMPLE_RATE,
+    buildMulawWav,
+    readMulawWav,
+    speech,
+    silence,
+    concat,
+    toFrames,
+    peak,
+};
@@ -0,0 +1,1038 @@
+'use strict';
+
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const axios  = require('axios');
+const { speech, silence, concat } = require('./fixtures');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Call simulator scenarios. Each one drives a call end to end through the
+// fakes and asserts on what Laravel was sent in /complete.
+//
+//   { name, config?, run: async (t, call) => { … } }
+//
+// `config` (an object, or t => object) is merged over BASE_CONFIG for the
+// call. `t` is the simulator's toolkit (see call-simulator.js): the fakes,
+// the server under test, say(), heard(), waitFor(), complete(), transcript().
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FIRST_MESSAGE = 'Hello, thanks for calling. How can I help?';
+
+const BASE_CONFIG = {
+    assistant_id:       'sim-assistant',
+    organization_id:    'sim-org',
+    caller_phone:       '+15550009999',
+    twilio_account_sid: `AC${'0'.repeat(32)}`,
+    twilio_auth_token:  'sim-auth-token',
+    system_prompt:      'You are the receptionist of a small restaurant.',
+    first_message:      FIRST_MESSAGE,
+    language:           'en',
+    voice:              'af_heart',
+
+    silence_timeout_seconds: 10,
+    silence_hangup_seconds:  10,
+    silence_max_reprompts:   0,
+    max_duration_seconds:    120,
+
+    is_end_call_enabled:   true,
+    is_transfer_to_number: false,
+    is_transfer_to_agent:  false,
+    is_custom_tools:       false,
+    enable_filler_phrases: false,   // fillers are random — transcripts must be exact
+    transfer_to_number:    [],
+    custom_tools:          [],
+    webhooks:              [],
+};
+
+const TRANSFER_NUMBER = '+15550001111';
+
+const transferConfig = {
+    is_transfer_to_number: true,
+    transfer_to_number:    [{ phone_number: TRANSFER_NUMBER, ring_timeout: 10 }],
+};
+
+const transferResponder = (turn) => {
+    if (turn.kind === 'user') {
+        return { tool: { name: 'transfer_to_number', args: { phone_number: TRANSFER_NUMBER, condition: 'caller asked for a person' } } };
+    }
+    return JSON.parse(turn.output).success
+        ? { text: 'Connecting you now.' }
+        : { text: 'Nobody picked up, can I help instead?' };
+};
+
+const VOICEMAIL_WEBHOOK = (t) => ({ url: `${t.laravel.url}/tools/webhook`, secret: 'sim-webhook-secret', events: ['voicemail.left'] });
+
+/** POST /calls/outbound; resolves with the answered FakeTwilioCall. */
+async function placeOutboundCall(t, body) {
+    const placed = await axios.post(`${t.server.url}/calls/outbound`, body, { headers: { 'X-Internal-Secret': t.laravel.secret }, validateStatus: null });
+    assert.equal(placed.status, 201, JSON.stringify(placed.data));
+    await t.waitFor(() => t.twilio.calls.get(placed.data.call_sid), 'outbound call answered');
+    return t.twilio.calls.get(placed.data.call_sid);
+}
+
+/** POST /calls/:callSid/supervisor/:action as supervisor "amy". */
+async function supervise(t, call, action, body = {}) {
+    const res = await axios.post(`${t.server.url}/calls/${call.callSid}/supervisor/${action}`, { supervisor: 'amy', ...body },
+        { headers: { 'X-Internal-Secret': t.laravel.secret }, validateStatus: null });
+    assert.ok(res.status < 300, `${action}: ${res.status} ${JSON.stringify(res.data)}`);
+    return res.data;
+}
+
+/** GET /outbox on the server under test. */
+async function outboxEntries(t) {
+    const { data } = await axios.get(`${t.server.url}/outbox`, { headers: { 'X-Internal-Secret': t.laravel.secret } });
+    return data;
+}
+
+/** GET /metrics as { 'series{labels}': value }. */
+async function scrapeMetrics(t) {
+    const { data } = await axios.get(`${t.server.url}/metrics`);
+    return Object.fromEntries(data.split('\n')
+        .filter(line => line && !line.startsWith('#'))
+        .map((line) => {
+            const at = line.lastIndexOf(' ');
+            return [line.slice(0, at), Number(line.slice(at + 1))];
+        }));
+}
+
+const scenarios = [
+    {
+        name: 'conversation ends with the end_call tool',
+        async run(t, call) {
+            t.openai.responder = (turn) => {
+                if (/hours/.test(turn.text)) return { text: 'We are open nine to five.' };
+                if (/goodbye/.test(turn.text)) return { tool: { name: 'end_call', args: { reason: 'user_requested' } } };
+                return { text: 'Sorry?' };
+            };
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'What are your hours?');
+            await t.heard(call, 'We are open nine to five.');
+            await t.say(call, 'Great, goodbye.');
+
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'user_requested');
+            // The first message is spoken but not part of the transcript
+            assert.deepEqual(t.transcript(payload), [
+                ['user',  'What are your hours?'],
+                ['agent', 'We are open nine to five.'],
+                ['user',  'Great, goodbye.'],
+            ]);
+            assert.ok(t.twilio.updatesFor(call.callSid).some(u => u.Status === 'completed'), 'hung up through the Twilio REST API');
+            assert.ok(t.openai.received('session.update')[0].session.tools.some(tool => tool.name === 'end_call'), 'end_call offered to the LLM');
+        },
+    },
+
+    {
+        name: 'caller interrupts the AI mid-answer',
+        async run(t, call) {
+            const longAnswer = 'We have a seasonal menu with fresh pasta, wood fired pizza, grilled fish, three kinds of salad and a dessert list that changes every single week of the year';
+            t.openai.responder = (turn) => (/menu/.test(turn.text)
+                ? { text: `${longAnswer}.` }
+                : { text: 'Mains are twelve dollars.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'Tell me about the menu.');
+            await t.waitFor(() => call.aiSpeaking && t.gpu.spoken.some(s => s.startsWith('We have')), 'long answer playing');
+            await t.say(call, 'Actually, just the prices.');
+            await t.waitFor(() => call.received.clears > 0, 'AI audio cleared');
+            await t.waitFor(() => t.gpu.spoken.includes('Mains are twelve dollars.'), 'answer to the interruption');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'stream_stopped');
+            assert.deepEqual(t.transcript(payload).slice(-2), [
+                ['user',  'Actually, just the prices.'],
+                ['agent', 'Mains are twelve dollars.'],
+            ]);
+            const interrupts = Object.entries(payload.metrics.counters)
+                .filter(([key]) => key.startsWith('interrupts.'))
+                .reduce((sum, [, n]) => sum + n, 0);
+            assert.ok(interrupts >= 1, 'interrupt counted in call metrics');
+        },
+    },
+
+    {
+        name: 'speculative response is rolled back when the caller keeps talking',
+        config: { speculative_responses: true },
+        async run(t, call) {
+            t.openai.responder = (turn) => (/table for two/.test(turn.text)
+                ? { text: 'A table for two it is.' }
+                : { text: 'What would you like to book?' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            t.gpu.turnComplete = false;
+            await t.say(call, 'I would like to book');
+            await t.waitFor(() => t.openai.received('response.create').length === 1, 'speculative response requested');
+            t.gpu.turnComplete = true;
+            await t.say(call, 'I would like to book a table for two');
+            await t.heard(call, 'A table for two it is.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.ok(!t.gpu.spoken.includes('What would you like to book?'), 'held response never spoken');
+            assert.ok(t.openai.received('conversation.item.delete').length >= 2, 'speculative message and reply deleted');
+            assert.deepEqual(t.transcript(payload).slice(-2), [
+                ['user',  'I would like to book a table for two'],
+                ['agent', 'A table for two it is.'],
+            ]);
+            assert.equal(payload.speculative_responses.cancelled, 1);
+        },
+    },
+
+    {
+        name: 'custom tool result is used and assigned',
+        config: (t) => ({
+            is_custom_tools: true,
+            custom_tools:    [{
+                name:            'check_order',
+                description:     'Look up an order by number',
+                url:             `${t.laravel.url}/tools/check_order`,
+                method:          'GET',
+                is_query_params: true,
+                query_params:    [{ name: 'order_number', type: 'string', description: 'Order number', required: true }],
+                is_assignments:  true,
+                assignments:     [{ dynamic_variable: 'order_status', value_path: 'status' }],
+            }],
+        }),
+        async run(t, call) {
+            t.laravel.toolResponses.check_order = { status: 'shipped', eta: 'Tuesday' };
+            t.openai.responder = (turn) => {
+                if (turn.kind === 'user') return { tool: { name: 'check_order', args: { order_number: '1234' } } };
+                const { data } = JSON.parse(turn.output);
+                return { text: `Your order has ${data.status} and arrives ${data.eta}.` };
+            };
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'Where is order 1234?');
+            await t.heard(call, 'Your order has shipped and arrives Tuesday.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.equal(t.laravel.toolRequests.length, 1);
+            assert.equal(t.laravel.toolRequests[0].query.order_number, '1234');
+            const [output] = t.openai.received('conversation.item.create').filter(e => e.item.type === 'function_call_output');
+            assert.equal(JSON.parse(output.item.output).data.status, 'shipped');
+            assert.equal(payload.dynamic_variables.order_status, 'shipped');
+            assert.equal(payload.metrics.counters['tool_calls.custom.ok'], 1);
+            assert.deepEqual(t.transcript(payload).slice(-2), [
+                ['user',  'Where is order 1234?'],
+                ['agent', 'Your order has shipped and arrives Tuesday.'],
+            ]);
+        },
+    },
+
+    {
+        name: 'tool calls and turn latency are in /metrics and the call metrics',
+        config: (t) => ({
+            is_custom_tools: true,
+            custom_tools:    [{ name: 'check_order', description: 'Look up an order', url: `${t.laravel.url}/tools/check_order`, method: 'GET' }],
+        }),
+        async run(t, call) {
+            t.laravel.toolResponses.check_order = { status: 'shipped' };
+            t.openai.responder = (turn) => {
+                if (turn.kind === 'user') return { tool: { name: 'made_up_tool', args: {} } };
+                if (turn.name === 'made_up_tool') return { tool: { name: 'check_order', args: {} } };
+                return { text: 'Your order has shipped.' };
+            };
+            const before = await scrapeMetrics(t);
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'Where is my order?');
+            await t.heard(call, 'Your order has shipped.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            const after   = await scrapeMetrics(t);
+            const delta   = (series) => (after[series] || 0) - (before[series] || 0);
+            assert.equal(delta('newrohelp_tool_calls_total{tool="other",outcome="failed"}'), 1, 'made-up name counted as other');
+            assert.equal(delta('newrohelp_tool_calls_total{tool="custom",outcome="ok"}'), 1, 'custom tool counted as custom');
+            assert.ok(!Object.keys(after).some(series => series.includes('made_up_tool') || series.includes('check_order')), 'no series per tool name');
+            assert.equal(delta('newrohelp_calls_total{end_reason="stream_stopped"}'), 1);
+
+            assert.equal(payload.metrics.counters['tool_calls.other.failed'], 1);
+            assert.equal(payload.metrics.counters['tool_calls.custom.ok'], 1);
+            for (const stage of ['vad', 'stt', 'llm_first_token', 'tts_first_byte', 'response']) {
+                assert.deepEqual(Object.keys(payload.metrics.latency_ms[stage] || {}), ['count', 'avg', 'p50', 'p95', 'max'], `${stage} latency`);
+            }
+        },
+    },
+
+    {
+        name: 'custom tool posts a templated form body',
+        config: (t) => ({
+            is_custom_tools:    true,
+            custom_tools:       [{
+                name:               'book_table',
+                description:        'Book a table',
+                url:                `${t.laravel.url}/tools/book_table`,
+                method:             'POST',
+                body_type:          'form',
+                is_request_headers: true,
+                request_headers:    [{ key: 'content-type', value: 'application/x-www-form-urlencoded; charset=utf-8' }],
+                is_body_params:     true,
+                body_params:        [
+                    { name: 'phone', constant_value: '{{caller_phone}}' },
+                    { name: 'note', constant_value: 'booked by {{assistant.id}} {{constructor}}' },
+                    { name: 'party_size', type: 'number', description: 'Guests', required: true },
+                    { name: 'customer', type: 'object', properties: [{ name: 'name', type: 'string' }] },
+                ],
+            }],
+        }),
+        async run(t, call) {
+            t.openai.responder = (turn) => (turn.kind === 'user'
+                ? { tool: { name: 'book_table', args: { party_size: 4, customer: { name: 'Jane' } } } }
+                : { text: 'You are booked.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'A table for four, please.');
+            await t.heard(call, 'You are booked.');
+            call.hangup();
+            await t.complete(call);
+
+            const [request] = t.laravel.toolRequests;
+            assert.equal(request.headers['content-type'], 'application/x-www-form-urlencoded; charset=utf-8');
+            assert.deepEqual(request.body, {
+                phone:      BASE_CONFIG.caller_phone,
+                note:       'booked by sim-assistant {{constructor}}',
+                party_size: '4',
+                customer:   { name: 'Jane' },
+            });
+        },
+    },
+
+    {
+        name: 'caller speech during a protected response is held until it has played',
+        config: (t) => ({
+            is_custom_tools: true,
+            custom_tools:    [{
+                name:                  'cancel_order',
+                description:           'Cancel an order',
+                url:                   `${t.laravel.url}/tools/cancel_order`,
+                method:                'POST',
+                disable_interruptions: true,
+            }],
+        }),
+        async run(t, call) {
+            const confirmation = 'Your order is cancelled and a full refund of forty two dollars will reach your card within five business days.';
+            let askedAt = null;
+            t.laravel.toolResponses.cancel_order = { cancelled: true };
+            t.openai.responder = (turn) => {
+                if (turn.kind === 'function_result') return { text: confirmation };
+                if (/cancel/.test(turn.text)) return { tool: { name: 'cancel_order', args: {} } };
+                askedAt = Date.now();
+                return { text: 'The card ending in four two.' };
+            };
+            let markAt = null;
+            call.on('mark', (name) => { if (name === 'protected_speech_end') markAt = Date.now(); });
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'Please cancel my order.');
+            await t.waitFor(() => call.aiSpeaking && t.gpu.spoken.includes(confirmation), 'confirmation playing');
+            await t.say(call, 'Wait, which card?');
+            await t.heard(call, 'The card ending in four two.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.equal(call.received.clears, 0, 'confirmation not cut off');
+            assert.ok(markAt && askedAt >= markAt, 'question sent to the LLM after the confirmation played');
+            assert.deepEqual(t.transcript(payload).slice(-3), [
+                ['agent', confirmation],
+                ['user',  'Wait, which card?'],
+                ['agent', 'The card ending in four two.'],
+            ]);
+            const interrupts = Object.keys(payload.metrics.counters).filter(key => key.startsWith('interrupts.'));
+            assert.deepEqual(interrupts, [], 'not counted as an interrupt');
+        },
+    },
+
+    {
+        name: 'caller is not deferred forever when a protected response fails',
+        config: (t) => ({
+            is_custom_tools: true,
+            custom_tools:    [{
+                name:                  'cancel_order',
+                description:           'Cancel an order',
+                url:                   `${t.laravel.url}/tools/cancel_order`,
+                method:                'POST',
+                disable_interruptions: true,
+            }],
+        }),
+        async run(t, call) {
+            t.laravel.toolResponses.cancel_order = { cancelled: true };
+            t.openai.responder = (turn) => {
+                if (turn.kind === 'function_result') return { error: 'The server had an error' };
+                if (/cancel/.test(turn.text)) return { tool: { name: 'cancel_order', args: {} } };
+                return { text: 'Is there anything else?' };
+            };
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'Please cancel my order.');
+            await t.waitFor(() => t.laravel.toolRequests.length === 1, 'tool called');
+            await t.say(call, 'Hello?');
+            await t.heard(call, 'Is there anything else?');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.deepEqual(t.transcript(payload).slice(-2), [
+                ['user',  'Hello?'],
+                ['agent', 'Is there anything else?'],
+            ]);
+        },
+    },
+
+    {
+        name: 'webhook is signed with the subscription secret',
+        config: (t) => ({
+            webhooks: [{ url: `${t.laravel.url}/tools/webhook`, secret: 'sim-webhook-secret', events: ['call.ended'] }],
+        }),
+        async run(t, call) {
+            await t.heard(call, FIRST_MESSAGE);
+            call.hangup();
+            await t.complete(call);
+
+            await t.waitFor(() => t.laravel.toolRequests.some(r => r.name === 'webhook'), 'webhook delivered');
+            const { headers, body } = t.laravel.toolRequests.find(r => r.name === 'webhook');
+            assert.equal(headers['x-webhook-event'], 'call.ended');
+            const expected = 'sha256=' + crypto.createHmac('sha256', 'sim-webhook-secret')
+                .update(`${headers['x-webhook-timestamp']}.${JSON.stringify(body)}`).digest('hex');
+            assert.equal(headers['x-webhook-signature'], expected);
+        },
+    },
+
+    {
+        name: 'transfer to a number is answered',
+        config: transferConfig,
+        async run(t, call) {
+            t.openai.responder = transferResponder;
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'Can I talk to a person?');
+
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'transferred_to_number');
+            const dial = t.twilio.updatesFor(call.callSid).find(u => u.Twiml?.includes('<Dial'));
+            assert.ok(dial, 'caller redirected with <Dial> TwiML');
+            assert.match(dial.Twiml, new RegExp(`<Number[^>]*>\\${TRANSFER_NUMBER}</Number>`));
+            assert.deepEqual(t.transcript(payload), [['user', 'Can I talk to a person?']]);
+            const [result] = t.openai.received('conversation.item.create').filter(e => e.item.type === 'function_call_output');
+            assert.equal(JSON.parse(result.item.output).success, true, 'transfer result sent before the OpenAI session closed');
+            assert.ok(!t.server.log.some(line => line.includes('Transfer result not delivered')), 'teardown waited for this call_id');
+        },
+    },
+
+    {
+        name: 'unanswered transfer returns the caller to the AI',
+        config: transferConfig,
+        async run(t, call) {
+            t.twilio.transferOutcome = 'no-answer';
+            t.openai.responder       = transferResponder;
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'Can I talk to a person?');
+            await t.waitFor(() => t.twilio.calls.get(call.callSid) !== call, 'caller back on a new stream');
+            const resumed = t.twilio.calls.get(call.callSid);
+            await t.heard(resumed, 'Nobody picked up, can I help instead?');
+            resumed.hangup();
+
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'stream_stopped');
+            const [output] = t.openai.received('conversation.item.create').filter(e => e.item.type === 'function_call_output');
+            const result   = JSON.parse(output.item.output);
+            assert.equal(result.success, false);
+            assert.equal(result.phone_number, TRANSFER_NUMBER);
+            assert.deepEqual(t.transcript(payload).slice(-1), [['agent', 'Nobody picked up, can I help instead?']]);
+        },
+    },
+
+    {
+        name: 'supervisor mutes the AI and speaks for it',
+        async run(t, call) {
+            const longAnswer = 'We have a seasonal menu with fresh pasta, wood fired pizza, grilled fish, three kinds of salad and a dessert list that changes every single week of the year';
+            const asked = [];
+            t.openai.responder = (turn) => {
+                asked.push(turn.text);
+                return /menu/.test(turn.text) ? { text: `${longAnswer}.` } : { text: 'Sorry?' };
+            };
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'Tell me about the menu.');
+            await t.waitFor(() => call.aiSpeaking && t.gpu.spoken.some(s => s.startsWith('We have')), 'long answer playing');
+            await supervise(t, call, 'mute');
+            await t.waitFor(() => call.received.clears > 0, 'AI audio cleared');
+
+            // Heard and answered by the LLM, but the answer is dropped
+            await t.say(call, 'Hello?');
+            await t.waitFor(() => asked.includes('Hello?'), 'muted turn sent to the LLM');
+            await supervise(t, call, 'say', { text: 'A colleague will call you back.' });
+            await t.heard(call, 'A colleague will call you back.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.ok(!t.gpu.spoken.includes('Sorry?'), 'muted AI not spoken');
+            assert.deepEqual(t.transcript(payload).slice(-2), [
+                ['user',  'Hello?'],
+                ['agent', 'A colleague will call you back.'],
+            ]);
+            assert.deepEqual(payload.supervisor_actions.map(a => [a.action, a.supervisor]), [['mute', 'amy'], ['say', 'amy']]);
+            assert.equal(payload.supervisor_actions[1].text, 'A colleague will call you back.');
+            assert.ok(!Object.keys(payload.metrics.counters).some(key => key.startsWith('interrupts.')), 'mute is not counted as an interrupt');
+        },
+    },
+
+    {
+        name: 'answered supervisor takeover ends the call for the AI',
+        async run(t, call) {
+            await t.heard(call, FIRST_MESSAGE);
+            await supervise(t, call, 'takeover', { phone_number: '+15550002222' });
+
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'supervisor_takeover');
+            assert.equal(payload.supervisor_actions[0].outcome, 'connected');
+            assert.ok(!t.server.log.some(line => line.includes('Transfer result not delivered')), 'no tool result to wait for');
+        },
+    },
+
+    {
+        name: 'failed supervisor takeover gives the caller back to the AI',
+        async run(t, call) {
+            t.twilio.transferOutcome = 'no-answer';
+            t.openai.responder       = () => ({ text: 'Yes, I am still here.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            const { action } = await supervise(t, call, 'takeover', { phone_number: '+15550002222' });
+            assert.equal(action.action, 'takeover');
+            await t.waitFor(() => t.twilio.calls.get(call.callSid) !== call, 'caller back on a new stream');
+            const resumed = t.twilio.calls.get(call.callSid);
+
+            // Unmuted again, as before the takeover
+            await t.say(resumed, 'Is anyone there?');
+            await t.heard(resumed, 'Yes, I am still here.');
+            resumed.hangup();
+
+            const payload = await t.complete(call);
+            const dial = t.twilio.updatesFor(call.callSid).find(u => u.Twiml?.includes('<Dial'));
+            assert.match(dial.Twiml, /<Number[^>]*>\+15550002222<\/Number>/);
+            assert.deepEqual(t.transcript(payload).slice(-2), [['user', 'Is anyone there?'], ['agent', 'Yes, I am still here.']]);
+            assert.equal(payload.supervisor_actions.length, 1);
+            assert.equal(payload.supervisor_actions[0].phone_number, '+15550002222');
+            assert.equal(payload.supervisor_actions[0].outcome, 'failed');
+            assert.ok(payload.supervisor_actions[0].error, 'failure reason recorded');
+        },
+    },
+
+    {
+        name: 'silent caller is re-prompted, then hung up on',
+        config: {
+            silence_timeout_seconds: 1,
+            silence_hangup_seconds:  1,
+            silence_max_reprompts:   1,
+            silence_reprompts:       ['Are you still there?'],
+        },
+        async run(t, call) {
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'no_response');
+            assert.deepEqual(t.transcript(payload), [['agent', 'Are you still there?']]);
+            assert.ok(t.twilio.updatesFor(call.callSid).some(u => u.Status === 'completed'), 'hung up through the Twilio REST API');
+            assert.equal(t.openai.received('response.create').length, 0, 'nothing was sent to the LLM');
+        },
+    },
+
+    {
+        name: 'silent caller is hung up on when the re-prompt cannot be spoken',
+        config: {
+            silence_timeout_seconds: 1,
+            silence_hangup_seconds:  1,
+            silence_max_reprompts:   1,
+            silence_reprompts:       ['Hello, anyone there?'],
+        },
+        async run(t, call) {
+            t.gpu.ttsFailures.add('Hello, anyone there?');
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'no_response');
+            assert.ok(t.gpu.spoken.includes('Hello, anyone there?'), 're-prompt was attempted');
+        },
+    },
+    {
+        name: 'VAD runs over the GPU server\'s stream',
+        async run(t, call) {
+            t.openai.responder = () => ({ text: 'We are open nine to five.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'What are your hours?');
+            await t.heard(call, 'We are open nine to five.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.deepEqual(t.transcript(payload), [['user', 'What are your hours?'], ['agent', 'We are open nine to five.']]);
+            assert.ok(t.gpu.requests.includes('WS /vad/stream'), 'stream opened');
+            assert.ok(payload.vad.stream_batches > 0, 'batches sent on the stream');
+            assert.equal(payload.vad.stream_disconnects, 0);
+        },
+    },
+
+    {
+        name: 'VAD falls back to HTTP on a GPU server without /vad/stream',
+        config: (t) => {
+            // Set before the call starts: the stream is opened with the pipeline
+            t.gpu2.streams = false;
+            return { providers: { vad: { type: 'gpu', urls: [t.gpu2.url] } } };
+        },
+        async run(t, call) {
+            t.openai.responder = () => ({ text: 'We are open nine to five.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'What are your hours?');
+            await t.heard(call, 'We are open nine to five.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.deepEqual(t.transcript(payload), [['user', 'What are your hours?'], ['agent', 'We are open nine to five.']]);
+            assert.ok(t.gpu2.requests.includes('WS /vad/stream'), 'stream attempted on the assistant\'s VAD server');
+            assert.ok(t.gpu2.requests.includes('POST /vad/detect'), 'VAD served over HTTP instead');
+            assert.ok(!t.gpu.requests.some(r => /\/vad\/(stream|detect)/.test(r)), 'VAD stayed off the default GPU server');
+            assert.equal(payload.vad.stream_batches, 0);
+            assert.ok(payload.vad.http_batches > 0);
+        },
+    },
+
+    {
+        name: 'STT streams the turn and flushes it at speech end',
+        async run(t, call) {
+            t.openai.responder = () => ({ text: 'We are open nine to five.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'What are your hours?');
+            await t.heard(call, 'We are open nine to five.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.deepEqual(t.transcript(payload), [['user', 'What are your hours?'], ['agent', 'We are open nine to five.']]);
+            assert.ok(t.gpu.requests.includes('WS /stt/stream'), 'stream opened for the turn');
+            assert.ok(!t.gpu.requests.includes('POST /stt/transcribe'), 'no HTTP transcription');
+        },
+    },
+
+    {
+        name: 'STT falls back to HTTP when the stream flush fails',
+        async run(t, call) {
+            t.openai.responder = () => ({ text: 'We are open nine to five.' });
+            t.gpu.sttDropFlush = true;
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'What are your hours?');
+            await t.heard(call, 'We are open nine to five.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.deepEqual(t.transcript(payload), [['user', 'What are your hours?'], ['agent', 'We are open nine to five.']]);
+            assert.ok(t.server.log.some(line => line.includes('STT stream flush failed — transcribing over HTTP')));
+            assert.ok(t.gpu.requests.includes('POST /stt/transcribe'), 'turn transcribed over HTTP');
+            assert.deepEqual(t.gpu.transcribed, ['What are your hours?'], 'transcribed once');
+        },
+    },
+
+    {
+        name: 'speech providers are picked per assistant',
+        config: t => ({
+            providers: {
+                // A/B by weight: a zero weight is never picked
+                stt: [{ type: 'gpu', weight: 0, label: 'stt-a' }, { type: 'gpu', url: t.gpu2.url, weight: 1, label: 'stt-b' }],
+                tts: 'no-such-provider',
+            },
+        }),
+        async run(t, call) {
+            t.openai.responder = () => ({ text: 'We are open nine to five.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            t.gpu2.transcript = 'What are your hours?';
+            await t.say(call, 'What are your hours?');
+            await t.heard(call, 'We are open nine to five.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.deepEqual(payload.providers, { vad: 'gpu', stt: 'stt-b', turn: 'gpu', tts: 'gpu' });
+            assert.deepEqual(t.gpu2.transcribed, ['What are your hours?'], 'transcribed by the picked provider');
+            assert.deepEqual(t.gpu.transcribed, []);
+            assert.ok(t.server.log.some(line => line.includes('Unknown tts provider "no-such-provider" — using GPU server')));
+        },
+    },
+
+    {
+        name: 'assistant\'s GPU pool fails over from a failing server',
+        config: (t) => {
+            t.gpu2.down = true;
+            const pool = { type: 'gpu', urls: [t.gpu2.url, t.gpu.url], label: 'pool' };
+            return { providers: { vad: pool, stt: pool, tts: pool } };
+        },
+        async run(t, call) {
+            t.openai.responder = () => ({ text: 'We are open nine to five.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            await t.say(call, 'What are your hours?');
+            await t.heard(call, 'We are open nine to five.');
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.deepEqual(t.transcript(payload), [['user', 'What are your hours?'], ['agent', 'We are open nine to five.']]);
+            assert.deepEqual(payload.providers, { vad: 'pool', stt: 'pool', turn: 'gpu', tts: 'pool' });
+            assert.ok(t.gpu2.requests.includes('POST /tts/synthesize'), 'failing server tried first');
+            assert.ok(t.server.log.some(line => line.includes(`GPU server ${t.gpu2.url} marked unhealthy`)), 'failing server taken out of rotation');
+            // The call's VAD was pinned to the failing server when it started
+            assert.ok(t.server.log.some(line => line.includes(`VAD server ${t.gpu2.url} unhealthy — moving session`)), 'VAD pin dropped');
+            assert.ok(t.gpu.requests.includes('POST /vad/detect'), 'VAD re-pinned to the healthy server');
+            assert.deepEqual(t.gpu.transcribed, ['What are your hours?']);
+        },
+    },
+
+    {
+        name: 'campaign retries a busy contact, then completes',
+        async run(t, call) {
+            call.hangup();
+            await t.complete(call);
+            const api = (method, path, data) => axios({
+                method, url: `${t.server.url}/campaigns${path}`, data,
+                headers: { 'X-Internal-Secret': t.laravel.secret }, validateStatus: null,
+            });
+            const campaign = {
+                assistant_id:    BASE_CONFIG.assistant_id,
+                organization_id: BASE_CONFIG.organization_id,
+                calling_hours:   { start: '00:00', end: '24:00', days: [0, 1, 2, 3, 4, 5, 6] },
+                retry:           { max_attempts: 2, backoff_seconds: 0, retry_on: ['busy'] },
+                contacts:        [{ id: 'c-1', phone: '+15550007777', dynamic_variables: { name: 'Jane' } }],
+            };
+
+            for (const [bad, error] of [
+                [{ retry: { retry_on: null } }, /retry\.retry_on must be an array/],
+                [{ retry: { backoff_seconds: -1 } }, /retry\.backoff_seconds must be a non-negative number/],
+                [{ calling_hours: { days: [7] } }, /calling_hours\.days/],
+                [{ ring_timeout: '30' }, /ring_timeout must be a positive integer/],
+                [{ max_concurrent: 0 }, /max_concurrent must be a positive integer/],
+                [{ contacts: [campaign.contacts[0], { id: 'c-1', phone: '+15550008888' }] }, /contacts\[1\]\.id is a duplicate/],
+            ]) {
+                const refused = await api('post', '/', { ...campaign, ...bad });
+                assert.equal(refused.status, 400, JSON.stringify(bad));
+                assert.match(refused.data.error, error);
+            }
+
+            t.laravel.outboundConfig = BASE_CONFIG;
+            t.twilio.dialOutcomes    = ['busy', 'answered'];
+            const created = await api('post', '/', campaign);
+            assert.equal(created.status, 201);
+            const { campaign_id: id } = created.data;
+
+            await t.waitFor(() => t.twilio.dialed.length === 2 && t.twilio.calls.get(t.twilio.dialed[1].callSid), 'contact redialed and answered');
+            const [busy, answered] = t.twilio.dialed.map(d => d.callSid);
+            const outbound = t.twilio.calls.get(answered);
+            await t.heard(outbound, FIRST_MESSAGE);
+            outbound.hangup();
+
+            const unanswered = await t.laravel.waitForComplete(busy);
+            assert.equal(unanswered.status, 'failed');
+            assert.equal(unanswered.end_reason, 'busy');
+            assert.equal(unanswered.campaign_id, id);
+            const connected = await t.laravel.waitForComplete(answered);
+            assert.equal(connected.direction, 'outbound');
+            assert.equal(connected.campaign_contact_id, 'c-1');
+            assert.equal(connected.dynamic_variables.name, 'Jane');
+
+            await t.waitFor(() => t.laravel.campaignUpdates.some(u => u.kind === 'progress' && u.body.status === 'completed'), 'campaign completed');
+            const contactUpdates = t.laravel.campaignUpdates.filter(u => u.kind === 'contact').map(u => [u.body.status, u.body.attempts]);
+            assert.deepEqual(contactUpdates, [['retry_wait', 1], ['completed', 2]]);
+            const { data: contacts } = await api('get', `/${id}/contacts`);
+            const [contact] = contacts.contacts;
+            assert.deepEqual(contact.history.map(h => h.outcome), ['busy', 'answered']);
+        },
+    },
+
+    {
+        name: 'long greeting is taken for a machine and the voicemail left after the beep',
+        async run(t, call) {
+            call.hangup();
+            await t.complete(call);
+            t.laravel.outboundConfig = {
+                ...BASE_CONFIG,
+                voicemail_detection: true,
+                voicemail_message:   'Hi {{name}}, this is the restaurant. Please call us back.',
+                webhooks:            [VOICEMAIL_WEBHOOK(t)],
+            };
+            const message = 'Hi Jane, this is the restaurant. Please call us back.';
+
+            const callee = await placeOutboundCall(t, { assistant_id: BASE_CONFIG.assistant_id, to_phone: '+15550007777', dynamic_variables: { name: 'Jane' } });
+            // "Hi, you've reached…" — longer than any human hello — then the beep
+            await callee.play(concat(speech(5000), silence(600)));
+            const beepAt = Date.now();
+            await callee.play(speech(400, 1000));
+            await t.heard(callee, message);
+
+            const payload = await t.laravel.waitForComplete(callee.callSid);
+            assert.equal(payload.end_reason, 'voicemail_detected');
+            assert.ok(t.gpu.tts.find(e => e.text === message).at >= beepAt, 'message waited for the beep');
+            assert.ok(t.server.log.some(line => line.includes('Voicemail: speaking after beep')), 'beep detected');
+            assert.equal(t.openai.received('response.create').length, 0, 'greeting never sent to the LLM');
+
+            await t.waitFor(() => t.laravel.toolRequests.some(r => r.name === 'webhook'), 'voicemail.left webhook');
+            const { headers, body } = t.laravel.toolRequests.find(r => r.name === 'webhook');
+            assert.equal(body.event, 'voicemail.left');
+            assert.deepEqual(body.data, { left_by: 'assistant', message, detected_by: 'heuristic' });
+            assert.equal(headers['x-webhook-id'], `${callee.callSid}.voicemail.1.0`, 'delivery id per occurrence');
+        },
+    },
+
+    {
+        name: 'Twilio AMD at the beep leaves the voicemail right away',
+        async run(t, call) {
+            call.hangup();
+            await t.complete(call);
+            t.laravel.outbound       = { ...t.laravel.outbound, voicemail_detection: true };
+            t.laravel.outboundConfig = {
+                ...BASE_CONFIG,
+                voicemail_detection: true,
+                voicemail_message:   'Sorry we missed you, please call us back.',
+                webhooks:            [VOICEMAIL_WEBHOOK(t)],
+            };
+            t.twilio.dialOutcomes = [{ status: 'answered', answeredBy: 'machine_end_beep', amdDelayMs: 2500 }];
+
+            const callee = await placeOutboundCall(t, { assistant_id: BASE_CONFIG.assistant_id, to_phone: '+15550007777' });
+            assert.equal(t.twilio.dialed[0].params.MachineDetection, 'DetectMessageEnd', 'AMD requested');
+            await callee.play(speech(2000));   // too short for the heuristic
+            await t.heard(callee, 'Sorry we missed you, please call us back.');
+
+            const payload = await t.laravel.waitForComplete(callee.callSid);
+            assert.equal(payload.end_reason, 'voicemail_detected');
+            await t.waitFor(() => t.laravel.toolRequests.some(r => r.name === 'webhook'), 'voicemail.left webhook');
+            assert.equal(t.laravel.toolRequests.find(r => r.name === 'webhook').body.data.detected_by, 'twilio_amd');
+        },
+    },
+
+    {
+        name: 'call record is retried until Laravel takes it',
+        async run(t, call) {
+            t.laravel.failures.set('/complete', [503]);
+
+            await t.heard(call, FIRST_MESSAGE);
+            call.hangup();
+
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'stream_stopped');
+            assert.deepEqual(t.laravel.failed, [{ path: `/calls/${call.callSid}/complete`, status: 503 }]);
+            await t.waitFor(() => t.server.log.some(line => line.includes(`Outbox: /calls/${call.callSid}/complete delivered after 2 attempts`)), 'retry delivered');
+            const { pending, dead } = await outboxEntries(t);
+            assert.ok(![...pending, ...dead].some(e => e.key === `${call.callSid}.complete`), 'outbox entry removed');
+        },
+    },
+
+    {
+        name: 'rejected call record is dead-lettered, then replayed',
+        async run(t, call) {
+            t.laravel.failures.set('/complete', [400]);
+            const key = `${call.callSid}.complete`;
+
+            await t.heard(call, FIRST_MESSAGE);
+            call.hangup();
+
+            await t.waitFor(() => t.server.log.some(line => line.includes(`Outbox: /calls/${call.callSid}/complete dead-lettered`)), 'entry dead-lettered');
+            let entries = await outboxEntries(t);
+            const dead  = entries.dead.find(e => e.key === key);
+            assert.ok(dead, 'listed as dead');
+            assert.equal(dead.attempts, 1, 'a 4xx is not retried');
+            assert.equal(dead.last_error, 'HTTP 400');
+            assert.ok(!t.laravel.completes.has(call.callSid), 'not delivered before the replay');
+
+            const replay = await axios.post(`${t.server.url}/outbox/${key}/replay`, {}, { headers: { 'X-Internal-Secret': t.laravel.secret } });
+            assert.equal(replay.data.delivered, true);
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'stream_stopped');
+            entries = await outboxEntries(t);
+            assert.ok(![...entries.pending, ...entries.dead].some(e => e.key === key), 'outbox entry removed');
+        },
+    },
+
+    {
+        name: 'organization at its limit gets the overflow action',
+        async run(t, call) {
+            await t.heard(call, FIRST_MESSAGE);
+            t.laravel.incoming = {
+                ...t.laravel.incoming,
+                org_max_concurrent: 1,
+                overflow: { type: 'hold', retry_seconds: 5, max_wait_seconds: 5, then: { type: 'voicemail', max_length: 60 } },
+            };
+            const callSid = t.newCallSid();
+            const params  = { CallSid: callSid, From: '+15550002222', To: '+15550003333', CallStatus: 'ringing' };
+
+            // Held first, then sent to voicemail once max_wait_seconds is up
+            const held = await t.twilio.webhook('/twilio/incoming', params);
+            assert.equal(held.status, 200);
+            assert.match(held.data, /<Say>All of our lines are busy right now\. Please stay on the line\.<\/Say><Pause length="5"\/>/);
+            const redirect = held.data.match(/<Redirect method="POST">([^<]+)<\/Redirect>/)[1];
+            assert.match(redirect, /\/twilio\/incoming\?attempt=1$/);
+
+            const voicemail = await t.twilio.webhook(redirect, { ...params, CallStatus: 'in-progress' });
+            assert.match(voicemail.data, /<Record [^>]*maxLength="60"/);
+            const action = voicemail.data.match(/<Record [^>]*action="([^"]+)"/)[1].replace(/&amp;/g, '&');
+            await t.twilio.webhook(action, {
+                ...params, CallStatus: 'completed', RecordingUrl: 'https://example.com/rec.mp3', RecordingSid: 'RE1', RecordingDuration: '12',
+            });
+
+            const refused = await t.laravel.waitForComplete(callSid);
+            assert.equal(refused.status, 'refused');
+            assert.equal(refused.end_reason, 'overflow_voicemail');
+            assert.deepEqual(refused.overflow, {
+                reason: 'organization_limit', action: 'voicemail', held_seconds: 5,
+                recording_url: 'https://example.com/rec.mp3', recording_sid: 'RE1', duration_seconds: 12,
+            });
+            assert.equal(t.laravel.incomings.filter(body => body.call_sid === callSid).length, 1, 'number looked up once per call');
+
+            // Hanging up during the hold's <Pause> still closes the call out
+            const quitter = t.newCallSid();
+            await t.twilio.webhook('/twilio/incoming', { ...params, CallSid: quitter });
+            await t.twilio.webhook('/twilio/status', { ...params, CallSid: quitter, CallStatus: 'completed' });
+            const abandoned = await t.laravel.waitForComplete(quitter);
+            assert.equal(abandoned.status, 'refused');
+            assert.equal(abandoned.end_reason, 'overflow_hold');
+            assert.equal(abandoned.overflow.reason, 'organization_limit');
+
+            // Room again once the first call is over
+            call.hangup();
+            await t.complete(call);
+            const next = t.newCallSid();
+            t.laravel.configs.set(next, BASE_CONFIG);
+            const admitted = await t.twilio.webhook('/twilio/incoming', { ...params, CallSid: next });
+            assert.match(admitted.data, /<Connect><Stream url="wss:\/\/[^"]+\/twilio\/stream\/CA/);
+            const nextCall = await t.twilio.startCall(next);
+            await t.heard(nextCall, FIRST_MESSAGE);
+            nextCall.hangup();
+            await t.laravel.waitForComplete(next);
+        },
+    },
+
+    {
+        name: 'queued callers are let in by priority as capacity frees',
+        async run(t, call) {
+            await t.heard(call, FIRST_MESSAGE);
+            t.laravel.incoming = {
+                ...t.laravel.incoming,
+                twilio_auth_token:  BASE_CONFIG.twilio_auth_token,
+                org_max_concurrent: 1,
+                language:           'es',
+                overflow: { type: 'queue', music_url: 'https://example.com/hold.mp3', priority_callers: { '+15550004444': 5 } },
+            };
+            const caller = (callSid, from) => ({
+                CallSid: callSid, AccountSid: BASE_CONFIG.twilio_account_sid, From: from, To: '+15550003333', CallStatus: 'ringing',
+            });
+            const regular = caller(t.newCallSid(), '+15550002222');
+            const vip     = caller(t.newCallSid(), '+15550004444');
+            t.laravel.configs.set(vip.CallSid, BASE_CONFIG);
+
+            const queued = await t.twilio.webhook('/twilio/incoming', regular);
+            assert.match(queued.data, /<Enqueue waitUrl="[^"]+\/twilio\/queue\/wait" waitUrlMethod="POST" action="[^"]+\/twilio\/queue\/leave" method="POST">newrohelp-hold<\/Enqueue>/);
+            await t.twilio.webhook('/twilio/incoming', vip);
+
+            // The VIP is ahead in line though they called second
+            const wait = await t.twilio.webhook('/twilio/queue/wait', { ...regular, QueueSid: 'QU1', QueueTime: '3' });
+            assert.ok(t.gpu.tts.some(e => e.text === 'You are number 2 in line.'), 'position announced');
+            const [announcement, music] = [...wait.data.matchAll(/<Play>([^<]+)<\/Play>/g)].map(m => m[1].replace(/&amp;/g, '&'));
+            assert.equal(music, 'https://example.com/hold.mp3');
+            assert.equal(new URL(announcement).searchParams.get('language'), 'es', "spoken in the assistant's language");
+            const audio = await axios.get(announcement, { responseType: 'arraybuffer' });
+            assert.equal(audio.headers['content-type'], 'audio/wav');
+            const forged = await axios.get(announcement.replace('number+2', 'number+1'), { validateStatus: null });
+            assert.equal(forged.status, 403);
+            await t.twilio.webhook('/twilio/queue/wait', { ...vip, QueueSid: 'QU1', QueueTime: '1' });
+            assert.ok(t.gpu.tts.some(e => e.text === 'You are number 1 in line.'), 'VIP position announced');
+
+            // The first call ends: the VIP is moved onto a MediaStream
+            call.hangup();
+            await t.complete(call);
+            await t.waitFor(() => t.twilio.calls.get(vip.CallSid), 'VIP connected');
+            const vipCall = t.twilio.calls.get(vip.CallSid);
+            await t.heard(vipCall, FIRST_MESSAGE);
+            assert.deepEqual(t.twilio.updatesFor(regular.CallSid), [], 'regular caller still waiting');
+
+            // The regular caller gives up
+            await t.twilio.webhook('/twilio/queue/leave', { ...regular, QueueResult: 'hangup', QueueTime: '9' });
+            const abandoned = await t.laravel.waitForComplete(regular.CallSid);
+            assert.equal(abandoned.status, 'refused');
+            assert.equal(abandoned.end_reason, 'overflow_queue');
+            assert.equal(abandoned.overflow.reason, 'organization_limit');
+
+            vipCall.hangup();
+            const payload = await t.laravel.waitForComplete(vip.CallSid);
+            assert.equal(payload.end_reason, 'stream_stopped');
+            assert.equal(payload.queue.priority, 5);
+            assert.equal(payload.queue.reason, 'organization_limit');
+            assert.ok(payload.queue.wait_seconds >= 0);
+        },
+    },
+
+    {
+        name: 'second instance forwards to the one holding the call',
+        config: transferConfig,
+        async run(t, call) {
+            const { peer } = t.server;
+            t.twilio.transferOutcome = 'no-answer';
+            t.openai.responder       = transferResponder;
+
+            await t.heard(call, FIRST_MESSAGE);
+            assert.equal(t.redis.get(`newrohelp:call:${call.callSid}`), t.server.name, 'call claimed in the registry');
+
+            // Supervisor request through the other instance
+            const say = await axios.post(`${peer.url}/calls/${call.callSid}/supervisor/say`,
+                { supervisor: 'sim', text: 'A supervisor is listening in.' },
+                { headers: { 'X-Internal-Secret': t.laravel.secret }, validateStatus: null });
+            assert.equal(say.status, 200);
+            await t.heard(call, 'A supervisor is listening in.');
+
+            // The caller comes back from the failed transfer on the other instance
+            t.twilio.serverUrl = peer.url;
+            await t.say(call, 'Can I talk to a person?');
+            await t.waitFor(() => t.twilio.calls.get(call.callSid) !== call, 'caller back on a new stream');
+            const resumed = t.twilio.calls.get(call.callSid);
+            await t.heard(resumed, 'Nobody picked up, can I help instead?');
+            resumed.hangup();
+
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'stream_stopped');
+            assert.deepEqual(t.transcript(payload).slice(-1), [['agent', 'Nobody picked up, can I help instead?']]);
+            assert.ok(peer.log.some(line => line.includes(`Forwarded POST /calls/${call.callSid}/supervisor/say to ${t.server.name}`)), 'supervisor request forwarded');
+            assert.ok(peer.log.some(line => line.includes(`Relaying MediaStream to ${t.server.name}`)), 'MediaStream relayed');
+            await t.waitFor(() => t.redis.get(`newrohelp:call:${call.callSid}`) === null, 'claim released');
+        },
+    },
+
+    {
+        // Stops the server under test — keep it last
+        name: 'draining server lets the call finish, then says goodbye',
+        config: { drain_message: 'We are restarting, please call back in a minute.' },
+        async run(t, call) {
+            t.openai.responder = () => ({ text: 'Sure, take your time.' });
+
+            await t.heard(call, FIRST_MESSAGE);
+            t.server.child.kill('SIGTERM');
+            await t.waitFor(() => t.server.log.some(line => line.includes('Draining:')), 'server to start draining');
+
+            const health = await axios.get(`${t.server.url}/health`, { validateStatus: null });
+            assert.equal(health.status, 503);
+            assert.equal(health.data.status, 'draining');
+            const incoming = await axios.post(`${t.server.url}/twilio/incoming`, 'CallSid=CAnew&From=%2B15550001234&To=%2B15550005678', { validateStatus: null });
+            assert.equal(incoming.status, 503, 'new calls refused');
+
+            // The live call carries on until DRAIN_TIMEOUT_SECONDS
+            await t.say(call, 'Let me think about it.');
+            await t.heard(call, 'Sure, take your time.');
+            await t.heard(call, 'We are restarting, please call back in a minute.');
+
+            const payload = await t.complete(call);
+            assert.equal(payload.end_reason, 'server_shutdown');
+            assert.deepEqual(t.transcript(payload).slice(-3), [
+                ['user',  'Let me think about it.'],
+                ['agent', 'Sure, take your time.'],
+                ['agent', 'We are restarting, please call back in a minute.'],
+            ]);
+            await t.waitFor(() => t.server.child.exitCode !== null, 'server to exit');
+            assert.equal(t.server.child.exitCode, 0);
+        },
+    },
+];
+
+module.exports = { scenarios, BASE_CONFIG };
@@ -0,0 +1,35 @@
+'use strict';
+
+const twilio = require('twilio');
+
+// ─── Twilio REST client ──────────────────────────────────────────────────────
+// TWILIO_API_BASE_URL sends every REST request to another origin instead of
+// https://api.twilio.com (same paths, same auth). The call simulator
+// (src/test/call-simulator.js) points it at its fake Twilio so hangups and
+// transfers can be exercised offline. Unset in production.
+
+class RedirectedRequestClient extends twilio.RequestClient {
+    constructor(baseUrl) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    request(opts) {
+        const { pathname, search } = new URL(opts.uri);
+        return super.request({ ...opts, uri: `${this.baseUrl}${pathname}${search}` });
+    }
+}
+
+/**
+ * @param {string} accountSid
+ * @param {string} authToken
+ * @returns {import('twilio').Twilio}
+ */
+function createTwilioClient(accountSid, authToken) {
+    const baseUrl = process.env.TWILIO_API_BASE_URL;
+    return baseUrl
+        ? twilio(accountSid, authToken, { httpClient: new RedirectedRequestClient(baseUrl) })
+        : twilio(accountSid, authToken);
+}
+
+module.exports = { createTwilioClient };
@@ -4,7 +4,10 @@ const WebSocket = require('ws');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { callManager } = require('../orchestrator/callmanager');
-const { initPipeline } = require('../orchestrator/pipeline');
+const { initPipeline, resumePipeline } = require('../orchestrator/pipeline');
+const { getOutboundContext, getPublicBaseUrl } = require('./outbound');
+const { remoteOwner, instance, FORWARDED_HEADER } = require('../orchestrator/registry');
+const { fetchOutboundContext } = require('../api/forward');
 
 const laravelClient = axios.create({
     baseURL:  process.env.LARAVEL_API_URL,
@@ -21,11 +24,11 @@ const laravelClient = axios.create({
 function attachMediaStreamHandler(server) {
     const wss = new WebSocket.Server({ noServer: true });
 
+    // Other paths belong to other WS handlers (api/monitor.js); index.js
+    // destroys any upgrade no handler claimed.
     server.on('upgrade', (request, socket, head) => {
-        if (!request.url.startsWith('/twilio/stream/')) {
-            socket.destroy();
-            return;
-        }
+        if (!request.url.startsWith('/twilio/stream/')) return;
+        request.upgradeHandled = true;
         wss.handleUpgrade(request, socket, head, (ws) => {
             const callSid = request.url.split('/twilio/stream/')[1];
             wss.emit('connection', ws, request, callSid);
@@ -52,7 +55,31 @@ function attachMediaStreamHandler(server) {
             // ws will close automatically after emitting error; no explicit close needed.
         });
 
+        // FIX: Twilio sends 'connected' and 'start' as soon as the socket opens,
+        // while the lookups below are still awaiting — before the pipeline has
+        // a listener. 'start' carries the streamSid every frame sent back
+        // needs (and the <Stream> parameters). Hold messages until the
+        // pipeline or the relay takes the socket over.
+        const buffered = bufferMessages(ws);
+
         try {
+            // Caller returning from a warm transfer nobody answered — the
+            // session (and its OpenAI conversation) is still live.
+            const existing = callManager.get(callSid);
+            if (existing && existing.status === 'transferring') {
+                await resumePipeline(existing, ws, buffered);
+                return;
+            }
+
+            // ...or live on another instance: relay the stream there
+            if (!existing && !request.headers[FORWARDED_HEADER]) {
+                const owner = await remoteOwner(`call:${callSid}`);
+                if (owner) {
+                    bridgeToOwner(ws, owner, callSid, buffered.release());
+                    return;
+                }
+            }
+
             // Laravel returns a slim, pre-processed config.
             // The system_prompt is already fully built server-side (dynamic variables
             // injected, business context included, tool instructions appended).
@@ -65,6 +92,10 @@ function attachMediaStreamHandler(server) {
                 return;
             }
 
+            // Outbound calls carry per-call dynamic variables from POST /calls/outbound,
+            // kept by whichever instance placed the call
+            const outbound = getOutboundContext(callSid) || await fetchOutboundContext(callSid);
+
             const session = callManager.create({
                 callSid,
                 callerPhone:     config.caller_phone,
@@ -76,11 +107,17 @@ function attachMediaStreamHandler(server) {
                 twilioAccountSid: config.twilio_account_sid,
                 twilioAuthToken:  config.twilio_auth_token,
                 assistantConfig:  config,
+                direction:        outbound ? 'outbound' : 'inbound',
+                dynamicVariables: outbound ? { ...outbound.dynamicVariables } : {},
+                metadata:         outbound ? outbound.metadata : {},
+                publicBaseUrl:    getPublicBaseUrl(request),
             });
+            if (outbound?.answeredBy) session.amdResult = outbound.answeredBy;
 
             await initPipeline(session, ws, {
                 systemPrompt: config.system_prompt,
                 language:     session.language,
+                buffered,
             });
 
         } catch (err) {
@@ -92,4 +129,44 @@ function attachMediaStreamHandler(server) {
     logger.info('MediaStream WebSocket handler attached');
 }
 
+/** Keep a socket's messages until release() hands them over (oldest first). */
+function bufferMessages(ws) {
+    const messages = [];
+    const hold     = (data) => messages.push(data);
+    ws.on('message', hold);
+    return {
+        release() {
+            ws.off('message', hold);
+            return messages.splice(0);
+        },
+    };
+}
+
+/**
+ * Relay a MediaStream to the instance holding its session (registry.js):
+ * Twilio's messages go to the owner's /twilio/stream/:callSid, the owner's
+ * replies come back, and either side closing closes the other.
+ */
+function bridgeToOwner(ws, owner, callSid, queued) {
+    logger.info(`Relaying MediaStream to ${owner.id}`, { callSid });
+    const upstream = new WebSocket(`${owner.url.replace(/^http/, 'ws')}/twilio/stream/${callSid}`, {
+        headers: { [FORWARDED_HEADER]: instance.id },
+    });
+
+    ws.on('message', (data) => {
+        if (upstream.readyState === WebSocket.OPEN) upstream.send(data.toString());
+        else queued.push(data);
+    });
+    upstream.on('open', () => {
+        for (const data of queued.splice(0)) upstream.send(data.toString());
+    });
+    upstream.on('message', (data) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(data.toString());
+    });
+
+    upstream.on('error', (err) => logger.error(`MediaStream relay to ${owner.id} failed: ${err.message}`, { callSid }));
+    upstream.on('close', () => ws.close());
+    ws.on('close', () => upstream.close());
+}
+
 module.exports = { attachMediaStreamHandler };
\ No newline at end of file
@@ -0,0 +1,252 @@
+'use strict';
+
+const axios            = require('axios');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 }   = require('uuid');
+const logger           = require('../utils/logger');
+const { createTwilioClient } = require('./client');
+const { claim, release }     = require('../orchestrator/registry');
+const { outbox }             = require('../orchestrator/outbox');
+
+const laravelClient = axios.create({
+    baseURL:  process.env.LARAVEL_API_URL,
+    headers:  { 'X-Internal-Secret': process.env.LARAVEL_API_SECRET },
+    timeout:  10000,
+});
+
+// ─── Outbound call registry ──────────────────────────────────────────────────
+// Outbound calls are keyed by a local `ref` (uuid) rather than the Twilio
+// CallSid. The answer webhook and status callbacks carry ?ref= in their URL,
+// so they can be matched even if Twilio fires them before calls.create()
+// has returned the CallSid to us.
+//
+// Contexts are kept until the call reaches a terminal status, then dropped
+// after a short grace period (the MediaStream may still be connecting when
+// the final callback races in). PENDING_TTL_MS is a safety net for calls
+// whose callbacks never arrive: the call is reported ended (see expire()).
+const PENDING_TTL_MS      = 2 * 60 * 60 * 1000;
+const TERMINAL_GRACE_MS   = 60 * 1000;
+const DEFAULT_RING_TIMEOUT = 30;
+
+const TERMINAL_OUTCOMES = new Set(['busy', 'no_answer', 'failed', 'canceled', 'completed']);
+
+// Twilio CallStatus → outcome reported to Laravel / campaign subscribers.
+const OUTCOME_BY_STATUS = {
+    'queued':      'initiated',
+    'initiated':   'initiated',
+    'ringing':     'ringing',
+    'in-progress': 'answered',
+    'answered':    'answered',
+    'busy':        'busy',
+    'no-answer':   'no_answer',
+    'failed':      'failed',
+    'canceled':    'canceled',
+    'completed':   'completed',
+};
+
+const contextsByRef = new Map();   // ref     → context
+const refsByCallSid = new Map();   // callSid → ref
+
+// Emits 'status' ({ outcome, callStatus, context }) for every outbound status
+// change. Used by the campaign scheduler to track per-contact results.
+const outboundEvents = new EventEmitter();
+
+function getPublicBaseUrl(req) {
+    if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    if (!req) throw new Error('PUBLIC_BASE_URL is not set');
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const host     = req.headers['x-forwarded-host'] || req.headers.host;
+    return `${protocol}://${host}`;
+}
+
+/**
+ * Place an outbound AI call.
+ *
+ * 1. Ask Laravel for the assistant's Twilio credentials + caller ID
+ * 2. Create the Twilio call; answer webhook returns the same <Connect><Stream>
+ *    TwiML as inbound calls, so the answered call runs through initPipeline()
+ * 3. Register the CallSid with Laravel so GET /calls/{sid}/config works
+ *
+ * @param {object} params
+ * @param {string|number} params.assistantId
+ * @param {string}  params.toPhone            E.164 target number
+ * @param {string}  [params.fromPhone]        Override caller ID (must belong to the Twilio account)
+ * @param {object}  [params.dynamicVariables] Per-call variables, seeded into session.dynamicVariables
+ * @param {number}  [params.ringTimeout]      Seconds to ring before no-answer
+ * @param {object}  [params.metadata]         Opaque data echoed on outboundEvents (e.g. campaign IDs)
+ * @param {object}  [req]                     Incoming request, only used to derive the public URL
+ * @returns {Promise<object>}                 The registered outbound context
+ */
+async function placeOutboundCall(params, req = null) {
+    const { assistantId, toPhone, fromPhone, dynamicVariables = {}, ringTimeout, metadata = {} } = params;
+    const ref     = uuidv4();
+    const baseUrl = getPublicBaseUrl(req);
+
+    const { data: account } = await laravelClient.post('/calls/outbound/prepare', {
+        assistant_id:      assistantId,
+        to_phone:          toPhone,
+        from_phone:        fromPhone || null,
+        dynamic_variables: dynamicVariables,
+    });
+
+    if (!account || !account.twilio_account_sid || !account.twilio_auth_token) {
+        throw new Error('Laravel returned no Twilio credentials for assistant');
+    }
+
+    const context = {
+        ref,
+        callSid:            null,
+        assistantId,
+        organizationId:     account.organization_id || null,
+        toPhone,
+        fromPhone:          fromPhone || account.from_phone,
+        dynamicVariables,
+        metadata,
+        twilioAccountSid:   account.twilio_account_sid,
+        twilioAuthToken:    account.twilio_auth_token,
+        voicemailDetection: !!account.voicemail_detection,
+        answeredBy:         null,   // Twilio AMD result, if it arrives before the MediaStream
+        outcome:            'initiated',
+        createdAt:          Date.now(),
+    };
+
+    if (!context.fromPhone) throw new Error('No caller ID available for outbound call');
+
+    contextsByRef.set(ref, context);
+    claim(`outbound:${ref}`);   // callbacks come back to this instance (api/forward.js)
+    context.expiryTimer = setTimeout(() => expire(ref), PENDING_TTL_MS);
+    context.expiryTimer.unref?.();
+
+    let call;
+    try {
+        const client  = createTwilioClient(context.twilioAccountSid, context.twilioAuthToken);
+        const options = {
+            to:                   toPhone,
+            from:                 context.fromPhone,
+            url:                  `${baseUrl}/twilio/outbound/answer?ref=${ref}`,
+            method:               'POST',
+            statusCallback:       `${baseUrl}/twilio/outbound/status?ref=${ref}`,
+            statusCallbackMethod: 'POST',
+            statusCallbackEvent:  ['initiated', 'ringing', 'answered', 'completed'],
+            timeout:              ringTimeout || DEFAULT_RING_TIMEOUT,
+        };
+        // Async AMD: the call connects to the pipeline immediately and the
+        // AnsweredBy result arrives on a separate callback once the greeting
+        // ends (DetectMessageEnd), i.e. right at the beep.
+        if (context.voicemailDetection) {
+            Object.assign(options, {
+                machineDetection:             'DetectMessageEnd',
+                asyncAmd:                     'true',
+                asyncAmdStatusCallback:       `${baseUrl}/twilio/outbound/amd?ref=${ref}`,
+                asyncAmdStatusCallbackMethod: 'POST',
+            });
+        }
+        call = await client.calls.create(options);
+    } catch (err) {
+        forget(ref);
+        throw err;
+    }
+
+    context.callSid = call.sid;
+    refsByCallSid.set(call.sid, ref);
+    claim(`outbound:${call.sid}`);
+    logger.info(`Outbound call placed: ${context.fromPhone} → ${toPhone}`, { callSid: call.sid, assistantId });
+
+    // The call is already ringing — a failed post is retried by the outbox,
+    // never a reason to cancel it
+    await outbox.enqueue(`${call.sid}.outbound.created`, '/calls/outbound/created', {
+        call_sid:          call.sid,
+        assistant_id:      assistantId,
+        organization_id:   context.organizationId,
+        to_phone:          toPhone,
+        from_phone:        context.fromPhone,
+        dynamic_variables: dynamicVariables,
+        metadata,
+    });
+
+    return context;
+}
+
+/**
+ * Record a Twilio status callback for an outbound call and notify Laravel.
+ * Returns the context (or null if the ref is unknown).
+ */
+async function recordOutboundStatus(ref, body) {
+    const context = contextsByRef.get(ref);
+    if (!context) return null;
+
+    const callStatus = body.CallStatus;
+    const outcome    = OUTCOME_BY_STATUS[callStatus] || callStatus;
+    if (!context.callSid && body.CallSid) {
+        context.callSid = body.CallSid;
+        refsByCallSid.set(body.CallSid, ref);
+        claim(`outbound:${body.CallSid}`);
+    }
+
+    if (outcome === 'answered') context.answeredAt = Date.now();
+    context.outcome = outcome;
+
+    logger.info(`Outbound call status: ${callStatus} → ${outcome}`, { callSid: context.callSid });
+
+    await outbox.enqueue(`${context.callSid || ref}.outbound.status.${callStatus}`, '/calls/outbound/status', {
+        call_sid:      context.callSid,
+        assistant_id:  context.assistantId,
+        outcome,
+        call_status:   callStatus,
+        call_duration: body.CallDuration || null,
+        answered_by:   body.AnsweredBy || null,
+    });
+
+    outboundEvents.emit('status', { outcome, callStatus, context });
+
+    if (TERMINAL_OUTCOMES.has(outcome)) {
+        clearTimeout(context.expiryTimer);
+        const timer = setTimeout(() => forget(ref), TERMINAL_GRACE_MS);
+        timer.unref?.();
+    }
+
+    return context;
+}
+
+function getOutboundContextByRef(ref) {
+    return contextsByRef.get(ref) || null;
+}
+
+function getOutboundContext(callSid) {
+    const ref = refsByCallSid.get(callSid);
+    return ref ? contextsByRef.get(ref) || null : null;
+}
+
+// FIX: dropping the context was silent — a campaign contact waiting on the
+// final status stayed 'dialing' for good, holding its slot. Report the
+// terminal outcome the callback would have brought.
+function expire(ref) {
+    const context = contextsByRef.get(ref);
+    if (!context) return;
+    const outcome = context.answeredAt ? 'completed' : 'failed';
+    logger.warn(`Outbound call has had no final status for ${PENDING_TTL_MS / 60000} min — reporting ${outcome}`, { callSid: context.callSid });
+    context.outcome = outcome;
+    outboundEvents.emit('status', { outcome, callStatus: null, context });
+    forget(ref);
+}
+
+function forget(ref) {
+    const context = contextsByRef.get(ref);
+    if (!context) return;
+    clearTimeout(context.expiryTimer);
+    contextsByRef.delete(ref);
+    release(`outbound:${ref}`);
+    if (context.callSid) {
+        refsByCallSid.delete(context.callSid);
+        release(`outbound:${context.callSid}`);
+    }
+}
+
+module.exports = {
+    placeOutboundCall,
+    recordOutboundStatus,
+    getOutboundContext,
+    getOutboundContextByRef,
+    getPublicBaseUrl,
+    outboundEvents,
+};
@@ -5,9 +5,30 @@ const twilio  = require('twilio');
 const axios   = require('axios');
 const logger  = require('../utils/logger');
 const { callManager } = require('../orchestrator/callmanager');
+const { outbox }      = require('../orchestrator/outbox');
+const { isDraining }  = require('../orchestrator/drain');
+const { admit }       = require('../orchestrator/admission');
+const { holdQueue }   = require('../orchestrator/queue');
+const { interpolateSpoken }  = require('../utils/template');
+const { createTwilioClient } = require('./client');
+const { buildCallCompletePayload } = require('../orchestrator/pipeline');
+const { getOutboundContextByRef, recordOutboundStatus, getPublicBaseUrl } = require('./outbound');
+const { forwardCall, forwardOutbound, forwardQueued, notifyOwner } = require('../api/forward');
 
 const router = express.Router();
 
+// Running several instances (orchestrator/registry.js): callbacks about a call
+// held by another instance are handled there
+router.use('/status',    forwardCall(req => req.body.CallSid));
+router.use('/outbound',  forwardOutbound(req => req.query.ref));
+router.use('/transfer',  forwardCall(req => req.query.callSid));
+router.use('/queue',     forwardQueued(req => req.body?.CallSid));
+
+const QUEUE_NAME      = 'newrohelp-hold';
+const QUEUE_MUSIC_URL = process.env.QUEUE_MUSIC_URL || 'http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.mp3';
+
+const INCOMING_CONFIG_TTL_MS = 15 * 60 * 1000;
+
 const laravelClient = axios.create({
     baseURL:  process.env.LARAVEL_API_URL,
     headers:  { 'X-Internal-Secret': process.env.LARAVEL_API_SECRET },
@@ -56,13 +77,15 @@ router.post('/incoming', async (req, res) => {
 
     logger.info(`Incoming call: ${callerPhone} → ${toPhone}`, { callSid });
 
+    // Shutting down (drain.js): an error response makes Twilio try the
+    // number's Fallback URL, i.e. another instance
+    if (isDraining()) {
+        logger.warn('Draining — refusing incoming call', { callSid });
+        return res.status(503).send('Service Unavailable');
+    }
+
     try {
-        const { data: config } = await laravelClient.post('/calls/incoming', {
-            call_sid:     callSid,
-            caller_phone: callerPhone,
-            to_phone:     toPhone,
-            call_status:  req.body.CallStatus,
-        });
+        const config = await fetchIncomingConfig(req);
 
         if (!config || !config.assistant_id) {
             logger.warn('No assistant configured for number', { callSid, toPhone });
@@ -74,15 +97,12 @@ router.post('/incoming', async (req, res) => {
             return res.status(403).send('Forbidden');
         }
 
-        const host  = req.headers['x-forwarded-host'] || req.headers.host;
-        const wsUrl = `wss://${host}/twilio/stream/${callSid}`;
+        // Over a concurrency limit or no GPU capacity (admission.js)
+        const admission = admit(callSid, config);
+        if (!admission.admitted) return respondOverflow(req, res, config, admission.reason);
 
-        const response = new twilio.twiml.VoiceResponse();
-        response.connect().stream({ url: wsUrl });
-
-        logger.info('Responding with TwiML MediaStream', { callSid, wsUrl });
-        res.type('text/xml');
-        res.send(response.toString());
+        setHeld(callSid, null);
+        respondWithStream(req, res, callSid);
 
     } catch (err) {
         logger.error(`Error handling incoming call: ${err.message || err.code || JSON.stringify(err)}`, { callSid });
@@ -90,32 +110,547 @@ router.post('/incoming', async (req, res) => {
     }
 });
 
+// Laravel looks up the dialled number's assistant — once per CallSid: the
+// hold retries and overflow callbacks below, which have no session to read
+// it from, get the cached answer until the call ends (or
+// INCOMING_CONFIG_TTL_MS passes).
+const incomingCalls = new Map();   // callSid → { config, timer, held: { reason, since } | null }
+
+async function fetchIncomingConfig(req) {
+    const callSid = req.body.CallSid;
+    if (incomingCalls.has(callSid)) return incomingCalls.get(callSid).config;
+
+    const { data } = await laravelClient.post('/calls/incoming', {
+        call_sid:     callSid,
+        caller_phone: req.body.From,
+        to_phone:     req.body.To,
+        call_status:  req.body.CallStatus,
+    });
+    if (callSid) {
+        const timer = setTimeout(() => incomingCalls.delete(callSid), INCOMING_CONFIG_TTL_MS);
+        timer.unref?.();
+        incomingCalls.set(callSid, { config: data, timer, held: null });
+    }
+    return data;
+}
+
+// A caller in the hold overflow's <Pause> has no /complete yet: if they hang
+// up there, /status sends it
+function setHeld(callSid, reason) {
+    const call = incomingCalls.get(callSid);
+    if (!call) return;
+    if (!reason) call.held = null;
+    else if (!call.held) call.held = { reason, since: Date.now() };
+}
+
+function forgetIncomingCall(callSid) {
+    const call = incomingCalls.get(callSid);
+    if (!call) return;
+    clearTimeout(call.timer);
+    incomingCalls.delete(callSid);
+}
+
 router.post('/status', async (req, res) => {
     const callSid    = req.body.CallSid;
     const callStatus = req.body.CallStatus;
     logger.info(`Call status: ${callStatus}`, { callSid });
 
-    try {
-        await laravelClient.post('/calls/status', {
-            call_sid:      callSid,
-            call_status:   callStatus,
-            call_duration: req.body.CallDuration || null,
-        });
-    } catch (err) {
-        logger.warn(`Failed to update call status in Laravel: ${err.message}`, { callSid });
-    }
+    // Not awaited: Twilio only needs the 200, the outbox retries on its own
+    outbox.enqueue(`${callSid}.status.${callStatus}`, '/calls/status', {
+        call_sid:      callSid,
+        call_status:   callStatus,
+        call_duration: req.body.CallDuration || null,
+    });
 
     if (['completed', 'failed', 'busy', 'no-answer'].includes(callStatus)) {
         const session = callManager.get(callSid);
+        // Hung up while a transfer was ringing / on hold: the MediaStream is
+        // already gone, so the pipeline closes the call out (and drops the target leg)
+        if (session && session.status === 'transferring') session.emit('transfer_caller_hangup');
         if (session && session.status !== 'ended') {
             logger.info('Call ended externally, cleaning up session', { callSid });
             callManager.remove(callSid);
         }
+
+        const held = incomingCalls.get(callSid)?.held;
+        if (held && !session) {
+            const config = incomingCalls.get(callSid).config;
+            logger.info('Caller hung up while held', { callSid });
+            postOverflowComplete(req, config, {
+                reason: held.reason, action: 'hold', held_seconds: Math.round((Date.now() - held.since) / 1000),
+            });
+        }
+        forgetIncomingCall(callSid);
     }
 
     res.sendStatus(200);
 });
 
+// ── Outbound calls (placed via POST /calls/outbound) ─────────────────────────
+// Answer webhook: the callee picked up. Same MediaStream TwiML as inbound, so
+// the call runs through the normal initPipeline() flow.
+router.post('/outbound/answer', (req, res) => {
+    const callSid = req.body.CallSid;
+    const context = getOutboundContextByRef(req.query.ref);
+
+    if (!context) {
+        logger.warn('Outbound answer for unknown ref', { callSid, ref: req.query.ref });
+        return respondError(res);
+    }
+
+    if (!validateTwilioSignature(req, context.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    logger.info(`Outbound call answered: ${context.toPhone}`, { callSid });
+    respondWithStream(req, res, callSid);
+});
+
+router.post('/outbound/status', async (req, res) => {
+    const callSid = req.body.CallSid;
+    const context = getOutboundContextByRef(req.query.ref);
+
+    if (!context) {
+        logger.warn('Outbound status for unknown ref', { callSid, ref: req.query.ref });
+        return res.sendStatus(200);
+    }
+
+    if (!validateTwilioSignature(req, context.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    await recordOutboundStatus(req.query.ref, req.body);
+
+    if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(req.body.CallStatus)) {
+        const session = callManager.get(callSid);
+        if (session && session.status !== 'ended') {
+            logger.info('Outbound call ended externally, cleaning up session', { callSid });
+            callManager.remove(callSid);
+        } else if (!session && callSid) {
+            // The MediaStream may have landed on another instance (api/cluster.js)
+            await notifyOwner(callSid, 'ended');
+        }
+    }
+
+    res.sendStatus(200);
+});
+
+// Async AMD result (outbound calls with voicemail_detection). Handed to the
+// live session; if the MediaStream hasn't connected yet, kept on the outbound
+// context and replayed when the pipeline starts.
+router.post('/outbound/amd', async (req, res) => {
+    const callSid    = req.body.CallSid;
+    const answeredBy = req.body.AnsweredBy;
+    const context    = getOutboundContextByRef(req.query.ref);
+
+    if (!context) {
+        logger.warn('AMD result for unknown ref', { callSid, ref: req.query.ref });
+        return res.sendStatus(200);
+    }
+
+    if (!validateTwilioSignature(req, context.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    logger.info(`AMD result: ${answeredBy} (${req.body.MachineDetectionDuration || '?'}ms)`, { callSid });
+    context.answeredBy = answeredBy;
+
+    const session = callManager.get(callSid);
+    if (session) session.emit('amd_result', answeredBy);
+    else await notifyOwner(callSid, 'amd', { answered_by: answeredBy });
+
+    res.sendStatus(200);
+});
+
+// ── Transfers ────────────────────────────────────────────────────────────────
+// Callbacks for transfers started by the pipeline. ?callSid= is always the
+// original caller's CallSid, which keys the session.
+
+// Dial transfer: <Number url> / <Sip url> — fetched on the target leg when it
+// answers, just before the bridge. An empty response connects the two.
+router.post('/transfer/answered', (req, res) => {
+    const session = callManager.get(req.query.callSid);
+
+    if (session && !validateTwilioSignature(req, session.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    logger.info('Transfer target answered', { callSid: req.query.callSid, targetCallSid: req.body.CallSid });
+    if (session?.transfer) session.emit('transfer_bridged');
+    res.type('text/xml');
+    res.send(new twilio.twiml.VoiceResponse().toString());
+});
+
+// Dial transfer: <Dial action> — the dial is over. If it never connected,
+// send the caller back to the AI on a new MediaStream; otherwise hang up.
+router.post('/transfer/dial-result', (req, res) => {
+    const callSid = req.query.callSid;
+    const session = callManager.get(callSid);
+
+    if (session && !validateTwilioSignature(req, session.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    logger.info(`Transfer dial result: ${req.body.DialCallStatus}`, { callSid });
+    if (session?.transfer) session.emit('transfer_target_status', req.body.DialCallStatus);
+
+    if (session?.status === 'transferring' && session.transfer?.failed) {
+        return respondWithStream(req, res, callSid);
+    }
+    const response = new twilio.twiml.VoiceResponse();
+    response.hangup();
+    res.type('text/xml');
+    res.send(response.toString());
+});
+
+// voicemail transfer_fallback: <Record action> — the caller's message.
+router.post('/transfer/voicemail', (req, res) => {
+    const session = callManager.get(req.query.callSid);
+
+    if (session && !validateTwilioSignature(req, session.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    if (session?.transfer) {
+        session.emit('transfer_voicemail_recorded', {
+            recordingUrl:    req.body.RecordingUrl || null,
+            recordingSid:    req.body.RecordingSid || null,
+            durationSeconds: parseInt(req.body.RecordingDuration || '0', 10),
+        });
+    }
+    const response = new twilio.twiml.VoiceResponse();
+    response.hangup();
+    res.type('text/xml');
+    res.send(response.toString());
+});
+
+// Warm transfer (transfer_type: 'warm'): the caller waits on hold in a
+// conference while the pipeline dials the target. The routes below belong to
+// the *target* leg.
+
+// Target answered: whisper the summary, then join the conference. Joining
+// (startConferenceOnEnter) ends the caller's hold music and bridges them.
+router.post('/transfer/whisper', (req, res) => {
+    const session  = callManager.get(req.query.callSid);
+    const transfer = session?.transfer;
+
+    if (session && !validateTwilioSignature(req, session.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    const response = new twilio.twiml.VoiceResponse();
+    if (!transfer || transfer.failed) {
+        logger.warn('Transfer target answered but the transfer is no longer pending', { callSid: req.query.callSid });
+        response.say('Sorry, the caller is no longer on the line.');
+        response.hangup();
+    } else {
+        logger.info('Transfer target answered — playing whisper', { callSid: session.callSid, targetCallSid: req.body.CallSid });
+        response.say(transfer.whisper);
+        response.dial().conference({
+            startConferenceOnEnter: true,
+            endConferenceOnExit:    true,
+            beep:                   false,
+            statusCallback:         `${session.publicBaseUrl}/twilio/transfer/conference?callSid=${session.callSid}`,
+            statusCallbackEvent:    'join',
+            statusCallbackMethod:   'POST',
+        }, transfer.conference);
+    }
+    res.type('text/xml');
+    res.send(response.toString());
+});
+
+router.post('/transfer/conference', (req, res) => {
+    const session  = callManager.get(req.query.callSid);
+    const transfer = session?.transfer;
+
+    if (session && !validateTwilioSignature(req, session.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    if (transfer && req.body.StatusCallbackEvent === 'participant-join' && req.body.CallSid === transfer.targetCallSid) {
+        session.emit('transfer_bridged');
+    }
+    res.sendStatus(200);
+});
+
+router.post('/transfer/status', (req, res) => {
+    const session = callManager.get(req.query.callSid);
+
+    if (session && !validateTwilioSignature(req, session.twilioAuthToken)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    logger.info(`Transfer target status: ${req.body.CallStatus}`, { callSid: req.query.callSid, targetCallSid: req.body.CallSid });
+    if (session?.transfer) session.emit('transfer_target_status', req.body.CallStatus);
+    res.sendStatus(200);
+});
+
+// ── Overflow (admission control) ─────────────────────────────────────────────
+// A call admission.js turned away gets the assistant's overflow action
+// (config.overflow from /calls/incoming, default busy):
+//
+//   busy       message, hang up
+//   number     message, then <Dial> phone_number
+//   voicemail  message, then <Record> up to max_length seconds
+//   hold       message and retry_seconds of waiting, then back through
+//              /incoming — admitted once there's room, or after
+//              max_wait_seconds the `then` action (default busy)
+//   queue      message, then the hold queue (orchestrator/queue.js): music
+//              and position announcements until there's room, or after
+//              max_wait_seconds the `then` action (default busy)
+//
+// Laravel gets the usual /complete payload with status "refused" and an
+// `overflow` block, except for callers that waited and were then admitted —
+// theirs is the normal one, plus `queue` for the queue.
+
+const OVERFLOW_DEFAULTS = {
+    busy:      { message: 'Sorry, all of our lines are busy right now. Please call back later.' },
+    number:    { message: 'Please hold while we connect you.' },
+    voicemail: { message: 'Sorry, all of our lines are busy right now. Please leave a message after the tone.', max_length: 120 },
+    hold:      { message: 'All of our lines are busy right now. Please stay on the line.', retry_seconds: 15, max_wait_seconds: 120 },
+    queue: {
+        message:          'All of our lines are busy right now. Please stay on the line and we will be with you shortly.',
+        position_message: 'You are number {{position}} in line.',
+        music_url:        QUEUE_MUSIC_URL,
+        max_wait_seconds: 600,
+    },
+};
+
+// config.overflow with its type's defaults; an unknown type is busy
+function resolveOverflow(overflow) {
+    const type = OVERFLOW_DEFAULTS[overflow?.type] ? overflow.type : 'busy';
+    return { ...OVERFLOW_DEFAULTS[type], ...overflow, type };
+}
+
+// What a caller who waited max_wait_seconds gets (never another wait)
+function thenAction(overflow) {
+    const then = overflow.then;
+    return resolveOverflow(then && !['hold', 'queue'].includes(then.type) ? then : { type: 'busy' });
+}
+
+function respondOverflow(req, res, config, reason) {
+    const attempt  = parseInt(req.query.attempt || '0', 10);
+    let   overflow = resolveOverflow(config.overflow);
+    const held     = overflow.type === 'hold' ? attempt * overflow.retry_seconds : 0;
+
+    if (overflow.type === 'hold' && held >= overflow.max_wait_seconds) overflow = thenAction(overflow);
+    respondOverflowAction(req, res, config, reason, overflow, held);
+}
+
+function respondOverflowAction(req, res, config, reason, overflow, held) {
+    const callSid  = req.body.CallSid;
+    const { type } = overflow;
+    logger.info(`Overflow: ${type} (${reason})`, { callSid, held });
+
+    const baseUrl  = getPublicBaseUrl(req);
+    const response = new twilio.twiml.VoiceResponse();
+    if (overflow.message) response.say(overflow.message);
+    // Every other action sends its own /complete
+    setHeld(callSid, type === 'hold' ? reason : null);
+
+    switch (type) {
+        case 'hold': {
+            const attempt = parseInt(req.query.attempt || '0', 10);
+            response.pause({ length: overflow.retry_seconds });
+            response.redirect({ method: 'POST' }, `${baseUrl}/twilio/incoming?attempt=${attempt + 1}`);
+            break;
+        }
+        case 'queue':
+            holdQueue.enqueue({
+                callSid,
+                callerPhone: req.body.From,
+                config,
+                overflow,
+                reason,
+                accountSid:  req.body.AccountSid,
+                host:        req.headers['x-forwarded-host'] || req.headers.host,
+            });
+            response.enqueue({
+                waitUrl:       `${baseUrl}/twilio/queue/wait`,
+                waitUrlMethod: 'POST',
+                action:        `${baseUrl}/twilio/queue/leave`,
+                method:        'POST',
+            }, QUEUE_NAME);
+            break;
+        case 'number':
+            if (overflow.phone_number) response.dial(overflow.phone_number);
+            postOverflowComplete(req, config, { reason, action: type, phone_number: overflow.phone_number || null, held_seconds: held });
+            break;
+        case 'voicemail':
+            response.record({
+                action:    `${baseUrl}/twilio/overflow/voicemail?reason=${reason}&held=${held}`,
+                method:    'POST',
+                maxLength: overflow.max_length,
+                playBeep:  true,
+            });
+            break;
+        default:
+            response.hangup();
+            postOverflowComplete(req, config, { reason, action: type, held_seconds: held });
+    }
+
+    res.type('text/xml');
+    res.send(response.toString());
+}
+
+// Through the outbox, like the pipeline's /complete for connected calls
+function postOverflowComplete(req, config, overflow) {
+    const callSid = req.body.CallSid;
+    outbox.enqueue(`${callSid}.complete`, `/calls/${callSid}/complete`, buildCallCompletePayload({
+        callSid,
+        assistantId:    config.assistant_id,
+        organizationId: config.organization_id,
+        status:         'refused',
+        endReason:      `overflow_${overflow.action}`,
+        overflow,
+    }));
+}
+
+// <Record action> of the voicemail overflow: the caller's message
+router.post('/overflow/voicemail', async (req, res) => {
+    const callSid = req.body.CallSid;
+    try {
+        const config = await fetchIncomingConfig(req);
+        if (!validateTwilioSignature(req, config?.twilio_auth_token)) {
+            return res.status(403).send('Forbidden');
+        }
+        logger.info(`Overflow voicemail recorded (${req.body.RecordingDuration || 0}s)`, { callSid });
+        postOverflowComplete(req, config || {}, {
+            reason:           req.query.reason,
+            action:           'voicemail',
+            held_seconds:     parseInt(req.query.held || '0', 10),
+            recording_url:    req.body.RecordingUrl || null,
+            recording_sid:    req.body.RecordingSid || null,
+            duration_seconds: parseInt(req.body.RecordingDuration || '0', 10),
+        });
+    } catch (err) {
+        logger.error(`Error handling overflow voicemail: ${err.message}`, { callSid });
+    }
+    const response = new twilio.twiml.VoiceResponse();
+    response.hangup();
+    res.type('text/xml');
+    res.send(response.toString());
+});
+
+// ── Hold queue (overflow type "queue") ───────────────────────────────────────
+// <Enqueue waitUrl> — requested whenever the previous wait TwiML has played:
+// the caller's place in line, then music. <Leave> once they've waited
+// max_wait_seconds, or the server is draining.
+router.post('/queue/wait', async (req, res) => {
+    const callSid  = req.body.CallSid;
+    const entry    = holdQueue.get(callSid);
+    const response = new twilio.twiml.VoiceResponse();
+
+    if (entry && !validateTwilioSignature(req, entry.config.twilio_auth_token)) {
+        return res.status(403).send('Forbidden');
+    }
+
+    if (!entry || entry.admitted || isDraining() || holdQueue.waitSeconds(entry) >= entry.overflow.max_wait_seconds) {
+        response.leave();
+    } else {
+        const { overflow } = entry;
+        const language = overflow.language || entry.config.language || 'en';
+        const text     = interpolateSpoken(overflow.position_message, { position: holdQueue.position(callSid) });
+        const query    = holdQueue.announcementQuery(text, language, overflow.voice);
+        try {
+            if (!query) throw new Error('LARAVEL_API_SECRET is not set');
+            await holdQueue.announcement(text, language, overflow.voice);
+            response.play(`${getPublicBaseUrl(req)}/twilio/queue/announcement?${query}`);
+        } catch (err) {
+            logger.warn(`Queue announcement TTS failed — using <Say>: ${err.message}`, { callSid });
+            response.say(text);
+        }
+        if (overflow.music_url) response.play(overflow.music_url);
+        else response.pause({ length: 30 });
+    }
+
+    res.type('text/xml');
+    res.send(response.toString());
+});
+
+// <Enqueue action> — the caller left the queue: let in (when the REST
+// redirect couldn't be made), hung up, or sent away after waiting too long
+router.post('/queue/leave', (req, res) => {
+    const callSid = req.body.CallSid;
+    const result  = req.body.QueueResult;
+    const entry   = holdQueue.get(callSid);
+
+    if (entry && !validateTwilioSignature(req, entry.config.twilio_auth_token)) {
+        return res.status(403).send('Forbidden');
+    }
+    holdQueue.remove(callSid);
+    logger.info(`Left the hold queue: ${result}`, { callSid });
+
+    if (!entry) {
+        // Queued on a server that has since restarted: start over
+        const response = new twilio.twiml.VoiceResponse();
+        if (result === 'leave') response.redirect({ method: 'POST' }, `${getPublicBaseUrl(req)}/twilio/incoming`);
+        res.type('text/xml');
+        return res.send(response.toString());
+    }
+
+    const held = holdQueue.waitSeconds(entry);
+    if (result === 'hangup') {
+        postOverflowComplete(req, entry.config, { reason: entry.reason, action: 'queue', held_seconds: held });
+    } else if (entry.admitted) {
+        return respondWithStream(req, res, callSid, queueParameters(entry));
+    } else if (result === 'leave') {
+        return respondOverflowAction(req, res, entry.config, entry.reason, thenAction(entry.overflow), held);
+    }
+    res.type('text/xml');
+    res.send(new twilio.twiml.VoiceResponse().toString());
+});
+
+router.get('/queue/announcement', async (req, res) => {
+    if (!holdQueue.verifyAnnouncement(req.query)) return res.status(403).send('Forbidden');
+    try {
+        const wav = await holdQueue.announcement(req.query.text, req.query.language, req.query.voice || null);
+        res.type('audio/wav');
+        res.send(wav);
+    } catch (err) {
+        logger.error(`Queue announcement failed: ${err.message}`);
+        res.status(503).send('Service Unavailable');
+    }
+});
+
+// Passed on the <Stream> and recorded on the session for /complete
+function queueParameters(entry) {
+    return {
+        queue_wait_seconds: holdQueue.waitSeconds(entry),
+        queue_priority:     entry.priority,
+        queue_reason:       entry.reason,
+    };
+}
+
+// Room for a queued caller: take them out of the <Enqueue> onto a
+// MediaStream. Without credentials to redirect the call, their next wait
+// request gets <Leave> and the /queue/leave callback connects them.
+holdQueue.on('dequeued', async (entry) => {
+    const { callSid, config, accountSid } = entry;
+    if (!accountSid || !config.twilio_auth_token) return;
+    try {
+        await createTwilioClient(accountSid, config.twilio_auth_token).calls(callSid)
+            .update({ twiml: streamTwiml(entry.host, callSid, queueParameters(entry)) });
+        holdQueue.remove(callSid);
+    } catch (err) {
+        logger.warn(`Moving queued caller onto the stream failed: ${err.message}`, { callSid });
+    }
+});
+
+function streamTwiml(host, callSid, parameters = {}) {
+    const response = new twilio.twiml.VoiceResponse();
+    const stream   = response.connect().stream({ url: `wss://${host}/twilio/stream/${callSid}` });
+    for (const [name, value] of Object.entries(parameters)) stream.parameter({ name, value: String(value) });
+    return response.toString();
+}
+
+function respondWithStream(req, res, callSid, parameters = {}) {
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    logger.info('Responding with TwiML MediaStream', { callSid, wsUrl: `wss://${host}/twilio/stream/${callSid}` });
+    res.type('text/xml');
+    res.send(streamTwiml(host, callSid, parameters));
+}
+
 function respondNotConfigured(res) {
     const r = new twilio.twiml.VoiceResponse();
     r.say('Sorry, this number is not configured. Please try again later.');
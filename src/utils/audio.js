@@ -82,6 +82,19 @@ function twilioMulawToPcm16(mulawBuffer) {
     return out;
 }
 
+/**
+ * Decode Twilio mulaw (8kHz) to PCM16 at the same rate — for recording,
+ * where the 16kHz upsample would only double the file size.
+ *
+ * @param {Buffer} mulawBuffer
+ * @returns {Buffer}  PCM16 LE at 8kHz
+ */
+function mulawToPcm16(mulawBuffer) {
+    const out = Buffer.allocUnsafe(mulawBuffer.length * 2);
+    for (let i = 0; i < mulawBuffer.length; i++) out.writeInt16LE(MULAW_DECODE[mulawBuffer[i]], i * 2);
+    return out;
+}
+
 // ─── silence pre-filter ──────────────────────────────────────────────────────
 
 /**
@@ -118,6 +131,62 @@ function pcm16ToTwilioMulaw(pcm16Buffer) {
     return mulaw;
 }
 
+// ─── Resampling (cloud TTS → Twilio) ─────────────────────────────────────────
+
+/**
+ * Create a stateful PCM16 resampler for streamed audio. Chunks can split
+ * samples (odd byte counts) and the interpolation window carries across
+ * chunk boundaries, so feeding a stream chunk-by-chunk gives the same
+ * output as resampling it in one piece.
+ *
+ * Upsampling interpolates linearly. Downsampling averages each output's
+ * window of input samples first (box filter), so e.g. 24kHz cloud TTS
+ * doesn't alias into the 8kHz telephone band.
+ *
+ * @param {number} fromRate  Input sample rate
+ * @param {number} toRate    Output sample rate
+ * @returns {function(Buffer): Buffer}  PCM16 LE in → PCM16 LE out
+ */
+function createPcm16Resampler(fromRate, toRate) {
+    const step  = fromRate / toRate;
+    const width = step > 1 ? Math.ceil(step) : 1;
+    let history = new Int16Array(0);   // input samples still needed by the next output
+    let pos     = 0;                   // next output position, in input samples from history[0]
+    let carry   = null;                // trailing odd byte
+
+    return function resample(chunk) {
+        if (carry) { chunk = Buffer.concat([carry, chunk]); carry = null; }
+        if (chunk.length & 1) { carry = chunk.slice(-1); chunk = chunk.slice(0, -1); }
+
+        const n     = chunk.length >> 1;
+        const input = new Int16Array(history.length + n);
+        input.set(history);
+        for (let i = 0; i < n; i++) input[history.length + i] = chunk.readInt16LE(i * 2);
+
+        const out = Buffer.allocUnsafe((Math.ceil(input.length / step) + 1) * 2);
+        let outPos = 0;
+        while (Math.floor(pos) + width < input.length) {
+            const i = Math.floor(pos);
+            let sample;
+            if (width === 1) {
+                sample = input[i] + (input[i + 1] - input[i]) * (pos - i);
+            } else {
+                let sum = 0;
+                for (let k = 0; k < width; k++) sum += input[i + k];
+                sample = sum / width;
+            }
+            out.writeInt16LE(Math.round(sample), outPos);
+            outPos += 2;
+            pos    += step;
+        }
+
+        const consumed = Math.min(Math.floor(pos), input.length);
+        history = input.slice(consumed);
+        pos    -= consumed;
+        return out.slice(0, outPos);
+    };
+}
+
 // ─── PCM ↔ WAV / base64 ──────────────────────────────────────────────────────
 
 /**
@@ -180,9 +249,11 @@ function bufferToBase64(buffer) {
 
 module.exports = {
     twilioMulawToPcm16,
+    mulawToPcm16,
     pcm16ToTwilioMulaw,
     pcm16ToBase64Wav,
     base64ToPcm16,
+    createPcm16Resampler,
     isSilence,
     bufferToBase64,
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+'use strict';
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Express middleware for internal API routes called by Laravel.
+ *
+ * Uses the same shared secret Laravel already checks on our requests
+ * (LARAVEL_API_SECRET in the X-Internal-Secret header), so there is only one
+ * secret to rotate. Compared in constant time.
+ */
+function requireInternalSecret(req, res, next) {
+    const expected = process.env.LARAVEL_API_SECRET;
+    const provided = req.headers['x-internal-secret'];
+
+    if (!expected) {
+        logger.error('LARAVEL_API_SECRET not set — rejecting internal API request', { path: req.originalUrl });
+        return res.status(503).json({ error: 'Internal API not configured' });
+    }
+
+    if (!provided || !safeEqual(provided, expected)) {
+        logger.warn('Internal API request with missing or invalid secret', { path: req.originalUrl, ip: req.ip });
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    if (bufA.length !== bufB.length) return false;
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = { requireInternalSecret, safeEqual };
@@ -0,0 +1,172 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Metrics — process-wide Prometheus series plus a per-call recorder.
+//
+// GET /metrics renders everything below in the Prometheus text format
+// (version 0.0.4). Kept dependency-free: counters, gauges and histograms with
+// labels are all this server needs.
+//
+// Per call, CallMetrics records the same observations for the call-complete
+// payload (latency percentiles per stage, counters), so a single call can be
+// inspected without a Prometheus server.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PREFIX = 'newrohelp_';
+
+// Seconds. Covers a 20ms VAD round trip up to a 10s end-to-end response.
+const LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+
+const series = [];
+
+function labelKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const parts = labelNames.map((name, i) => `${name}="${values[i].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    if (extra) parts.push(extra);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        Object.assign(this, { name: PREFIX + name, help, labelNames, type: 'counter', values: new Map() });
+        series.push(this);
+    }
+
+    inc(labels = {}, n = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + n);
+    }
+
+    render() {
+        return [...this.values].map(([key, value]) => `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`);
+    }
+}
+
+class Gauge extends Counter {
+    constructor(name, help, labelNames = []) {
+        super(name, help, labelNames);
+        this.type = 'gauge';
+    }
+
+    set(labels = {}, value) {
+        this.values.set(labelKey(this.labelNames, labels), value);
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+        Object.assign(this, { name: PREFIX + name, help, labelNames, buckets, type: 'histogram', values: new Map() });
+        series.push(this);
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(this.labelNames, labels);
+        let h = this.values.get(key);
+        if (!h) {
+            h = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, h);
+        }
+        this.buckets.forEach((le, i) => { if (value <= le) h.counts[i]++; });
+        h.sum += value;
+        h.count++;
+    }
+
+    render() {
+        const lines = [];
+        for (const [key, h] of this.values) {
+            const values = JSON.parse(key);
+            this.buckets.forEach((le, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${le}"`)} ${h.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${h.count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${+h.sum.toFixed(6)}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${h.count}`);
+        }
+        return lines;
+    }
+}
+
+function render() {
+    return series.map(s => [
+        `# HELP ${s.name} ${s.help}`,
+        `# TYPE ${s.name} ${s.type}`,
+        ...s.render(),
+    ].join('\n')).join('\n') + '\n';
+}
+
+// ─── Series ───────────────────────────────────────────────────────────────────
+// Turn stages (label `stage`):
+//   vad              one VAD batch round trip (HTTP request or stream result)
+//   smart_turn       Smart Turn verdict
+//   stt              final transcript for a turn (HTTP transcribe or stream flush)
+//   llm_first_token  user turn sent to OpenAI → first text token
+//   tts_first_byte   TTS request → first audio chunk
+//   response         caller stopped speaking → first AI audio sent to Twilio
+//   smart_turn_hold  INCOMPLETE verdict → caller resumed or silence fallback
+const stageLatency = new Histogram('turn_stage_seconds', 'Latency of each stage of a conversational turn', ['stage']);
+
+const counters = {
+    calls:          new Counter('calls_total', 'Calls that ended, by end reason', ['end_reason']),
+    interrupts:     new Counter('interrupts_total', 'Times the caller cut the AI off', ['trigger']),
+    vad_batches:    new Counter('vad_batches_total', 'VAD batches sent, by transport', ['transport']),
+    vad_dropped:    new Counter('vad_dropped_total', 'VAD batches dropped (in-flight guard, stream backlog or disconnect)'),
+    smart_turn:     new Counter('smart_turn_total', 'Smart Turn verdicts', ['verdict']),
+    tool_calls:     new Counter('tool_calls_total', 'Tool calls executed, by tool and outcome', ['tool', 'outcome']),
+    errors:         new Counter('errors_total', 'Errors by pipeline stage', ['stage']),
+    calls_refused:  new Counter('calls_refused_total', 'Incoming calls turned away by admission control, by reason', ['reason']),
+};
+
+const activeCalls   = new Gauge('active_calls', 'Calls currently in progress');
+const outboxEntries = new Gauge('outbox_entries', 'Laravel notifications waiting in the outbox', ['queue']);
+const queuedCalls   = new Gauge('queued_calls', 'Callers waiting in the hold queue');
+
+// ─── Per-call recorder ────────────────────────────────────────────────────────
+
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+class CallMetrics {
+    constructor() {
+        this.latencies = {};   // stage → [ms, ...]
+        this.counters  = {};   // 'name.label…' → n
+    }
+
+    /** Record one stage latency in milliseconds. */
+    observe(stage, ms) {
+        if (!Number.isFinite(ms) || ms < 0) return;
+        (this.latencies[stage] ||= []).push(ms);
+        stageLatency.observe({ stage }, ms / 1000);
+    }
+
+    /**
+     * Count an event for this call and in the matching process-wide counter.
+     * Per call the key joins name and label values, e.g. `smart_turn.incomplete`.
+     */
+    count(name, labels = {}, n = 1) {
+        const key = [name, ...Object.values(labels)].join('.');
+        this.counters[key] = (this.counters[key] || 0) + n;
+        counters[name]?.inc(labels, n);
+    }
+
+    /** Latency percentiles per stage (ms) and counters, for the call-complete payload. */
+    summary() {
+        const latency = {};
+        for (const [stage, values] of Object.entries(this.latencies)) {
+            const sorted = [...values].sort((a, b) => a - b);
+            latency[stage] = {
+                count: sorted.length,
+                avg:   Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+                p50:   Math.round(percentile(sorted, 0.5)),
+                p95:   Math.round(percentile(sorted, 0.95)),
+                max:   Math.round(sorted[sorted.length - 1]),
+            };
+        }
+        return { latency_ms: latency, counters: { ...this.counters } };
+    }
+}
+
+module.exports = { CallMetrics, counters, activeCalls, outboxEntries, queuedCalls, render };
@@ -0,0 +1,187 @@
+'use strict';
+
+const net              = require('net');
+const { EventEmitter } = require('events');
+const logger           = require('./logger');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Minimal Redis client — RESP2 over one TCP connection, just enough for the
+// session registry (orchestrator/registry.js): GET / SET / DEL / PING.
+// Works with Redis and anything that speaks its protocol (Valkey, KeyDB,
+// Dragonfly, …).
+//
+//   redis://[:password@]host[:port][/db]
+//
+// Commands are pipelined and answered in order. While disconnected they fail
+// at once instead of queueing — the registry treats Redis as best effort and
+// falls back to local handling. The connection is retried with backoff
+// (RECONNECT_BASE_MS doubling, capped at RECONNECT_MAX_MS).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const RECONNECT_BASE_MS  = 500;
+const RECONNECT_MAX_MS   = 10000;
+const COMMAND_TIMEOUT_MS = 2000;
+
+class RedisError extends Error {}
+
+/**
+ * Parse one RESP value from buf at offset.
+ * Returns { value, end } or null if buf doesn't hold all of it yet.
+ */
+function parseReply(buf, offset = 0) {
+    if (offset >= buf.length) return null;
+    const lineEnd = buf.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buf[offset]);
+    const line = buf.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+': return { value: line, end: next };
+        case '-': return { value: new RedisError(line), end: next };
+        case ':': return { value: parseInt(line, 10), end: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) return { value: null, end: next };
+            if (buf.length < next + length + 2) return null;
+            return { value: buf.toString('utf8', next, next + length), end: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) return { value: null, end: next };
+            const items = [];
+            let end = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buf, end);
+                if (!item) return null;
+                items.push(item.value);
+                end = item.end;
+            }
+            return { value: items, end };
+        }
+        default:
+            throw new RedisError(`Unexpected RESP type byte "${type}"`);
+    }
+}
+
+function encodeCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const str = String(arg);
+        out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+    }
+    return out;
+}
+
+class RedisClient extends EventEmitter {
+    constructor(url) {
+        super();
+        const parsed   = new URL(url);
+        this.host      = parsed.hostname || '127.0.0.1';
+        this.port      = parseInt(parsed.port || '6379', 10);
+        this.password  = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.db        = parseInt(parsed.pathname.slice(1) || '0', 10);
+
+        this.socket    = null;
+        this.connected = false;
+        this.closing   = false;
+        this.pending   = [];            // { resolve, reject, timer } in send order
+        this.buffer    = Buffer.alloc(0);
+        this.retries   = 0;
+        this.retryTimer = null;
+    }
+
+    /** Resolves once connected (and authenticated); keeps reconnecting after. */
+    connect() {
+        return new Promise((resolve) => {
+            this.once('ready', resolve);
+            this._open();
+        });
+    }
+
+    _open() {
+        this.socket = net.createConnection({ host: this.host, port: this.port });
+        this.socket.setNoDelay(true);
+
+        this.socket.on('connect', async () => {
+            this.connected = true;
+            try {
+                if (this.password) await this.command('AUTH', this.password);
+                if (this.db) await this.command('SELECT', this.db);
+                if (this.retries) logger.info(`Redis reconnected (${this.host}:${this.port})`);
+                this.retries = 0;
+                this.emit('ready');
+            } catch (err) {
+                logger.error(`Redis handshake failed: ${err.message}`);
+                this.socket.destroy();
+            }
+        });
+
+        this.socket.on('data', (chunk) => this._onData(chunk));
+        this.socket.on('error', (err) => {
+            if (this.retries === 0) logger.warn(`Redis connection error: ${err.message}`, { host: this.host, port: this.port });
+        });
+        this.socket.on('close', () => this._onClose());
+    }
+
+    _onData(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        let offset = 0;
+        try {
+            let reply;
+            while ((reply = parseReply(this.buffer, offset))) {
+                offset = reply.end;
+                const waiter = this.pending.shift();
+                if (!waiter) continue;
+                clearTimeout(waiter.timer);
+                if (reply.value instanceof RedisError) waiter.reject(reply.value);
+                else waiter.resolve(reply.value);
+            }
+        } catch (err) {
+            // Out of sync with the server — start over on a fresh connection
+            logger.error(`Redis protocol error: ${err.message}`);
+            this.socket.destroy();
+            return;
+        }
+        this.buffer = this.buffer.subarray(offset);
+    }
+
+    _onClose() {
+        this.connected = false;
+        this.buffer    = Buffer.alloc(0);
+        for (const waiter of this.pending.splice(0)) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new RedisError('Redis connection closed'));
+        }
+        if (this.closing) return;
+
+        const delay = Math.min(RECONNECT_BASE_MS * 2 ** this.retries, RECONNECT_MAX_MS);
+        this.retries++;
+        this.retryTimer = setTimeout(() => this._open(), delay);
+        this.retryTimer.unref?.();
+    }
+
+    /** Send one command; resolves with its reply, rejects on an error reply. */
+    command(...args) {
+        if (!this.connected) return Promise.reject(new RedisError('Redis not connected'));
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            waiter.timer = setTimeout(() => {
+                // A reply may still come: keep the slot so later replies stay aligned
+                waiter.resolve = () => {};
+                waiter.reject  = () => {};
+                reject(new RedisError(`Redis ${args[0]} timed out`));
+            }, COMMAND_TIMEOUT_MS);
+            this.pending.push(waiter);
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    close() {
+        this.closing = true;
+        clearTimeout(this.retryTimer);
+        if (this.socket) this.socket.end();
+    }
+}
+
+module.exports = { RedisClient, RedisError, parseReply, encodeCommand };
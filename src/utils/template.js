@@ -0,0 +1,83 @@
+'use strict';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// {{variable}} templating for tool requests and spoken messages.
+//
+// Placeholders resolve against a flat or nested vars object; dotted paths
+// ({{customer.id}}) walk into nested values. In requests, unknown
+// placeholders are left as-is so a misconfigured template is visible in logs
+// instead of silently becoming an empty string. Spoken text drops them —
+// the caller should never hear "curly brace curly brace".
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PLACEHOLDER_RE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const SOLE_PLACEHOLDER_RE = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+function lookup(vars, path) {
+    if (!vars) return undefined;
+    if (Object.prototype.hasOwnProperty.call(vars, path)) return vars[path];
+    // FIX: own properties only — cur[key] walked the prototype chain, so
+    // {{constructor}} or {{toString}} resolved to functions
+    return path.split('.').reduce((cur, key) => {
+        if (cur === undefined || cur === null) return undefined;
+        return Object.prototype.hasOwnProperty.call(cur, key) ? cur[key] : undefined;
+    }, vars);
+}
+
+/**
+ * Replace {{name}} placeholders in a string.
+ *
+ * @param {string}   template
+ * @param {object}   vars
+ * @param {object}   [options]
+ * @param {function} [options.encode]          applied to each substituted value (e.g. encodeURIComponent)
+ * @param {boolean}  [options.dropUnresolved]  replace unknown placeholders with '' (spoken text)
+ * @returns {string}
+ */
+function interpolate(template, vars, { encode = null, dropUnresolved = false } = {}) {
+    if (typeof template !== 'string' || !template.includes('{{')) return template;
+    return template.replace(PLACEHOLDER_RE, (match, path) => {
+        const value = lookup(vars, path);
+        if (value === undefined || value === null) return dropUnresolved ? '' : match;
+        const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return encode ? encode(str) : str;
+    });
+}
+
+/**
+ * Interpolate every string inside a value (objects and arrays walked
+ * recursively). A string that is exactly one placeholder keeps the
+ * variable's original type — "{{party_size}}" → 4, not "4" — so JSON
+ * bodies get numbers, booleans and objects where the variable has them.
+ */
+function interpolateDeep(value, vars) {
+    if (typeof value === 'string') {
+        const sole = value.match(SOLE_PLACEHOLDER_RE);
+        if (sole) {
+            const resolved = lookup(vars, sole[1]);
+            if (resolved !== undefined && resolved !== null) return resolved;
+        }
+        return interpolate(value, vars);
+    }
+    if (Array.isArray(value)) return value.map(v => interpolateDeep(v, vars));
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = interpolateDeep(v, vars);
+        return out;
+    }
+    return value;
+}
+
+/**
+ * Interpolate a message that will be spoken to the caller. Unresolved
+ * placeholders are dropped and the resulting whitespace collapsed.
+ */
+function interpolateSpoken(text, vars) {
+    if (typeof text !== 'string') return text;
+    return interpolate(text, vars, { dropUnresolved: true })
+        .replace(/\s+([,.!?])/g, '$1')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+}
+
+module.exports = { interpolate, interpolateDeep, interpolateSpoken };